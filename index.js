@@ -12,6 +12,15 @@ const notificationRoutes = require('./routes/notifications'); // Import notifica
 const paymentRoutes = require('./routes/payment'); // Import payment routes
 const shippingRoutes = require('./routes/shipping'); // Import shipping routes
 const categoryRoutes = require('./routes/category'); // Import category routes
+const returnRoutes = require('./routes/returns'); // Import return routes
+const couponRoutes = require('./routes/coupons'); // Import coupon routes
+const shipmentRoutes = require('./routes/shipments'); // Import shipment routes
+const vendorRoutes = require('./routes/vendors'); // Import vendor routes
+const reviewRoutes = require('./routes/reviews'); // Import review routes
+const searchRoutes = require('./routes/search'); // Import search routes
+const wishlistRoutes = require('./routes/wishlists'); // Import wishlist routes
+const { registerEventHandlers } = require('./services/eventHandlers');
+const { getTransport } = require('./services/mail');
 const path = require('path');
 
 // Load environment variables
@@ -20,8 +29,17 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Pick the mail transport now, so a production server without MAIL_TRANSPORT fails at startup
+getTransport();
+
+// Subscribe notification handlers to domain events
+registerEventHandlers();
+
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the raw body so payment webhooks can verify their signature
+  verify: (req, res, buf) => { req.rawBody = buf.toString('utf8'); }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.json());
 
@@ -35,6 +53,13 @@ app.use('/api/notifications', notificationRoutes); // Use notification routes
 app.use('/api/payments', paymentRoutes); // Use payment routes
 app.use('/api/shipping', shippingRoutes); // Use shipping routes
 app.use('/api/categories', categoryRoutes); // Use category routes
+app.use('/api/returns', returnRoutes); // Use return routes
+app.use('/api/coupons', couponRoutes); // Use coupon routes
+app.use('/api/shipments', shipmentRoutes); // Use shipment routes
+app.use('/api/vendors', vendorRoutes); // Use vendor routes
+app.use('/api/reviews', reviewRoutes); // Use review routes
+app.use('/api/search', searchRoutes); // Use search routes
+app.use('/api/wishlists', wishlistRoutes); // Use wishlist routes
 app.use('/uploads', express.static(path.join(__dirname, 'uploads'))); // Serve uploads statically
 
 // Connect to MongoDB using environment variable
@@ -1,17 +1,27 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
+const { authenticate } = require('../services/sessions');
+const { sendServiceError } = require('../services/errors');
 
 dotenv.config();
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
+  let decoded;
   try {
     const token = req.header('Authorization').replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    res.status(401).json({ message: 'Please authenticate' });
+    return res.status(401).json({ message: 'Please authenticate' });
   }
+  try {
+    // Access tokens stop working as soon as their session is logged out or the account is blocked or deleted
+    req.currentUser = await authenticate(decoded); // Loaded once here for the handlers and permission checks
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    return res.status(500).json({ message: 'Error checking session' });
+  }
+  req.user = decoded;
+  next();
 };
 
 module.exports = auth; 
\ No newline at end of file
@@ -0,0 +1,15 @@
+const { hasPermission } = require('../services/permissions');
+
+// Let the request through only if the signed-in user's role grants the
+// permission. Use after auth, which loads req.currentUser. Ownership of the
+// specific resource is checked in the handler once it is loaded.
+function requirePermission(permission, { scope, message = 'Access denied' } = {}) {
+  return (req, res, next) => {
+    if (!hasPermission(req.currentUser, permission, scope)) {
+      return res.status(403).json({ message });
+    }
+    next();
+  };
+}
+
+module.exports = { requirePermission };
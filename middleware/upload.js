@@ -0,0 +1,28 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Multer disk storage under uploads/<folder>, served statically at /uploads/<folder>
+const createUpload = (folder) => {
+  const directory = path.join(__dirname, '../uploads', folder);
+  const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+      fs.mkdir(directory, { recursive: true }, (err) => cb(err, directory));
+    },
+    filename: function (req, file, cb) {
+      cb(null, Date.now() + '-' + file.originalname);
+    }
+  });
+  return multer({ storage });
+};
+
+// Public path for a stored file
+const uploadedPath = (folder, file) => `/uploads/${folder}/${file.filename}`;
+
+// Delete files stored for a request that was then rejected (req.files or req.file)
+async function removeUploads(files) {
+  const list = [].concat(files || []);
+  await Promise.all(list.map(file => fs.promises.unlink(file.path).catch(() => {})));
+}
+
+module.exports = { createUpload, uploadedPath, removeUploads };
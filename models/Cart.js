@@ -2,12 +2,15 @@ const mongoose = require('mongoose');
 
 const cartItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Entry in product.variants, for products with variants
   quantity: { type: Number, required: true },
+  priceWhenAdded: { type: Number }, // Unit price (after offer) when the line was added or last changed, to flag price changes at checkout
 });
 
 const cartSchema = new mongoose.Schema({
   customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
   items: [cartItemSchema],
+  savedForLater: [cartItemSchema], // Parked lines; not checked out or priced
 });
 
 module.exports = mongoose.model('Cart', cartSchema); 
\ No newline at end of file
@@ -41,11 +41,11 @@ categorySchema.virtual('subcategories', {
   foreignField: 'parentCategory'
 });
 
-// Virtual for product count
+// Virtual for product count (products listing the category as primary or extra)
 categorySchema.virtual('productCount', {
   ref: 'Product',
   localField: '_id',
-  foreignField: 'category',
+  foreignField: 'categories',
   count: true
 });
 
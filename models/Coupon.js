@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const redemptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  discount: { type: Number, required: true },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, default: null }, // Cap for percentage coupons
+  minOrderValue: { type: Number, default: 0 },
+  startsAt: { type: Date, default: null },
+  expiresAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: null }, // Across all customers; null = unlimited
+  perUserLimit: { type: Number, default: null },
+  usedCount: { type: Number, default: 0 },
+  // What the discount applies to; 'order' covers every line
+  scope: {
+    type: { type: String, enum: ['order', 'category', 'vendor', 'products'], default: 'order' },
+    categories: [{ type: String }],
+    vendors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  },
+  isActive: { type: Boolean, default: true },
+  redemptions: [redemptionSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
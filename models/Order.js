@@ -2,14 +2,75 @@ const mongoose = require('mongoose');
 
 const orderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Entry in product.variants
+  sku: String,
+  options: { type: Map, of: String }, // Variant option values at the time of purchase
   quantity: { type: Number, required: true },
   priceAtPurchase: { type: Number, required: true },
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discount: { type: Number, default: 0 }, // Coupon discount allocated to this line (whole line, not per unit)
+  tax: { type: Number, default: 0 }, // Tax on this line after discount (whole line)
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: { type: String, enum: ['customer', 'vendor', 'admin', 'system'], required: true },
+  reason: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// One vendor's share of the order, fulfilled independently of the others
+const fulfilmentSchema = new mongoose.Schema({
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'shipped', 'delivered', 'cancelled'],
+    default: 'pending'
+  },
+  trackingNumber: String,
+  subtotal: { type: Number, required: true },
+  shippingCost: { type: Number, default: 0 },
+  statusHistory: [statusChangeSchema],
+});
+
+// One refund against the order; the list is the order's refund ledger
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },
+  reason: String,
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variant: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+  }],
+  restocked: { type: Boolean, default: false },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: { type: String, enum: ['customer', 'vendor', 'admin', 'system'] },
+  providerRefundId: String,
+  createdAt: { type: Date, default: Date.now },
 });
 
 const orderSchema = new mongoose.Schema({
   customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   items: [orderItemSchema],
-  total: { type: Number, required: true },
+  subtotal: { type: Number }, // Sum of lines before the coupon
+  discount: { type: Number, default: 0 },
+  coupon: {
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    code: String,
+    type: { type: String },
+    value: Number,
+  },
+  shippingMethod: { type: String, default: 'standard' },
+  shippingCost: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  taxDetails: {
+    jurisdiction: String,
+    inclusive: Boolean, // When true the tax is already part of the prices and not added to the total
+    shippingTax: Number,
+  },
+  total: { type: Number, required: true }, // Grand total: subtotal - discount + shipping (+ tax when exclusive)
   status: { 
     type: String, 
     enum: ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'],
@@ -26,9 +87,13 @@ const orderSchema = new mongoose.Schema({
   paymentMethod: { type: String, default: 'cash_on_delivery' },
   paymentStatus: { 
     type: String, 
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'disputed'],
     default: 'pending' 
   },
+  refunds: [refundSchema],
+  refundedAmount: { type: Number, default: 0 }, // Sum of refunds, kept alongside so the cap check is one atomic update
+  fulfilments: [fulfilmentSchema], // Per-vendor groups; the order status is derived from them
+  statusHistory: [statusChangeSchema], // Append-only, written by services/orderLifecycle.js
   trackingNumber: String,
   notes: String,
 }, { timestamps: true });
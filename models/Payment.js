@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  provider: { type: String, required: true },
+  intentId: { type: String, required: true, unique: true }, // ID assigned by the provider
+  clientSecret: String,
+  amount: { type: Number, required: true }, // Same units as Order.total
+  currency: { type: String, default: 'USD' },
+  status: {
+    type: String,
+    // 'processing' while a confirmation is with the provider
+    enum: ['requires_confirmation', 'processing', 'succeeded', 'failed', 'canceled', 'refunded'],
+    default: 'requires_confirmation'
+  },
+  refundedAmount: { type: Number, default: 0 },
+  refunds: [{
+    refundId: String, // Provider refund ID, so webhook replays of our own refunds aren't counted twice
+    amount: Number,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  disputed: { type: Boolean, default: false },
+  failureReason: String,
+}, { timestamps: true });
+
+paymentSchema.index({ order: 1, status: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// One sellable combination of option values, e.g. Size M / Color Red
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String }, // Option name -> value
+  price: { type: Number, min: 0 }, // Falls back to the product price when unset
+  stock: { type: Number, default: 0, min: 0 },
+  reorderThreshold: { type: Number, min: 0 }, // Falls back to the product's threshold
+  images: [{ type: String }],
+  barcode: String,
+  isActive: { type: Boolean, default: true },
+});
+
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
   price: { type: Number, required: true },
@@ -8,9 +20,45 @@ const productSchema = new mongoose.Schema({
   images: [{ type: String }], // Array of image paths or URLs
   vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   offer: { type: Number, default: 0 }, // Discount percentage
-  category: { type: String, default: 'general' },
-  stock: { type: Number, default: 0 },
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null }, // Primary category
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }], // Every category the product is listed in, primary first
+  stock: { type: Number, default: 0 }, // With variants, the sum of their stock
+  reorderThreshold: { type: Number, min: 0 }, // Low-stock alert level; LOW_STOCK_THRESHOLD when unset
+  options: [{ // Option definitions, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+    _id: false,
+    name: { type: String, required: true },
+    values: [{ type: String }],
+  }],
+  variants: [variantSchema],
+  weight: { type: Number, min: 0 }, // kg
+  dimensions: { // cm, used for dimensional weight
+    length: { type: Number, min: 0 },
+    width: { type: Number, min: 0 },
+    height: { type: Number, min: 0 },
+  },
   isActive: { type: Boolean, default: true },
+  // Aggregate of published reviews, kept up to date by services/reviews.js
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }, // Sum of star ratings, so the average can be adjusted incrementally
+  },
+  // Copied from related documents for the text index, kept up to date by services/search.js
+  searchMeta: {
+    categories: [{ type: String }], // Category names
+    vendor: String, // Store name, or the vendor's username
+    tokens: [{ type: String }], // Words from the name, categories and vendor, for suggestions and typo correction
+  },
 }, { timestamps: true });
 
+productSchema.index({ categories: 1 });
+productSchema.index(
+  { name: 'text', description: 'text', 'searchMeta.categories': 'text', 'searchMeta.vendor': 'text' },
+  { name: 'product_search', weights: { name: 10, 'searchMeta.categories': 4, 'searchMeta.vendor': 3, description: 1 } }
+);
+productSchema.index({ 'searchMeta.tokens': 1 });
+productSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+// SKUs are unique across the catalogue
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } });
+
 module.exports = mongoose.model('Product', productSchema); 
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId },
+  sku: String,
+  quantity: { type: Number, required: true },
+  priceAtPurchase: { type: Number, required: true },
+}, { _id: false });
+
+const returnStatusChangeSchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: { type: String, enum: ['customer', 'vendor', 'admin', 'system'], required: true },
+  note: String,
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A customer's request to send back lines of a delivered order.
+// One return covers a single vendor's items.
+const returnSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  items: [returnItemSchema],
+  reason: { type: String, required: true },
+  photos: [{ type: String }], // Upload paths
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested'
+  },
+  refundAmount: Number,
+  refundId: mongoose.Schema.Types.ObjectId, // Entry in the order's refund ledger
+  statusHistory: [returnStatusChangeSchema],
+}, { timestamps: true });
+
+returnSchema.index({ order: 1 });
+returnSchema.index({ vendor: 1, status: 1 });
+returnSchema.index({ customer: 1 });
+
+module.exports = mongoose.model('Return', returnSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A customer's review of a product they received. Only published reviews
+// count towards the product's rating.
+const reviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Product's vendor, who may reply
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Delivered order the purchase was verified against
+  verifiedPurchase: { type: Boolean, default: false },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: { type: String, trim: true },
+  text: { type: String, trim: true },
+  images: [{ type: String }], // Upload paths
+  helpfulCount: { type: Number, default: 0 },
+  helpfulVoters: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  vendorReply: {
+    text: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+  },
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  moderation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: Date,
+  },
+}, { timestamps: true });
+
+// One review per customer and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ vendor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Only hashes of refresh tokens are stored; the
+// current one is `tokenHash`, earlier ones are kept to spot reuse.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true },
+  previousHashes: [String],
+  userAgent: String,
+  ip: String,
+  deviceName: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: String, // logout, logout_all, reuse_detected, ...
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes sessions once they expire
+
+module.exports = mongoose.model('Session', sessionSchema);
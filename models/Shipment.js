@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const packageSchema = new mongoose.Schema({
+  items: [{
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    quantity: { type: Number, required: true },
+  }],
+  weight: Number, // kg
+  dimensions: {
+    length: Number,
+    width: Number,
+    height: Number,
+  },
+}, { _id: false });
+
+// One scan or status update; events are only ever appended
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'],
+    required: true
+  },
+  description: String,
+  location: String,
+  occurredAt: { type: Date, required: true },
+  estimatedDelivery: Date,
+  source: { type: String, enum: ['vendor', 'carrier'], required: true },
+  externalId: String, // Carrier event ID, so redelivered webhooks aren't stored twice
+  recordedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const shipmentSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  carrier: { type: String, required: true },
+  trackingNumber: { type: String, required: true },
+  packages: [packageSchema],
+  status: { type: String, default: 'label_created' }, // Status of the latest event
+  estimatedDelivery: Date,
+  events: [trackingEventSchema],
+}, { timestamps: true });
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'restock'];
+
+// One change to a product's (or variant's) stock. The ledger is append-only:
+// summing a product's movements gives the stock it should have.
+const stockMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Entry in product.variants
+  sku: String,
+  type: { type: String, enum: MOVEMENT_TYPES, required: true },
+  quantity: { type: Number, required: true }, // Signed: negative takes stock off the shelf
+  stockAfter: Number, // Product or variant stock right after the change, when known
+  reason: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorRole: { type: String, enum: ['customer', 'vendor', 'admin', 'system'], default: 'system' },
+  reference: { // What caused the movement
+    kind: { type: String, enum: ['Order', 'Return'] },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+stockMovementSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+// Entries are never rewritten; corrections are new adjustment movements
+function appendOnly() {
+  throw new Error('Stock movements are append-only');
+}
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], appendOnly);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], appendOnly);
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
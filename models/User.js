@@ -1,11 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLE_NAMES } = require('../services/permissions');
 
 const notificationSchema = new mongoose.Schema({
   title: { type: String, required: true },
   message: { type: String, required: true },
   type: { type: String, enum: ['info', 'success', 'warning', 'error'], default: 'info' },
   isRead: { type: Boolean, default: false },
+  event: String, // Template that produced it (config/notifications.json), also its preference key
+  reference: {
+    kind: { type: String, enum: ['Order', 'Product'] },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -33,17 +39,38 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Set to false on registration until the address is confirmed. Accounts
+  // from before verification existed have no value and count as verified.
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: true,
   },
   role: {
     type: String,
-    enum: ['customer', 'vendor', 'admin'],
+    enum: ROLE_NAMES, // Defined in services/permissions.js
     default: 'customer',
   },
   addresses: [addressSchema],
+  // Public store profile, set up when a vendor application is approved
+  store: {
+    name: String,
+    slug: String,
+    logo: String, // Upload path
+    description: String,
+    policies: {
+      shipping: String,
+      returns: String,
+    },
+  },
+  vendorSettings: {
+    freeShippingEnabled: { type: Boolean, default: true },
+    freeShippingThreshold: { type: Number, default: null }, // null = platform default from config/shipping.json
+  },
   notifications: [notificationSchema],
+  // Notification types turned off (false) or on; types not listed are on
+  notificationPreferences: { type: Map, of: Boolean, default: undefined },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -52,12 +79,20 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  deletedAt: { type: Date, default: null }, // Start of the restore grace period
+  purgedAt: { type: Date, default: null }, // Personal data removed once the grace period ended
   isBlocked: {
     type: Boolean,
     default: false,
   },
+  blockedReason: String,
+  blockedUntil: { type: Date, default: null }, // null = until an admin unblocks
+  // Part of every access token; bumping it invalidates the tokens already issued
+  tokenVersion: { type: Number, default: 0 },
 });
 
+userSchema.index({ 'store.slug': 1 }, { unique: true, partialFilterExpression: { 'store.slug': { $type: 'string' } } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -75,6 +110,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Blocks with an expiry lift themselves once it has passed
+userSchema.methods.isBlockedNow = function(now = new Date()) {
+  return this.isBlocked && (!this.blockedUntil || this.blockedUntil > now);
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (address verification, password reset).
+// Only the hash is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['email_verification', 'password_reset'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes tokens once they expire
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
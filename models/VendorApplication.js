@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A customer's request to start selling. Admins approve or reject it from
+// the review queue; approval turns the account into a vendor.
+const vendorApplicationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  storeName: { type: String, required: true, trim: true },
+  description: String,
+  contact: {
+    name: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    phone: String,
+  },
+  payout: {
+    method: { type: String, enum: ['bank_transfer', 'paypal'], required: true },
+    accountHolder: String,
+    accountNumber: String,
+    routingNumber: String,
+    paypalEmail: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewNote: String,
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: Date,
+}, { timestamps: true });
+
+vendorApplicationSchema.index({ status: 1, createdAt: 1 });
+// At most one open application per user
+vendorApplicationSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+module.exports = mongoose.model('VendorApplication', vendorApplicationSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Provider events already handled, so replays are no-ops
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  processedAt: { type: Date, default: Date.now },
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
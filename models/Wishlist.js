@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId }, // Entry in product.variants, for products with variants
+  priceWhenAdded: { type: Number }, // Unit price (after offer) when the item was added
+  addedAt: { type: Date, default: Date.now },
+});
+
+// A customer's named list of products. Every customer has one default list
+// ("Wishlist"); a list with a share token can be read by anyone who has the link.
+const wishlistSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  isDefault: { type: Boolean, default: false },
+  items: [wishlistItemSchema],
+  shareToken: { type: String, default: null }, // Set while the list is shared
+}, { timestamps: true });
+
+wishlistSchema.index({ user: 1, name: 1 }, { unique: true });
+wishlistSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+wishlistSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+// Who to tell when a product gets an offer or comes back in stock
+wishlistSchema.index({ 'items.product': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -3,19 +3,22 @@ const router = express.Router();
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const VendorApplication = require('../models/VendorApplication');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { ROLE_NAMES } = require('../services/permissions');
+const { blockUser, unblockUser } = require('../services/accounts');
+const { reviewApplication } = require('../services/vendors');
+const { findCategory } = require('../services/categories');
+const { revokeAllSessions } = require('../services/sessions');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
 
-// Middleware to check admin
-async function isAdmin(req, res, next) {
-  const user = await User.findById(req.user.userId);
-  if (!user || user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access only' });
-  }
-  next();
-}
+const manageUsers = requirePermission('users:manage', { message: 'Admin access only' });
+const reviewVendors = requirePermission('vendors:review', { message: 'Admin access only' });
 
 // List all users
-router.get('/users', auth, isAdmin, async (req, res) => {
+router.get('/users', auth, manageUsers, async (req, res) => {
   try {
     const { role, isBlocked, search } = req.query;
     let query = {};
@@ -29,15 +32,15 @@ router.get('/users', auth, isAdmin, async (req, res) => {
       ];
     }
     
-    const users = await User.find(query).select('-password');
-    res.json(users);
+    res.json(await paginate(User, query, req.query, { select: '-password' }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching users' });
   }
 });
 
 // Get user by ID
-router.get('/users/:id', auth, isAdmin, async (req, res) => {
+router.get('/users/:id', auth, manageUsers, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     if (!user) {
@@ -50,12 +53,12 @@ router.get('/users/:id', auth, isAdmin, async (req, res) => {
 });
 
 // Update user (admin only)
-router.put('/users/:id', auth, isAdmin, async (req, res) => {
+router.put('/users/:id', auth, manageUsers, async (req, res) => {
   try {
     const { username, email, role, isBlocked } = req.body;
-    const user = await User.findByIdAndUpdate(
+    let user = await User.findByIdAndUpdate(
       req.params.id,
-      { username, email, role, isBlocked },
+      { username, email, role },
       { new: true, runValidators: true }
     ).select('-password');
     
@@ -63,17 +66,22 @@ router.put('/users/:id', auth, isAdmin, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    // Blocking goes through the same path as /block so existing tokens are cut off
+    if (isBlocked === true && !user.isBlocked) user = await blockUser(user._id);
+    if (isBlocked === false && user.isBlocked) user = await unblockUser(user._id);
+    
     res.json(user);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error updating user' });
   }
 });
 
 // Change user role
-router.patch('/users/:id/role', auth, isAdmin, async (req, res) => {
+router.patch('/users/:id/role', auth, manageUsers, async (req, res) => {
   try {
     const { role } = req.body;
-    if (!['customer', 'vendor', 'admin'].includes(role)) {
+    if (!ROLE_NAMES.includes(role)) {
       return res.status(400).json({ message: 'Invalid role' });
     }
     
@@ -93,64 +101,131 @@ router.patch('/users/:id/role', auth, isAdmin, async (req, res) => {
   }
 });
 
-// Block a user (set isBlocked=true)
-router.patch('/users/:id/block', auth, isAdmin, async (req, res) => {
+// Block a user, optionally with a reason and an expiry ({ reason, until })
+// Their sessions are revoked and tokens already issued stop working.
+router.patch('/users/:id/block', auth, manageUsers, async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, { isBlocked: true }, { new: true });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
     }
+    const { reason, until } = req.body || {};
+    const user = await blockUser(req.params.id, { reason, until });
     res.json({ message: 'User blocked', user });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error blocking user' });
   }
 });
 
 // Unblock a user (set isBlocked=false)
-router.patch('/users/:id/unblock', auth, isAdmin, async (req, res) => {
+router.patch('/users/:id/unblock', auth, manageUsers, async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, { isBlocked: false }, { new: true });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const user = await unblockUser(req.params.id);
     res.json({ message: 'User unblocked', user });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error unblocking user' });
   }
 });
 
 // Delete a user
-router.delete('/users/:id', auth, isAdmin, async (req, res) => {
+router.delete('/users/:id', auth, manageUsers, async (req, res) => {
   try {
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    await revokeAllSessions(user._id, { reason: 'account_deleted' });
     res.json({ message: 'User deleted', user });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting user' });
   }
 });
 
+// Vendor application queue, oldest first (?status=pending by default)
+router.get('/vendor-applications', auth, reviewVendors, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    res.json(await paginate(VendorApplication, { status }, req.query, {
+      sort: { createdAt: 1 },
+      populate: { path: 'user', select: 'username email createdAt' },
+    }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching vendor applications' });
+  }
+});
+
+// Get a single vendor application
+router.get('/vendor-applications/:id', auth, reviewVendors, async (req, res) => {
+  try {
+    const application = await VendorApplication.findById(req.params.id)
+      .populate('user', 'username email createdAt')
+      .populate('reviewedBy', 'username');
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    res.json(application);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching vendor application' });
+  }
+});
+
+// Approve a vendor application: the applicant becomes a vendor with a store profile
+router.patch('/vendor-applications/:id/approve', auth, reviewVendors, async (req, res) => {
+  try {
+    const { application, user } = await reviewApplication(req.params.id, 'approved', {
+      actor: req.currentUser._id,
+      note: req.body?.note
+    });
+    res.json({ message: 'Application approved', application, store: user.store });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Approve vendor error:', error);
+    res.status(500).json({ message: 'Error approving application' });
+  }
+});
+
+// Reject a vendor application ({ note } is shown to the applicant)
+router.patch('/vendor-applications/:id/reject', auth, reviewVendors, async (req, res) => {
+  try {
+    const { application } = await reviewApplication(req.params.id, 'rejected', {
+      actor: req.currentUser._id,
+      note: req.body?.note
+    });
+    res.json({ message: 'Application rejected', application });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reject vendor error:', error);
+    res.status(500).json({ message: 'Error rejecting application' });
+  }
+});
+
 // List all products
-router.get('/products', auth, isAdmin, async (req, res) => {
+router.get('/products', auth, requirePermission('products:manage', { scope: 'any', message: 'Admin access only' }), async (req, res) => {
   try {
     const { vendor, category, isActive } = req.query;
     let query = {};
     
     if (vendor) query.vendor = vendor;
-    if (category) query.category = category;
+    if (category) {
+      const found = await findCategory(category);
+      if (!found) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+      query.categories = found._id;
+    }
     if (isActive !== undefined) query.isActive = isActive === 'true';
     
-    const products = await Product.find(query).populate('vendor', 'username');
-    res.json(products);
+    res.json(await paginate(Product, query, req.query, { populate: { path: 'vendor', select: 'username' } }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching products' });
   }
 });
 
 // List all orders
-router.get('/orders', auth, isAdmin, async (req, res) => {
+router.get('/orders', auth, requirePermission('orders:view', { scope: 'any', message: 'Admin access only' }), async (req, res) => {
   try {
     const { status, customer, vendor } = req.query;
     let query = {};
@@ -158,24 +233,24 @@ router.get('/orders', auth, isAdmin, async (req, res) => {
     if (status) query.status = status;
     if (customer) query.customer = customer;
     
-    let orders = Order.find(query).populate('items.product').populate('customer', 'username');
-    
     if (vendor) {
       // Filter orders by vendor's products
-      const products = await Product.find({ vendor });
+      const products = await Product.find({ vendor }).select('_id');
       const productIds = products.map(p => p._id);
-      orders = orders.find({ 'items.product': { $in: productIds } });
+      query['items.product'] = { $in: productIds };
     }
     
-    const result = await orders.exec();
-    res.json(result);
+    res.json(await paginate(Order, query, req.query, {
+      populate: ['items.product', { path: 'customer', select: 'username' }],
+    }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching orders' });
   }
 });
 
 // Get analytics data
-router.get('/analytics', auth, isAdmin, async (req, res) => {
+router.get('/analytics', auth, requirePermission('analytics:view', { message: 'Admin access only' }), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const totalProducts = await Product.countDocuments();
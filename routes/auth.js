@@ -1,16 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const auth = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { accessRefusal, restoreAccount } = require('../services/accounts');
+const {
+  validatePassword,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+} = require('../services/credentials');
+const { sendServiceError } = require('../services/errors');
 
 dotenv.config();
 
+// Device details recorded on the session
+const deviceInfo = req => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip,
+  deviceName: req.body.deviceName,
+});
+
 // Register a new user
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password, role, phone } = req.body;
+    // role is not taken from the body: everyone signs up as a customer and
+    // vendors apply through /api/vendors/applications
+    const { username, email, password, phone } = req.body;
+    validatePassword(password);
 
     // Check if user already exists
     const existingUser = await User.findOne({ $or: [{ email }, { username }] });
@@ -23,21 +44,23 @@ router.post('/register', async (req, res) => {
       username,
       email,
       password, // Will be hashed by the pre-save hook
-      role,
-      phone
+      role: 'customer',
+      phone,
+      emailVerified: false // Can't sign in until the emailed link is followed
     });
 
     await user.save();
 
-    // Generate JWT token using environment variable
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      // The account exists either way; the user can ask for the email again
+      console.error('Verification email error:', error);
+    }
 
-    res.status(201).json({ token });
+    res.status(201).json({ message: 'Registered. Check your email to verify your address before signing in.' });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Error registering user' });
   }
@@ -60,28 +83,133 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Generate JWT token using environment variable
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Blocked and deleted accounts are refused (only after the password matched, so this doesn't reveal accounts)
+    const refusal = accessRefusal(user);
+    if (refusal) throw refusal;
+    if (user.isBlocked) {
+      // A timed block that has run out
+      user.isBlocked = false;
+      user.blockedReason = undefined;
+      user.blockedUntil = null;
+      await user.save();
+    }
+
+    // Start a session: short-lived access token plus a refresh token for this device
+    const { accessToken, refreshToken } = await createSession(user, deviceInfo(req));
 
     res.json({
-      token,
+      token: accessToken,
+      refreshToken,
       greeting: `Welcome ${user.username}`
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Login error:', error);
     res.status(500).json({ message: 'Error logging in' });
   }
 });
 
-// Logout user (client-side token removal)
+// Confirm an email address from the link sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    await verifyEmail(req.body.token);
+    res.json({ message: 'Email verified, you can now sign in' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+});
+
+// Send the verification email again. The answer is the same for unknown addresses.
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    await resendVerification(email);
+    res.json({ message: 'If the address needs verifying, a new email is on its way' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
+
+// Ask for a password reset link. The answer is the same for unknown addresses.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+    await requestPasswordReset(email);
+    res.json({ message: 'If an account exists for that address, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Error requesting password reset' });
+  }
+});
+
+// Set a new password with a reset token; signs out every device
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    await resetPassword(token, password);
+    res.json({ message: 'Password reset, please sign in again' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+});
+
+// Change password (signed in); other devices are signed out
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await changePassword(req.user.userId, { currentPassword, newPassword, sessionId: req.user.sid });
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Error changing password' });
+  }
+});
+
+// Restore a deleted account within the grace period and sign in again
+router.post('/restore', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    const restored = await restoreAccount(user);
+    // A blocked account stays blocked after being restored
+    const refusal = accessRefusal(restored);
+    if (refusal) throw refusal;
+
+    const { accessToken, refreshToken } = await createSession(restored, deviceInfo(req));
+
+    res.json({
+      message: 'Account restored',
+      token: accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Restore account error:', error);
+    res.status(500).json({ message: 'Error restoring account' });
+  }
+});
+
+// Logout: revoke the current session, so its access and refresh tokens stop working
 router.post('/logout', auth, async (req, res) => {
   try {
-    // Since JWT is stateless, logout is handled client-side
-    // This endpoint can be used for logging purposes or future token blacklisting
+    await revokeSession(req.user.sid, 'logout', req.user.userId);
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -89,23 +217,31 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh-token', auth, async (req, res) => {
+// Logout all devices, including this one
+router.post('/logout-all', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Error during logout' });
+  }
+});
+
+// Refresh token: trade a refresh token for a new access/refresh pair.
+// The old refresh token stops working; presenting it again revokes the session.
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
     }
 
-    // Generate new JWT token
-    const newToken = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
+    const rotated = await rotateSession(refreshToken, { ip: req.ip });
 
-    res.json({ token: newToken });
+    res.json({ token: rotated.accessToken, refreshToken: rotated.refreshToken });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Refresh token error:', error);
     res.status(500).json({ message: 'Error refreshing token' });
   }
@@ -1,62 +1,87 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
-const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { unitPrice, priceOrder } = require('../services/orders');
+const { checkoutCart, cartItems, pickAddress } = require('../services/checkout');
+const { findVariant, lineKey } = require('../services/variants');
+const { sendServiceError } = require('../services/errors');
+
+// The cart belongs to shoppers; roles without cart:use get a 403
+const useCart = requirePermission('cart:use', { message: 'Only customers can use cart' });
 
 // Get current user's cart
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, useCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can use cart' });
-    }
-    let cart = await Cart.findOne({ customer: user._id }).populate('items.product');
+    const user = req.currentUser;
+    let cart = await Cart.findOne({ customer: user._id }).populate('items.product').populate('savedForLater.product');
     if (!cart) cart = new Cart({ customer: user._id, items: [] });
+    
+    // ?coupon=CODE previews the discount the cart would get at checkout
+    const { coupon } = req.query;
+    if (coupon && cart.items.length > 0) {
+      const { subtotal, discount, total, breakdown } = await priceOrder({
+        items: cartItems(cart),
+        couponCode: coupon,
+        customer: user._id,
+      });
+      return res.json({ ...cart.toObject(), pricing: { subtotal, discount, total, discountBreakdown: breakdown } });
+    }
     res.json(cart);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching cart' });
   }
 });
 
-// Add item to cart
-router.post('/add', auth, async (req, res) => {
+// Add item to cart; products with variants need a variant ID or SKU
+router.post('/add', auth, useCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can use cart' });
-    }
-    const { product, quantity } = req.body;
+    const user = req.currentUser;
+    const { product, variant, sku, quantity } = req.body;
     if (!product || !quantity || quantity < 1) {
       return res.status(400).json({ message: 'Product and valid quantity required' });
     }
+    const productDoc = await Product.findById(product);
+    if (!productDoc || !productDoc.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    const variantDoc = findVariant(productDoc, { variant, sku });
+    const line = { product: productDoc._id, variant: variantDoc ? variantDoc._id : undefined };
     let cart = await Cart.findOne({ customer: user._id });
     if (!cart) cart = new Cart({ customer: user._id, items: [] });
-    const itemIndex = cart.items.findIndex(i => i.product.toString() === product);
+    const price = unitPrice(productDoc, variantDoc);
+    const itemIndex = cart.items.findIndex(i => lineKey(i) === lineKey(line));
     if (itemIndex > -1) {
+      // Re-priced whenever the line changes, so checkout compares against the price the customer last saw
       cart.items[itemIndex].quantity += quantity;
+      cart.items[itemIndex].priceWhenAdded = price;
     } else {
-      cart.items.push({ product, quantity });
+      cart.items.push({ ...line, quantity, priceWhenAdded: price });
     }
     await cart.save();
     res.json(cart);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error adding to cart' });
   }
 });
 
-// Remove item from cart
-router.post('/remove', auth, async (req, res) => {
+// Lines of a product, or of one of its variants, in a list of cart lines
+const matchesLine = (item, product, variant) =>
+  item.product.toString() === product && (!variant || String(item.variant) === variant);
+
+// Remove item from cart; without a variant every variant of the product goes
+router.post('/remove', auth, useCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can use cart' });
-    }
-    const { product } = req.body;
+    const user = req.currentUser;
+    const { product, variant } = req.body;
     let cart = await Cart.findOne({ customer: user._id });
     if (!cart) return res.status(404).json({ message: 'Cart not found' });
-    cart.items = cart.items.filter(i => i.product.toString() !== product);
+    cart.items = cart.items.filter(i => !matchesLine(i, product, variant));
     await cart.save();
     res.json(cart);
   } catch (error) {
@@ -64,13 +89,90 @@ router.post('/remove', auth, async (req, res) => {
   }
 });
 
-// Clear cart
-router.post('/clear', auth, async (req, res) => {
+// Park lines in "saved for later"; without a variant every variant of the product moves
+router.post('/save-for-later', auth, useCart, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { product, variant } = req.body;
+    const cart = await Cart.findOne({ customer: user._id });
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+    const moving = cart.items.filter(i => matchesLine(i, product, variant));
+    if (moving.length === 0) {
+      return res.status(404).json({ message: 'Item not in cart' });
+    }
+    for (const item of moving) {
+      const saved = cart.savedForLater.find(i => lineKey(i) === lineKey(item));
+      if (saved) {
+        saved.quantity += item.quantity;
+      } else {
+        cart.savedForLater.push({ product: item.product, variant: item.variant, quantity: item.quantity, priceWhenAdded: item.priceWhenAdded });
+      }
+    }
+    cart.items = cart.items.filter(i => !matchesLine(i, product, variant));
+    await cart.save();
+    res.json(cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving item for later' });
+  }
+});
+
+// Move saved lines back into the cart at the current price
+router.post('/saved/move-to-cart', auth, useCart, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can use cart' });
+    const user = req.currentUser;
+    const { product, variant } = req.body;
+    if (!product || !mongoose.isValidObjectId(product)) {
+      return res.status(400).json({ message: 'Product is required' });
+    }
+    const cart = await Cart.findOne({ customer: user._id });
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+    const moving = cart.savedForLater.filter(i => matchesLine(i, product, variant));
+    if (moving.length === 0) {
+      return res.status(404).json({ message: 'Item not saved for later' });
+    }
+    const productDoc = await Product.findById(product);
+    if (!productDoc || !productDoc.isActive) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    for (const item of moving) {
+      const variantDoc = findVariant(productDoc, { variant: item.variant });
+      const price = unitPrice(productDoc, variantDoc);
+      const line = cart.items.find(i => lineKey(i) === lineKey(item));
+      if (line) {
+        line.quantity += item.quantity;
+        line.priceWhenAdded = price;
+      } else {
+        cart.items.push({ product: item.product, variant: item.variant, quantity: item.quantity, priceWhenAdded: price });
+      }
     }
+    cart.savedForLater = cart.savedForLater.filter(i => !matchesLine(i, product, variant));
+    await cart.save();
+    res.json(cart);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error moving item to cart' });
+  }
+});
+
+// Remove saved lines; without a variant every variant of the product goes
+router.post('/saved/remove', auth, useCart, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { product, variant } = req.body;
+    const cart = await Cart.findOne({ customer: user._id });
+    if (!cart) return res.status(404).json({ message: 'Cart not found' });
+    cart.savedForLater = cart.savedForLater.filter(i => !matchesLine(i, product, variant));
+    await cart.save();
+    res.json(cart);
+  } catch (error) {
+    res.status(500).json({ message: 'Error removing saved item' });
+  }
+});
+
+// Clear cart (saved-for-later lines stay)
+router.post('/clear', auth, useCart, async (req, res) => {
+  try {
+    const user = req.currentUser;
     let cart = await Cart.findOne({ customer: user._id });
     if (!cart) return res.status(404).json({ message: 'Cart not found' });
     cart.items = [];
@@ -81,4 +183,49 @@ router.post('/clear', auth, async (req, res) => {
   }
 });
 
+// Preview what checkout would charge: subtotal, discount, shipping, tax and total
+router.post('/preview', auth, useCart, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { addressId, shippingAddress, shippingMethod, couponCode } = req.body;
+    const cart = await Cart.findOne({ customer: user._id });
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+    const { summary, taxDetails, breakdown } = await priceOrder({
+      items: cartItems(cart),
+      couponCode,
+      customer: user._id,
+      shippingAddress: shippingAddress || pickAddress(user, addressId),
+      shippingMethod,
+    });
+    res.json({ summary, taxDetails, discountBreakdown: breakdown });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error previewing cart' });
+  }
+});
+
+// Checkout: turn the cart into an order
+router.post('/checkout', auth, useCart, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { addressId, shippingMethod, paymentMethod, couponCode, acceptPriceChanges } = req.body;
+    const cart = await Cart.findOne({ customer: user._id });
+    const { order, report, summary, discount } = await checkoutCart({
+      user,
+      cart,
+      addressId,
+      shippingMethod,
+      paymentMethod,
+      couponCode,
+      acceptPriceChanges: acceptPriceChanges === true,
+    });
+    res.status(201).json({ order, report, summary, discountBreakdown: discount });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error checking out cart' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -3,16 +3,17 @@ const router = express.Router();
 const Category = require('../models/Category');
 const Product = require('../models/Product');
 const auth = require('../middleware/auth');
-const User = require('../models/User');
+const { requirePermission } = require('../middleware/permissions');
+const { categoryWithDescendants } = require('../services/categories');
+const { refreshSearchMetaWhere } = require('../services/search');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+const manageCategories = requirePermission('categories:manage', { message: 'Admin access only' });
 
 // Create category (admin only)
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, manageCategories, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
-    
     const { name, description, imageUrl, parentCategory } = req.body;
     
     if (!name) {
@@ -63,7 +64,7 @@ router.get('/', async (req, res) => {
     // Add product count if requested
     if (includeProducts === 'true') {
       for (let category of result) {
-        const count = await Product.countDocuments({ category: category._id });
+        const count = await Product.countDocuments({ categories: category._id });
         category.productCount = count;
       }
     }
@@ -87,7 +88,7 @@ router.get('/:id', async (req, res) => {
     }
     
     if (includeProducts === 'true') {
-      const products = await Product.find({ category: id }).populate('vendor', 'username');
+      const products = await Product.find({ categories: id }).populate('vendor', 'username');
       category = category.toObject();
       category.products = products;
     }
@@ -100,13 +101,8 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update category (admin only)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, manageCategories, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
-    
     const { id } = req.params;
     const { name, description, imageUrl, parentCategory, isActive } = req.body;
     
@@ -132,6 +128,11 @@ router.put('/:id', auth, async (req, res) => {
       { new: true, runValidators: true }
     );
     
+    // Products carry the category name in their search fields
+    if (name && name !== category.name) {
+      await refreshSearchMetaWhere({ categories: category._id });
+    }
+    
     res.json(updatedCategory);
   } catch (error) {
     console.error('Update category error:', error);
@@ -140,17 +141,12 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // Delete category (admin only)
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, manageCategories, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access only' });
-    }
-    
     const { id } = req.params;
     
     // Check if category has products
-    const productCount = await Product.countDocuments({ category: id });
+    const productCount = await Product.countDocuments({ categories: id });
     if (productCount > 0) {
       return res.status(400).json({ 
         message: 'Cannot delete category with products. Please move or delete products first.',
@@ -206,7 +202,7 @@ router.get('/hierarchy/tree', async (req, res) => {
 router.get('/:id/products', async (req, res) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+    const { sort = 'newest' } = req.query;
     
     // Check if category exists
     const category = await Category.findById(id);
@@ -214,64 +210,43 @@ router.get('/:id/products', async (req, res) => {
       return res.status(404).json({ message: 'Category not found' });
     }
     
-    // Get all subcategories recursively
-    const getAllSubcategories = async (categoryId) => {
-      const subcategories = await Category.find({ parentCategory: categoryId });
-      let allCategories = [categoryId];
-      
-      for (const sub of subcategories) {
-        const subIds = await getAllSubcategories(sub._id);
-        allCategories = allCategories.concat(subIds);
-      }
-      
-      return allCategories;
-    };
-    
-    const categoryIds = await getAllSubcategories(id);
-    
-    let query = Product.find({ category: { $in: categoryIds } }).populate('vendor', 'username');
+    // The category and all of its subcategories
+    const categoryIds = await categoryWithDescendants(category._id);
     
     // Sorting
+    let order;
     switch (sort) {
       case 'price_asc':
-        query = query.sort({ price: 1 });
+        order = { price: 1 };
         break;
       case 'price_desc':
-        query = query.sort({ price: -1 });
+        order = { price: -1 };
         break;
       case 'newest':
-        query = query.sort({ createdAt: -1 });
+        order = { createdAt: -1 };
         break;
       case 'oldest':
-        query = query.sort({ createdAt: 1 });
+        order = { createdAt: 1 };
         break;
       case 'name_asc':
-        query = query.sort({ name: 1 });
+        order = { name: 1 };
         break;
       case 'name_desc':
-        query = query.sort({ name: -1 });
+        order = { name: -1 };
         break;
       default:
-        query = query.sort({ createdAt: -1 });
+        order = { createdAt: -1 };
     }
     
-    const total = await Product.countDocuments({ category: { $in: categoryIds } });
-    const products = await query
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-    
-    res.json({
-      products,
-      category,
-      pagination: {
-        total,
-        totalPages: Math.ceil(total / limit),
-        currentPage: parseInt(page),
-        limit: parseInt(limit)
-      }
+    const products = await paginate(Product, { categories: { $in: categoryIds } }, req.query, {
+      sort: order,
+      populate: { path: 'vendor', select: 'username' },
+      defaultLimit: 10,
     });
+    
+    res.json({ ...products, category });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Get category products error:', error);
     res.status(500).json({ message: 'Error fetching category products' });
   }
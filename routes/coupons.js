@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Coupon = require('../models/Coupon');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+const manageCoupons = requirePermission('coupons:manage', { message: 'Admin access only' });
+
+// Fields an admin may set on a coupon
+const couponFields = (body) => {
+  const {
+    code, description, type, value, maxDiscount, minOrderValue,
+    startsAt, expiresAt, usageLimit, perUserLimit, scope, isActive
+  } = body;
+  const fields = {
+    code, description, type, value, maxDiscount, minOrderValue,
+    startsAt, expiresAt, usageLimit, perUserLimit, scope, isActive
+  };
+  // Leave out what wasn't sent, so an update only touches the fields given
+  return Object.fromEntries(Object.entries(fields).filter(([, field]) => field !== undefined));
+};
+
+// Why a coupon (as it would be stored) is invalid, or null when it is fine
+const couponError = (fields) => {
+  if (typeof fields.code !== 'string' || !fields.code.trim() || !['percentage', 'fixed'].includes(fields.type) || typeof fields.value !== 'number') {
+    return 'Code, type (percentage or fixed) and numeric value are required';
+  }
+  if (fields.value <= 0) {
+    return 'Value must be greater than 0';
+  }
+  if (fields.type === 'percentage' && fields.value > 100) {
+    return 'Percentage must be between 0 and 100';
+  }
+  return null;
+};
+
+const DUPLICATE_CODE = 'Coupon code already exists';
+
+// Create coupon (admin only)
+router.post('/', auth, manageCoupons, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    
+    const fields = couponFields(req.body);
+    const invalid = couponError(fields);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+    
+    const existing = await Coupon.findOne({ code: fields.code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(409).json({ message: DUPLICATE_CODE });
+    }
+    
+    const coupon = new Coupon({ ...fields, createdBy: user._id });
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: DUPLICATE_CODE });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ message: 'Error creating coupon' });
+  }
+});
+
+// List coupons (admin only)
+router.get('/', auth, manageCoupons, async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    let query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    
+    res.json(await paginate(Coupon, query, req.query, { select: '-redemptions' }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching coupons' });
+  }
+});
+
+// Get coupon with its redemptions (admin only)
+router.get('/:id', auth, manageCoupons, async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id).populate('redemptions.user', 'username') : null;
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching coupon' });
+  }
+});
+
+// Update coupon (admin only); the result is checked like a new coupon
+router.put('/:id', auth, manageCoupons, async (req, res) => {
+  try {
+    const existing = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id).select('-redemptions') : null;
+    if (!existing) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    const changes = couponFields(req.body);
+    const invalid = couponError({ ...existing.toObject(), ...changes });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+    
+    const coupon = await Coupon.findByIdAndUpdate(
+      existing._id,
+      changes,
+      { new: true, runValidators: true }
+    ).select('-redemptions');
+    
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: DUPLICATE_CODE });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({ message: 'Error updating coupon' });
+  }
+});
+
+// Deactivate coupon (admin only); kept for the orders that used it
+router.delete('/:id', auth, manageCoupons, async (req, res) => {
+  try {
+    const coupon = mongoose.isValidObjectId(req.params.id)
+      ? await Coupon.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true }).select('-redemptions')
+      : null;
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon deactivated', coupon });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deactivating coupon' });
+  }
+});
+
+module.exports = router;
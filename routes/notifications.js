@@ -1,22 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { paginateArray } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
 
-// Get user notifications
+// Get user notifications, newest first (?page=&limit=)
 router.get('/', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const notifications = await User.findById(user._id)
-      .populate('notifications')
-      .select('notifications');
-    
-    res.json(notifications.notifications || []);
+    const notifications = [...(req.currentUser.notifications || [])].reverse();
+    res.json(paginateArray(notifications, req.query));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching notifications' });
   }
 });
@@ -24,11 +18,7 @@ router.get('/', auth, async (req, res) => {
 // Mark notification as read
 router.patch('/:id/read', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     const notificationId = req.params.id;
     if (!user.notifications) {
       return res.status(404).json({ message: 'Notification not found' });
@@ -51,11 +41,7 @@ router.patch('/:id/read', auth, async (req, res) => {
 // Mark all notifications as read
 router.patch('/read-all', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     if (user.notifications) {
       user.notifications.forEach(notification => {
         notification.isRead = true;
@@ -72,11 +58,7 @@ router.patch('/read-all', auth, async (req, res) => {
 // Delete notification
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     const notificationId = req.params.id;
     if (!user.notifications) {
       return res.status(404).json({ message: 'Notification not found' });
@@ -94,11 +76,7 @@ router.delete('/:id', auth, async (req, res) => {
 // Clear all notifications
 router.delete('/clear', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     user.notifications = [];
     await user.save();
     
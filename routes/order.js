@@ -1,256 +1,238 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const User = require('../models/User');
+const Return = require('../models/Return');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { permissionScope, hasPermission, principalId, actsAs, can, isOwner } = require('../services/permissions');
+const { placeOrder } = require('../services/orders');
+const { transitionOrder } = require('../services/orderLifecycle');
+const { transitionFulfilment, vendorView } = require('../services/fulfilment');
+const { cancelOrder } = require('../services/refunds');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+// A malformed id can't match an order, so it reads as not found
+const findOrder = id => (mongoose.isValidObjectId(id) ? Order.findById(id) : null);
 
 // Customer places an order
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requirePermission('orders:place', { message: 'Only customers can place orders' }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can place orders' });
-    }
-    const { items, shippingAddress } = req.body; // items: [{ product, quantity }]
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ message: 'No items in order' });
-    }
-    let total = 0;
-    const orderItems = [];
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({ message: 'Product not found' });
-      }
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ message: `Insufficient stock for ${product.name}` });
-      }
-      // Apply offer/discount if any
-      const discount = product.offer || 0;
-      const price = product.price * (1 - discount / 100);
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        priceAtPurchase: price,
-      });
-      total += price * item.quantity;
-      
-      // Update stock
-      await Product.findByIdAndUpdate(product._id, { stock: product.stock - item.quantity });
-    }
-    const order = new Order({
+    const user = req.currentUser;
+    const { items, shippingAddress, shippingMethod, paymentMethod, couponCode } = req.body; // items: [{ product, quantity }]
+    const { order, breakdown, summary } = await placeOrder({
       customer: user._id,
-      items: orderItems,
-      total,
+      items,
       shippingAddress,
+      shippingMethod,
+      paymentMethod,
+      couponCode
     });
-    await order.save();
-    res.status(201).json(order);
+    res.status(201).json({ ...order.toObject(), summary, discountBreakdown: breakdown });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error placing order' });
   }
 });
 
+// Customer: view their orders
+router.get('/mine', auth, requirePermission('orders:place', { message: 'Only customers can view their orders' }), async (req, res) => {
+  try {
+    res.json(await paginate(Order, { customer: req.currentUser._id }, req.query, { populate: 'items.product' }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching your orders' });
+  }
+});
+
+// Vendor: view orders for their products
+router.get('/vendor', auth, requirePermission('orders:fulfil', { message: 'Only vendors can view their orders' }), async (req, res) => {
+  try {
+    const vendorId = principalId(req.currentUser);
+    // Find all products by this vendor
+    const products = await Product.find({ vendor: vendorId }).select('_id');
+    const productIds = products.map(p => p._id);
+    // Find all orders containing these products, trimmed to the vendor's own part
+    res.json(await paginate(Order, { 'items.product': { $in: productIds } }, req.query, {
+      populate: ['items.product', { path: 'customer', select: 'username' }],
+      map: order => vendorView(order, vendorId, productIds),
+    }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching vendor orders' });
+  }
+});
+
 // Get single order by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('orders:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    const order = await Order.findById(req.params.id).populate('items.product').populate('customer', 'username');
+    const user = req.currentUser;
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findById(req.params.id).populate('items.product').populate('customer', 'username')
+      : null;
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    // Check if user can view this order
-    if (user.role === 'customer' && order.customer._id.toString() !== user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    // The customer (or anyone allowed to see every order) gets the whole order
+    if (can(user, 'orders:view', order.customer)) {
+      const returns = await Return.find({ order: order._id });
+      return res.json({ ...order.toObject(), returns });
     }
     
-    if (user.role === 'vendor') {
-      // Check if vendor has products in this order
-      const productIds = order.items.map(item => item.product._id);
-      const vendorProducts = await Product.find({ vendor: user._id, _id: { $in: productIds } });
-      if (vendorProducts.length === 0) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
+    // Vendors only see their own lines and fulfilment group
+    const vendorId = principalId(user);
+    const productIds = order.items.map(item => item.product._id);
+    const vendorProducts = await Product.find({ vendor: vendorId, _id: { $in: productIds } });
+    if (vendorProducts.length === 0) {
+      return res.status(403).json({ message: 'Access denied' });
     }
-    
-    res.json(order);
+    const returns = await Return.find({ order: order._id, vendor: vendorId });
+    res.json({ ...vendorView(order, vendorId, vendorProducts.map(p => p._id)), returns });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching order' });
   }
 });
 
 // Update order (admin only)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, requirePermission('orders:manage', { message: 'Only admins can update orders' }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'admin') {
-      return res.status(403).json({ message: 'Only admins can update orders' });
-    }
-    
-    const { status, total, shippingAddress } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status, total, shippingAddress },
-      { new: true, runValidators: true }
-    ).populate('items.product').populate('customer', 'username');
+    const user = req.currentUser;
     
+    const { status, total, shippingAddress, reason } = req.body;
+    let order = await findOrder(req.params.id);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
+    if (status && status !== order.status) {
+      const options = { actor: user._id, role: actsAs(user), reason };
+      // Cancelling also refunds a paid order
+      order = status === 'cancelled' ? await cancelOrder(order, options) : await transitionOrder(order, status, options);
+    }
+    if (total !== undefined) order.total = total;
+    if (shippingAddress !== undefined) order.shippingAddress = shippingAddress;
+    await order.save();
+    
+    await order.populate('items.product');
+    await order.populate('customer', 'username');
     res.json(order);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error updating order' });
   }
 });
 
 // Cancel order
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('orders:cancel'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    const order = await Order.findById(req.params.id);
+    const user = req.currentUser;
+    const order = await findOrder(req.params.id);
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    // Check permissions
-    if (user.role === 'customer' && order.customer.toString() !== user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    if (user.role === 'vendor') {
-      const productIds = order.items.map(item => item.product);
-      const vendorProducts = await Product.find({ vendor: user._id, _id: { $in: productIds } });
-      if (vendorProducts.length === 0) {
-        return res.status(403).json({ message: 'Access denied' });
-      }
-    }
-    
-    // Only allow cancellation if order is pending or paid
-    if (!['pending', 'paid'].includes(order.status)) {
-      return res.status(400).json({ message: 'Order cannot be cancelled at this stage' });
+    // The customer, or anyone who may cancel any order, cancels the whole order.
+    // The lifecycle rejects cancelling shipped/delivered orders and restocks the items.
+    if (can(user, 'orders:cancel', order.customer)) {
+      const cancelled = await cancelOrder(order, {
+        actor: user._id,
+        role: actsAs(user),
+        reason: req.body?.reason,
+      });
+      return res.json({ message: 'Order cancelled successfully', order: cancelled });
     }
     
-    // Restore stock if order is cancelled
-    if (order.status === 'paid') {
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, { $inc: { stock: item.quantity } });
-      }
+    // A vendor can only cancel their own part of the order
+    const vendorId = principalId(user);
+    if (!isOwner(user, (order.fulfilments || []).map(group => group.vendor))) {
+      return res.status(403).json({ message: 'Access denied' });
     }
-    
-    order.status = 'cancelled';
-    await order.save();
-    
-    res.json({ message: 'Order cancelled successfully', order });
+    const updated = await transitionFulfilment(order, vendorId, 'cancelled', {
+      actor: user._id,
+      role: actsAs(user),
+      reason: req.body?.reason,
+    });
+    res.json({ message: 'Your part of the order was cancelled', order: vendorView(updated, vendorId) });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error cancelling order' });
   }
 });
 
 // Get orders by status
-router.get('/status/:status', auth, async (req, res) => {
+router.get('/status/:status', auth, requirePermission('orders:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     const { status } = req.params;
+    const id = principalId(user);
     
     let query = { status };
+    const allOrders = permissionScope(user, 'orders:view') === 'any';
+    const asVendor = !allOrders && hasPermission(user, 'orders:fulfil');
     
-    if (user.role === 'customer') {
-      query.customer = user._id;
-    } else if (user.role === 'vendor') {
-      const products = await Product.find({ vendor: user._id });
-      const productIds = products.map(p => p._id);
-      query['items.product'] = { $in: productIds };
+    if (asVendor) {
+      // For vendors the status is that of their own fulfilment group
+      query = { fulfilments: { $elemMatch: { vendor: id, status } } };
+    } else if (!allOrders) {
+      query.customer = id;
     }
     
-    const orders = await Order.find(query).populate('items.product').populate('customer', 'username');
-    res.json(orders);
+    res.json(await paginate(Order, query, req.query, {
+      populate: ['items.product', { path: 'customer', select: 'username' }],
+      map: asVendor ? order => vendorView(order, id) : undefined,
+    }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching orders by status' });
   }
 });
 
-// Customer: view their orders
-router.get('/mine', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can view their orders' });
-    }
-    const orders = await Order.find({ customer: user._id }).populate('items.product');
-    res.json(orders);
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching your orders' });
-  }
-});
-
-// Vendor: view orders for their products
-router.get('/vendor', auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can view their orders' });
-    }
-    // Find all products by this vendor
-    const products = await Product.find({ vendor: user._id });
-    const productIds = products.map(p => p._id);
-    // Find all orders containing these products
-    const orders = await Order.find({ 'items.product': { $in: productIds } }).populate('items.product').populate('customer', 'username');
-    res.json(orders);
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching vendor orders' });
-  }
-});
-
 // Customer marks order as paid (simulate payment)
-router.patch('/:id/pay', auth, async (req, res) => {
+router.patch('/:id/pay', auth, requirePermission('orders:pay', { message: 'Only customers can pay for orders' }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'customer') {
-      return res.status(403).json({ message: 'Only customers can pay for orders' });
-    }
-    const order = await Order.findOne({ _id: req.params.id, customer: user._id });
-    if (!order) {
+    const user = req.currentUser;
+    const order = await findOrder(req.params.id);
+    if (!order || !can(user, 'orders:pay', order.customer)) {
       return res.status(404).json({ message: 'Order not found' });
     }
-    if (order.status !== 'pending') {
-      return res.status(400).json({ message: 'Order is not pending' });
-    }
-    order.status = 'paid';
-    await order.save();
-    res.json(order);
+    const paid = await transitionOrder(order, 'paid', { actor: user._id, role: actsAs(user) });
+    res.json(paid);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error updating order status' });
   }
 });
 
-// Vendor updates order status (shipped, delivered, cancelled)
-router.patch('/:id/status', auth, async (req, res) => {
+// Vendor updates the status of their fulfilment group (shipped, delivered, cancelled)
+router.patch('/:id/status', auth, requirePermission('orders:fulfil', { message: 'Only vendors can update order status' }), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can update order status' });
-    }
-    const { status } = req.body;
-    const validStatuses = ['shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
-    }
+    const user = req.currentUser;
+    const vendorId = principalId(user);
+    const { status, reason, trackingNumber } = req.body;
     // Vendor can only update orders for their products
-    const products = await Product.find({ vendor: user._id });
+    const products = await Product.find({ vendor: vendorId });
     const productIds = products.map(p => p._id);
-    const order = await Order.findOne({ _id: req.params.id, 'items.product': { $in: productIds } });
+    const order = mongoose.isValidObjectId(req.params.id)
+      ? await Order.findOne({ _id: req.params.id, 'items.product': { $in: productIds } })
+      : null;
     if (!order) {
       return res.status(404).json({ message: 'Order not found or not related to your products' });
     }
-    order.status = status;
-    await order.save();
-    res.json(order);
+    // Only the vendor's own group moves; the order status follows from all groups
+    const updated = await transitionFulfilment(order, vendorId, status, {
+      actor: user._id,
+      role: actsAs(user),
+      reason,
+      trackingNumber,
+    });
+    res.json(vendorView(updated, vendorId, productIds));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error updating order status' });
   }
 });
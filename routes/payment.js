@@ -1,177 +1,160 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { hasPermission, actsAs, can, ownedFilter } = require('../services/permissions');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+const { createIntentForOrder, confirmPayment, getProvider } = require('../services/payments');
+const { issueRefund } = require('../services/refunds');
+const { handleWebhookEvent } = require('../services/payments/webhooks');
 
 // Create payment intent
-router.post('/create-intent', auth, async (req, res) => {
+router.post('/create-intent', auth, requirePermission('orders:pay'), async (req, res) => {
   try {
-    const { orderId, amount, currency = 'USD' } = req.body;
+    const { orderId, currency = 'USD' } = req.body;
     
-    if (!orderId || !amount) {
-      return res.status(400).json({ message: 'Order ID and amount are required' });
+    if (!orderId) {
+      return res.status(400).json({ message: 'Order ID is required' });
     }
 
-    const user = await User.findById(req.user.userId);
     const order = await Order.findById(orderId);
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    if (order.customer.toString() !== user._id.toString()) {
+    if (!can(req.currentUser, 'orders:pay', order.customer)) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    if (order.status !== 'pending') {
-      return res.status(400).json({ message: 'Order is not pending payment' });
-    }
-    
-    // Simulate payment intent creation (replace with actual payment gateway)
-    const paymentIntent = {
-      id: `pi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      amount: amount * 100, // Convert to cents
-      currency: currency,
-      status: 'requires_payment_method',
-      orderId: orderId,
-      clientSecret: `pi_${Date.now()}_secret_${Math.random().toString(36).substr(2, 9)}`
-    };
+    // The amount is taken from the order, never from the request
+    const payment = await createIntentForOrder(order, { currency });
     
     res.json({
-      paymentIntent,
+      paymentIntent: {
+        id: payment.intentId,
+        amount: Math.round(payment.amount * 100), // Convert to cents
+        currency: payment.currency,
+        status: payment.status,
+        orderId: orderId,
+        clientSecret: payment.clientSecret
+      },
       message: 'Payment intent created successfully'
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Payment intent error:', error);
     res.status(500).json({ message: 'Error creating payment intent' });
   }
 });
 
 // Confirm payment
-router.post('/confirm', auth, async (req, res) => {
+router.post('/confirm', auth, requirePermission('orders:pay'), async (req, res) => {
   try {
-    const { paymentIntentId, orderId } = req.body;
+    const { paymentIntentId, orderId, paymentMethod } = req.body;
     
     if (!paymentIntentId || !orderId) {
       return res.status(400).json({ message: 'Payment intent ID and order ID are required' });
     }
     
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     const order = await Order.findById(orderId);
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    if (order.customer.toString() !== user._id.toString()) {
+    if (!can(user, 'orders:pay', order.customer)) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    // Simulate payment confirmation (replace with actual payment gateway)
-    order.status = 'paid';
-    order.paymentStatus = 'paid';
-    order.paymentMethod = 'card';
-    await order.save();
+    const { order: paid } = await confirmPayment(order, paymentIntentId, { actor: user._id, paymentMethod });
     
     res.json({
       message: 'Payment confirmed successfully',
       order: {
-        id: order._id,
-        status: order.status,
-        paymentStatus: order.paymentStatus
+        id: paid._id,
+        status: paid.status,
+        paymentStatus: paid.paymentStatus
       }
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Payment confirmation error:', error);
     res.status(500).json({ message: 'Error confirming payment' });
   }
 });
 
-// Process refund
-router.post('/refund', auth, async (req, res) => {
+// Process refund (full, partial, or for selected lines)
+router.post('/refund', auth, requirePermission('payments:refund', { message: 'Only admins can issue refunds; customers can request a return' }), async (req, res) => {
   try {
-    const { orderId, amount, reason } = req.body;
+    const { orderId, amount, reason, items, restock } = req.body;
     
-    if (!orderId || !amount) {
-      return res.status(400).json({ message: 'Order ID and amount are required' });
+    if (!orderId || (amount === undefined && !Array.isArray(items))) {
+      return res.status(400).json({ message: 'Order ID and an amount or items are required' });
     }
     
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     const order = await Order.findById(orderId);
     
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    // Only admin or the customer can request refund
-    if (user.role !== 'admin' && order.customer.toString() !== user._id.toString()) {
+    // Refunds are an admin decision; customers get their money back through returns
+    if (!can(user, 'payments:refund', order.customer)) {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    if (order.paymentStatus !== 'paid') {
-      return res.status(400).json({ message: 'Order is not paid' });
-    }
-    
-    if (amount > order.total) {
-      return res.status(400).json({ message: 'Refund amount cannot exceed order total' });
-    }
-    
-    // Simulate refund processing (replace with actual payment gateway)
-    const refund = {
-      id: `re_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      amount: amount,
-      reason: reason || 'Customer request',
-      status: 'succeeded',
-      orderId: orderId
-    };
-    
-    // Update order status if full refund
-    if (amount === order.total) {
-      order.status = 'refunded';
-      order.paymentStatus = 'refunded';
-    }
-    
-    await order.save();
+    // Putting refunded items back on sale needs its own permission
+    const { refund, providerRefund, order: updated } = await issueRefund(order, {
+      amount,
+      reason,
+      items,
+      restock: hasPermission(user, 'payments:restock') && restock === true,
+      actor: user._id,
+      role: actsAs(user)
+    });
     
     res.json({
-      refund,
+      refund: {
+        id: providerRefund.id,
+        ledgerId: refund._id,
+        amount: refund.amount,
+        reason: refund.reason,
+        items: refund.items,
+        restocked: refund.restocked,
+        status: providerRefund.status,
+        orderId: orderId
+      },
+      refundedAmount: updated.refundedAmount,
+      paymentStatus: updated.paymentStatus,
       message: 'Refund processed successfully'
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Refund error:', error);
     res.status(500).json({ message: 'Error processing refund' });
   }
 });
 
 // Get payment history
-router.get('/history', auth, async (req, res) => {
+router.get('/history', auth, requirePermission('payments:view'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    const { page = 1, limit = 10 } = req.query;
-    
-    let query = {};
-    
-    if (user.role === 'customer') {
-      query.customer = user._id;
-    }
+    const user = req.currentUser;
     
-    const orders = await Order.find(query)
-      .select('_id total status paymentStatus paymentMethod createdAt')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('customer', 'username');
+    // Customers see their own orders, roles with 'any' scope every order
+    const query = ownedFilter(user, 'payments:view', 'customer');
     
-    const total = await Order.countDocuments(query);
-    
-    res.json({
-      payments: orders,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
-    });
+    res.json(await paginate(Order, query, req.query, {
+      select: '_id customer total status paymentStatus paymentMethod refundedAmount refunds createdAt',
+      populate: { path: 'customer', select: 'username' },
+      defaultLimit: 10
+    }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Payment history error:', error);
     res.status(500).json({ message: 'Error fetching payment history' });
   }
@@ -180,35 +163,14 @@ router.get('/history', auth, async (req, res) => {
 // Payment webhook (for payment gateway callbacks)
 router.post('/webhook', async (req, res) => {
   try {
-    const { type, data } = req.body;
-    
-    // Handle different webhook events
-    switch (type) {
-      case 'payment_intent.succeeded':
-        // Update order status when payment succeeds
-        if (data.object.metadata && data.object.metadata.orderId) {
-          await Order.findByIdAndUpdate(data.object.metadata.orderId, {
-            status: 'paid',
-            paymentStatus: 'paid'
-          });
-        }
-        break;
-        
-      case 'payment_intent.payment_failed':
-        // Handle failed payment
-        if (data.object.metadata && data.object.metadata.orderId) {
-          await Order.findByIdAndUpdate(data.object.metadata.orderId, {
-            paymentStatus: 'failed'
-          });
-        }
-        break;
-        
-      default:
-        console.log(`Unhandled webhook type: ${type}`);
-    }
+    // The provider verifies the signature over the raw body before we trust anything in it
+    const provider = getProvider();
+    const event = provider.parseWebhook(req.rawBody || '', req.headers);
+    const result = await handleWebhookEvent(provider.name, event);
     
-    res.json({ received: true });
+    res.json({ received: true, duplicate: Boolean(result.duplicate) });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Webhook error:', error);
     res.status(400).json({ message: 'Webhook error' });
   }
@@ -1,64 +1,96 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Product = require('../models/Product');
 const auth = require('../middleware/auth');
-const User = require('../models/User');
-const multer = require('multer');
-const path = require('path');
+const { requirePermission } = require('../middleware/permissions');
+const { ownedFilter, principalId, actsAs } = require('../services/permissions');
+const { createUpload, uploadedPath } = require('../middleware/upload');
+const { findVendor, storeProfile } = require('../services/vendors');
+const { normaliseVariants } = require('../services/variants');
+const { findCategory, resolveCategories, categoryWithDescendants } = require('../services/categories');
+const { searchProducts, refreshSearchMeta } = require('../services/search');
+const { setStock, adjustStock, recordMovements, stockDifferences } = require('../services/stock');
+const { lowStockFilter, lowStockVariants, movementHistory, reconcileStock } = require('../services/inventory');
+const { publish } = require('../services/events');
+const { paginate } = require('../services/pagination');
+const { ServiceError, sendServiceError } = require('../services/errors');
+
+// Vendor fields shown next to a product
+const VENDOR_FIELDS = 'username store.name store.slug store.logo';
 
 // Multer setup for product images
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, path.join(__dirname, '../uploads/products'));
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname);
+const upload = createUpload('products');
+
+const manageProducts = requirePermission('products:manage', { message: 'Only vendors and admins can manage products' });
+
+// A product the user may change: any product with 'any' scope, otherwise only their own
+// (a malformed id is not found either)
+function manageableProduct(user, id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ServiceError(404, 'Product not found or not owned by you');
   }
-});
-const upload = multer({ storage });
+  return { _id: id, ...ownedFilter(user, 'products:manage', 'vendor') };
+}
+
+// Who a stock movement is booked to
+const stockActor = (user, reason) => ({ actor: user._id, actorRole: actsAs(user), reason });
 
-// Vendor or Admin adds a new product
-router.post('/', auth, async (req, res) => {
+// Vendor or Admin adds a new product, optionally with options and variants
+router.post('/', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || (user.role !== 'vendor' && user.role !== 'admin')) {
-      return res.status(403).json({ message: 'Only vendors and admins can add products' });
-    }
-    const { name, price, description, imageUrl, offer, category, stock } = req.body;
+    const user = req.currentUser;
+    const { name, price, description, imageUrl, offer, category, categories, stock, weight, dimensions, reorderThreshold, options, variants } = req.body;
+    // With variants, stock is kept per variant and the product holds the sum
+    const variantFields = variants !== undefined ? normaliseVariants(options || [], variants) : {};
+    // category is the primary category, categories any extra ones (IDs or slugs)
+    const categoryFields = await resolveCategories(category, categories);
     const product = new Product({
       name,
       price,
       description,
       imageUrl,
-      vendor: user._id, // For admin, this will be their own user ID unless you want to allow specifying vendor
+      vendor: principalId(user), // For admin, this will be their own user ID unless you want to allow specifying vendor
       offer: offer || 0,
-      category: category || 'general',
+      ...categoryFields,
       stock: stock || 0,
+      reorderThreshold,
+      weight,
+      dimensions,
+      ...variantFields,
     });
     await product.save();
+    await refreshSearchMeta(product._id);
+    // Opening stock is the product's first ledger entry
+    await recordMovements(stockDifferences(null, product), { type: 'restock', ...stockActor(user, 'Initial stock') });
     res.status(201).json(product);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A SKU is already used by another product' });
+    }
     res.status(500).json({ message: 'Error adding product' });
   }
 });
 
-// Customer or anyone: list all products
+// Customer or anyone: list all products (paged, see services/pagination.js)
 router.get('/', async (req, res) => {
   try {
-    const { search, category, minPrice, maxPrice, sort } = req.query;
+    const { search, category, minPrice, maxPrice, minRating, sort } = req.query;
     let query = {};
     
-    // Search functionality
+    // Search functionality: text index, best matches first unless another sort is asked for
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      query.$text = { $search: String(search) };
     }
     
-    // Category filter
+    // Category filter: ID or slug, including its subcategories
     if (category) {
-      query.category = category;
+      const found = await findCategory(category);
+      if (!found) {
+        return res.status(404).json({ message: 'Category not found' });
+      }
+      query.categories = { $in: await categoryWithDescendants(found._id) };
     }
     
     // Price range filter
@@ -68,37 +100,90 @@ router.get('/', async (req, res) => {
       if (maxPrice) query.price.$lte = parseFloat(maxPrice);
     }
     
-    let products = Product.find(query).populate('vendor', 'username');
+    // Rating filter: average of published reviews, e.g. minRating=4 for 4 stars and up
+    if (minRating) {
+      query['rating.average'] = { $gte: parseFloat(minRating) };
+    }
     
     // Sorting
-    if (sort) {
+    let order = { createdAt: -1 };
+    if (search && !sort) {
+      order = { score: { $meta: 'textScore' } };
+    } else if (sort) {
       switch (sort) {
         case 'price_asc':
-          products = products.sort({ price: 1 });
+          order = { price: 1 };
           break;
         case 'price_desc':
-          products = products.sort({ price: -1 });
+          order = { price: -1 };
           break;
         case 'newest':
-          products = products.sort({ createdAt: -1 });
+          order = { createdAt: -1 };
           break;
         case 'oldest':
-          products = products.sort({ createdAt: 1 });
+          order = { createdAt: 1 };
+          break;
+        case 'rating_desc':
+          order = { 'rating.average': -1, 'rating.count': -1 };
+          break;
+        case 'rating_asc':
+          order = { 'rating.average': 1, 'rating.count': -1 };
+          break;
+        case 'most_reviewed':
+          order = { 'rating.count': -1 };
           break;
       }
     }
     
-    const result = await products.exec();
-    res.json(result);
+    res.json(await paginate(Product, query, req.query, {
+      sort: order,
+      projection: search ? { score: { $meta: 'textScore' } } : undefined,
+      populate: { path: 'vendor', select: VENDOR_FIELDS },
+    }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching products' });
   }
 });
 
+// Vendor: list their own products
+router.get('/mine', auth, manageProducts, async (req, res) => {
+  try {
+    res.json(await paginate(Product, { vendor: principalId(req.currentUser) }, req.query));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching your products' });
+  }
+});
+
+// Get products at or below their reorder threshold; for products with
+// variants, lowStockVariants lists the active variants running low
+router.get('/out-of-stock', auth, manageProducts, async (req, res) => {
+  try {
+    const query = { 
+      vendor: principalId(req.currentUser), 
+      ...lowStockFilter()
+    };
+    
+    res.json(await paginate(Product, query, req.query, {
+      sort: { stock: 1 },
+      map: product => ({
+        ...product.toObject(),
+        lowStockVariants: lowStockVariants(product)
+      })
+    }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching stock alerts' });
+  }
+});
+
 // Get single product by ID
 router.get('/:id', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('vendor', 'username');
+    const product = mongoose.isValidObjectId(req.params.id)
+      ? await Product.findById(req.params.id).populate('vendor', VENDOR_FIELDS).populate('categories', 'name slug')
+      : null;
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
@@ -108,108 +193,107 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Search products
+// Search products (results only; /api/search adds filters and facets)
 router.get('/search/:query', async (req, res) => {
   try {
-    const { query } = req.params;
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } }
-      ]
-    }).populate('vendor', 'username');
-    res.json(products);
+    res.json(await searchProducts({ q: req.params.query, facets: false }, req.query));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error searching products' });
   }
 });
 
-// Get products by category
+// Get products by category (ID or slug)
 router.get('/category/:category', async (req, res) => {
   try {
-    const { category } = req.params;
-    const products = await Product.find({ category }).populate('vendor', 'username');
-    res.json(products);
+    const category = await findCategory(req.params.category);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    res.json(await paginate(Product, { categories: category._id }, req.query, {
+      populate: { path: 'vendor', select: VENDOR_FIELDS }
+    }));
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching products by category' });
   }
 });
 
-// Get products by vendor
-router.get('/vendor/:vendorId', async (req, res) => {
-  try {
-    const { vendorId } = req.params;
-    const products = await Product.find({ vendor: vendorId }).populate('vendor', 'username');
-    res.json(products);
-  } catch (error) {
-    res.status(500).json({ message: 'Error fetching vendor products' });
-  }
-});
-
-// Vendor: list their own products
-router.get('/mine', auth, async (req, res) => {
+// Get a vendor's store profile and a page of their active products (:vendor is an ID or store slug)
+router.get('/vendor/:vendor', async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can view their products' });
+    const vendor = await findVendor(req.params.vendor);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
     }
-    const products = await Product.find({ vendor: user._id });
-    res.json(products);
+    const products = await paginate(Product, { vendor: vendor._id, isActive: true }, req.query);
+    res.json({ vendor: storeProfile(vendor), ...products });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching your products' });
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching vendor products' });
   }
 });
 
 // Vendor or Admin updates product (PUT)
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || (user.role !== 'vendor' && user.role !== 'admin')) {
-      return res.status(403).json({ message: 'Only vendors and admins can update products' });
+    const { name, price, description, imageUrl, offer, category, categories, stock, weight, dimensions, reorderThreshold, options, variants } = req.body;
+    const update = { name, price, description, imageUrl, offer, stock, weight, dimensions, reorderThreshold };
+    if (category !== undefined || categories !== undefined) {
+      // Replaces the primary and extra categories together
+      Object.assign(update, await resolveCategories(category, categories));
     }
-    const { name, price, description, imageUrl, offer, category, stock } = req.body;
-    let product;
-    if (user.role === 'vendor') {
-      // Vendor can only update their own products
-      product = await Product.findOneAndUpdate(
-        { _id: req.params.id, vendor: user._id },
-        { name, price, description, imageUrl, offer, category, stock },
-        { new: true, runValidators: true }
-      );
-    } else if (user.role === 'admin') {
-      // Admin can update any product
-      product = await Product.findByIdAndUpdate(
-        req.params.id,
-        { name, price, description, imageUrl, offer, category, stock },
-        { new: true, runValidators: true }
-      );
+    // Vendors can only update their own products, admins any
+    const filter = manageableProduct(req.currentUser, req.params.id);
+    if (options !== undefined || variants !== undefined) {
+      // Replaces the whole variant list; stock becomes the sum of the variants
+      Object.assign(update, normaliseVariants(options, variants));
+    } else if (stock !== undefined) {
+      // Products with variants only take stock per variant
+      filter['variants.0'] = { $exists: false };
     }
-    if (!product) {
+    // Read the pre-image so stock changes can be booked in the ledger
+    const before = await Product.findOneAndUpdate(filter, update, { new: false, runValidators: true });
+    if (!before) {
+      if (stock !== undefined && await Product.exists(manageableProduct(req.currentUser, req.params.id))) {
+        return res.status(400).json({ message: 'This product has variants, set stock per variant' });
+      }
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
+    if (name !== undefined || update.categories) {
+      await refreshSearchMeta(before._id);
+    }
+    if (stock !== undefined || update.variants) {
+      // Book what this update wrote, not a re-read that may include other writes
+      const written = {
+        _id: before._id,
+        stock: update.stock !== undefined ? Number(update.stock) : before.stock,
+        variants: update.variants || before.variants,
+      };
+      const entries = stockDifferences(before, written);
+      await recordMovements(entries, { type: 'adjustment', ...stockActor(req.currentUser, 'Product updated') });
+      await publish('stock.changed', { entries });
+    }
+    const product = await Product.findById(before._id);
+    if (product.offer !== before.offer) {
+      await publish('product.offer_changed', { product, previousOffer: before.offer });
+    }
     res.json(product);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A SKU is already used by another product' });
+    }
     console.error('Update product error:', error);
     res.status(500).json({ message: 'Error updating product' });
   }
 });
 
 // Vendor/Admin deletes product
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || (user.role !== 'vendor' && user.role !== 'admin')) {
-      return res.status(403).json({ message: 'Only vendors and admins can delete products' });
-    }
-    
-    let product;
-    if (user.role === 'vendor') {
-      // Vendor can only delete their own products
-      product = await Product.findOneAndDelete({ _id: req.params.id, vendor: user._id });
-    } else if (user.role === 'admin') {
-      // Admin can delete any product
-      product = await Product.findByIdAndDelete(req.params.id);
-    }
+    // Vendors can only delete their own products, admins any
+    const product = await Product.findOneAndDelete(manageableProduct(req.currentUser, req.params.id));
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -217,100 +301,172 @@ router.delete('/:id', auth, async (req, res) => {
     
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Delete product error:', error);
     res.status(500).json({ message: 'Error deleting product' });
   }
 });
 
-// Update product stock
-router.patch('/:id/stock', auth, async (req, res) => {
+// Update product stock (a stock count); products with variants take a variant ID or SKU.
+// The difference is booked in the stock ledger as an adjustment.
+router.patch('/:id/stock', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can update stock' });
-    }
-    
-    const { stock } = req.body;
-    if (typeof stock !== 'number' || stock < 0) {
+    const { stock, variant, sku, reason } = req.body;
+    if (typeof stock !== 'number') {
       return res.status(400).json({ message: 'Stock must be a non-negative number' });
     }
     
-    const product = await Product.findOneAndUpdate(
-      { _id: req.params.id, vendor: user._id },
-      { stock },
-      { new: true }
+    const product = await setStock(
+      manageableProduct(req.currentUser, req.params.id),
+      stock,
+      { variant, sku },
+      stockActor(req.currentUser, reason || 'Stock count')
     );
-    
+    res.json(product);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error updating stock' });
+  }
+});
+
+// Receive a delivery: add quantity to a product's (or variant's) stock
+router.post('/:id/restock', auth, manageProducts, async (req, res) => {
+  try {
+    const { quantity, variant, sku, reason } = req.body;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+    const product = await adjustStock(
+      manageableProduct(req.currentUser, req.params.id),
+      quantity,
+      { variant, sku },
+      stockActor(req.currentUser, reason || 'Restocked')
+    );
+    res.json(product);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error restocking product' });
+  }
+});
+
+// Set the reorder threshold of a product, or of one variant
+router.patch('/:id/reorder-threshold', auth, manageProducts, async (req, res) => {
+  try {
+    const { reorderThreshold, variant } = req.body;
+    if (reorderThreshold !== null && (typeof reorderThreshold !== 'number' || reorderThreshold < 0)) {
+      return res.status(400).json({ message: 'Reorder threshold must be a non-negative number, or null to use the default' });
+    }
+    if (variant && !mongoose.isValidObjectId(variant)) {
+      return res.status(400).json({ message: 'Invalid variant ID' });
+    }
+    const filter = manageableProduct(req.currentUser, req.params.id);
+    const product = variant
+      ? await Product.findOneAndUpdate({ ...filter, 'variants._id': variant }, { 'variants.$.reorderThreshold': reorderThreshold }, { new: true })
+      : await Product.findOneAndUpdate(filter, { reorderThreshold }, { new: true });
     if (!product) {
-      return res.status(404).json({ message: 'Product not found or not owned by you' });
+      return res.status(404).json({ message: variant ? 'Variant not found' : 'Product not found or not owned by you' });
     }
-    
     res.json(product);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating stock' });
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error updating reorder threshold' });
   }
 });
 
-// Get out of stock products
-router.get('/out-of-stock', auth, async (req, res) => {
+// Stock movement history of a product (?variant=&type=&page=&limit=)
+router.get('/:id/stock/movements', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can view stock alerts' });
+    const product = await Product.findOne(manageableProduct(req.currentUser, req.params.id));
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
-    
-    const products = await Product.find({ 
-      vendor: user._id, 
-      stock: { $lte: 5 } 
-    });
-    
-    res.json(products);
+    const { variant, type } = req.query;
+    if (variant && !mongoose.isValidObjectId(variant)) {
+      return res.status(400).json({ message: 'Invalid variant ID' });
+    }
+    res.json(await movementHistory(product._id, { variant, type }, req.query));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching stock alerts' });
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching stock movements' });
   }
 });
 
-// Vendor updates offer/discount on their product
-router.patch('/:id/offer', auth, async (req, res) => {
+// Compare current stock with the ledger
+router.get('/:id/stock/reconcile', auth, manageProducts, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can update offers' });
+    const product = await Product.findOne(manageableProduct(req.currentUser, req.params.id));
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
+    res.json(await reconcileStock(product));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error reconciling stock' });
+  }
+});
+
+// Book any difference between stock and ledger as an adjustment
+router.post('/:id/stock/reconcile', auth, manageProducts, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const product = await Product.findOne(manageableProduct(user, req.params.id));
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found or not owned by you' });
+    }
+    res.json(await reconcileStock(product, { apply: true, actor: user._id, actorRole: actsAs(user) }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error reconciling stock' });
+  }
+});
+
+// Vendor (or admin) updates offer/discount on a product
+router.patch('/:id/offer', auth, manageProducts, async (req, res) => {
+  try {
     const { offer } = req.body;
     if (typeof offer !== 'number' || offer < 0 || offer > 100) {
       return res.status(400).json({ message: 'Offer must be a number between 0 and 100' });
     }
-    const product = await Product.findOneAndUpdate(
-      { _id: req.params.id, vendor: user._id },
+    const before = await Product.findOneAndUpdate(
+      manageableProduct(req.currentUser, req.params.id),
       { offer },
-      { new: true }
+      { new: false }
     );
-    if (!product) {
+    if (!before) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
+    const product = await Product.findById(before._id);
+    if (product.offer !== before.offer) {
+      await publish('product.offer_changed', { product, previousOffer: before.offer });
+    }
     res.json(product);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error updating offer' });
   }
 });
 
-// Vendor uploads product images
-router.post('/:id/images', auth, upload.array('images', 5), async (req, res) => {
+// Vendor (or admin) uploads product images, or a variant's with ?variant=<id>
+router.post('/:id/images', auth, manageProducts, upload.array('images', 5), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || user.role !== 'vendor') {
-      return res.status(403).json({ message: 'Only vendors can upload images' });
-    }
-    const product = await Product.findOne({ _id: req.params.id, vendor: user._id });
+    const product = await Product.findOne(manageableProduct(req.currentUser, req.params.id));
     if (!product) {
       return res.status(404).json({ message: 'Product not found or not owned by you' });
     }
-    const imagePaths = req.files.map(file => '/uploads/products/' + file.filename);
-    product.images = product.images.concat(imagePaths);
+    const imagePaths = req.files.map(file => uploadedPath('products', file));
+    if (req.query.variant) {
+      const variant = product.variants.find(v => v._id.toString() === req.query.variant);
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+      variant.images = variant.images.concat(imagePaths);
+    } else {
+      product.images = product.images.concat(imagePaths);
+    }
     await product.save();
     res.json(product);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error uploading images' });
   }
 });
@@ -2,52 +2,120 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { listSessions, revokeSession } = require('../services/sessions');
+const { deleteAccount } = require('../services/accounts');
+const { sendVerificationEmail } = require('../services/credentials');
+const { sendServiceError } = require('../services/errors');
+const { preferencesFor, updatePreferences } = require('../services/notifications');
 
 // Get current user's profile
 router.get('/', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    res.json(user);
+    // Loaded by auth, without the password
+    res.json(req.currentUser);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching profile' });
   }
 });
 
+// Fields a user can change on their own profile. Password, role, account
+// state, notifications and the store profile have their own routes.
+const PROFILE_FIELDS = ['username', 'email', 'phone', 'addresses'];
+
 // Update current user's profile
 router.put('/', auth, async (req, res) => {
   try {
-    const updates = req.body;
-    // Prevent password and role updates here for security
-    delete updates.password;
-    delete updates.role;
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (updates.email !== undefined) updates.email = String(updates.email).trim().toLowerCase();
+
+    const taken = [];
+    if (updates.username !== undefined) taken.push({ username: updates.username });
+    if (updates.email !== undefined) taken.push({ email: updates.email });
+    if (taken.length && await User.exists({ _id: { $ne: req.user.userId }, $or: taken })) {
+      return res.status(400).json({ message: 'Username or email is already in use' });
+    }
+
+    // A new email address has to be confirmed before it can be used to sign in
+    const emailChanged = updates.email !== undefined && updates.email !== req.currentUser.email;
+    if (emailChanged) {
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.userId, updates, { new: true, runValidators: true }).select('-password');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        // The change stands either way; the user can ask for the email again
+        console.error('Verification email error:', error);
+      }
+    }
     res.json(user);
   } catch (error) {
     res.status(500).json({ message: 'Error updating profile' });
   }
 });
 
-// Soft delete current user's account
+// Soft delete current user's account; it can be restored within the grace period
 router.delete('/', auth, async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.user.userId,
-      { isDeleted: true },
-      { new: true }
-    ).select('-password');
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    res.json({ message: 'Account deleted (soft delete)', user });
+    const { user, restoreBy } = await deleteAccount(req.user.userId);
+    res.json({ message: 'Account deleted (soft delete)', restoreBy, user });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error deleting account' });
   }
 });
 
+// Notification types the current user can receive and whether each is on
+router.get('/notification-preferences', auth, async (req, res) => {
+  try {
+    res.json(preferencesFor(req.currentUser));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notification preferences' });
+  }
+});
+
+// Turn notification types on or off: { "preferences": { "order_status": false } }
+router.put('/notification-preferences', auth, async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.currentUser, req.body.preferences || req.body);
+    res.json(preferences);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error updating notification preferences' });
+  }
+});
+
+// Signed-in devices for the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sid);
+    res.json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+});
+
+// Log out one device
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.id, 'logout', req.user.userId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking session' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { actsAs, can, ownedFilter } = require('../services/permissions');
+const { createUpload, uploadedPath, removeUploads } = require('../middleware/upload');
+const { requestReturn, transitionReturn, refundReturn } = require('../services/returns');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+// Multer setup for return photos
+const upload = createUpload('returns');
+
+// Customer opens a return on a delivered order (multipart, optional photos)
+router.post('/', auth, requirePermission('returns:request', { message: 'Only customers can request returns' }), upload.array('photos', 5), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { orderId, reason } = req.body;
+    // items arrives as a JSON string when sent as multipart form data
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        await removeUploads(req.files);
+        return res.status(400).json({ message: 'Items must be valid JSON' });
+      }
+    }
+    const order = await Order.findOne({ _id: orderId, customer: user._id });
+    if (!order) {
+      await removeUploads(req.files);
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const photos = (req.files || []).map(file => uploadedPath('returns', file));
+    const returns = await requestReturn(order, { customer: user._id, items, reason, photos });
+    res.status(201).json(returns);
+  } catch (error) {
+    // Photos of a rejected request are not kept
+    await removeUploads(req.files);
+    if (sendServiceError(res, error)) return;
+    console.error('Request return error:', error);
+    res.status(500).json({ message: 'Error requesting return' });
+  }
+});
+
+// List returns: customers see theirs, vendors the ones for their items, admins all
+router.get('/', auth, requirePermission('returns:view'), async (req, res) => {
+  try {
+    const { status, order } = req.query;
+    let query = ownedFilter(req.currentUser, 'returns:view', ['customer', 'vendor']);
+    if (status) query.status = status;
+    if (order) query.order = order;
+    
+    res.json(await paginate(Return, query, req.query, { populate: { path: 'items.product', select: 'name' } }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching returns' });
+  }
+});
+
+// Get single return
+router.get('/:id', auth, requirePermission('returns:view'), async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id).populate('items.product', 'name');
+    if (!ret) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+    if (!can(req.currentUser, 'returns:view', [ret.customer, ret.vendor])) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    res.json(ret);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching return' });
+  }
+});
+
+// Vendor/Admin reviews a return: approve, reject or mark the items received
+router.patch('/:id/status', auth, requirePermission('returns:review'), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+    if (!can(user, 'returns:review', ret.vendor)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const { status, note } = req.body;
+    if (!['approved', 'rejected', 'received'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    const updated = await transitionReturn(ret, status, { actor: user._id, role: actsAs(user), note });
+    res.json(updated);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Update return error:', error);
+    res.status(500).json({ message: 'Error updating return' });
+  }
+});
+
+// Vendor/Admin refunds a received return and restocks its items
+router.post('/:id/refund', auth, requirePermission('returns:review'), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const ret = await Return.findById(req.params.id);
+    if (!ret) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+    if (!can(user, 'returns:review', ret.vendor)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const updated = await refundReturn(ret, { actor: user._id, role: actsAs(user) });
+    res.json(updated);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Refund return error:', error);
+    res.status(500).json({ message: 'Error refunding return' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Review = require('../models/Review');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { can, isOwner, hasPermission } = require('../services/permissions');
+const { createUpload, uploadedPath, removeUploads } = require('../middleware/upload');
+const {
+  createReview,
+  updateReview,
+  deleteReview,
+  voteHelpful,
+  removeHelpfulVote,
+  replyToReview,
+  moderateReview,
+} = require('../services/reviews');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+// Multer setup for review images
+const upload = createUpload('reviews');
+
+const moderateReviews = requirePermission('reviews:moderate', { message: 'Admin access only' });
+
+// Voter lists stay private; the count is public
+const PUBLIC_FIELDS = '-helpfulVoters';
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 },
+};
+
+// A malformed id can't match a review, so it reads as not found
+const findReview = id => (mongoose.isValidObjectId(id) ? Review.findById(id) : null);
+
+// Published reviews of a product (or a vendor's products), with the star breakdown
+router.get('/', async (req, res) => {
+  try {
+    const { product, vendor, rating, verified, sort = 'newest' } = req.query;
+    if (!product && !vendor) {
+      return res.status(400).json({ message: 'product or vendor is required' });
+    }
+    const query = { status: 'published' };
+    if (product) query.product = product;
+    if (vendor) query.vendor = vendor;
+    if (rating) query.rating = Number(rating);
+    if (verified === 'true') query.verifiedPurchase = true;
+
+    const reviews = await paginate(Review, query, req.query, {
+      sort: SORTS[sort] || SORTS.newest,
+      select: PUBLIC_FIELDS,
+      populate: { path: 'user', select: 'username' },
+      defaultLimit: 10,
+    });
+
+    // Count per star over all published reviews, ignoring the rating filter
+    const match = { status: 'published' };
+    if (product) match.product = new mongoose.Types.ObjectId(String(product));
+    if (vendor) match.vendor = new mongoose.Types.ObjectId(String(vendor));
+    const counts = await Review.aggregate([{ $match: match }, { $group: { _id: '$rating', count: { $sum: 1 } } }]);
+    const stars = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const { _id, count } of counts) stars[_id] = count;
+
+    res.json({ ...reviews, stars });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.name === 'CastError' || error.name === 'BSONError') {
+      return res.status(400).json({ message: 'Invalid product or vendor ID' });
+    }
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Moderation queue: reviews in any state, newest first (?status=hidden)
+router.get('/moderation', auth, moderateReviews, async (req, res) => {
+  try {
+    const { status, product } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (product) query.product = product;
+    res.json(await paginate(Review, query, req.query, {
+      select: PUBLIC_FIELDS,
+      populate: [{ path: 'user', select: 'username email' }, { path: 'product', select: 'name' }],
+    }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching reviews' });
+  }
+});
+
+// Get a single published review
+router.get('/:id', async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id)
+      ? await Review.findOne({ _id: req.params.id, status: 'published' }).select(PUBLIC_FIELDS).populate('user', 'username')
+      : null;
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.json(review);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching review' });
+  }
+});
+
+// Customer reviews a product they received (multipart, optional images)
+router.post('/', auth, requirePermission('reviews:write', { message: 'Only customers can write reviews' }), upload.array('images', 5), async (req, res) => {
+  try {
+    const { product, rating, title, text } = req.body;
+    if (!product) {
+      await removeUploads(req.files);
+      return res.status(400).json({ message: 'Product is required' });
+    }
+    const images = (req.files || []).map(file => uploadedPath('reviews', file));
+    const review = await createReview(req.currentUser, product, { rating, title, text, images });
+    res.status(201).json(review);
+  } catch (error) {
+    // Images of a rejected review are not kept
+    await removeUploads(req.files);
+    if (sendServiceError(res, error)) return;
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Error creating review' });
+  }
+});
+
+// Author edits their review
+router.put('/:id', auth, requirePermission('reviews:write'), async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!isOwner(req.currentUser, review.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const { rating, title, text } = req.body;
+    const updated = await updateReview(review, { rating, title, text });
+    res.json(updated);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Update review error:', error);
+    res.status(500).json({ message: 'Error updating review' });
+  }
+});
+
+// Author or a moderator deletes a review
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const review = await findReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!isOwner(user, review.user) && !hasPermission(user, 'reviews:moderate')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    await deleteReview(review);
+    res.json({ message: 'Review deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting review' });
+  }
+});
+
+// Mark a review helpful
+router.post('/:id/helpful', auth, async (req, res) => {
+  try {
+    const review = await voteHelpful(req.params.id, req.currentUser._id);
+    res.json({ helpfulCount: review.helpfulCount });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error voting on review' });
+  }
+});
+
+// Take back a helpful vote
+router.delete('/:id/helpful', auth, async (req, res) => {
+  try {
+    const review = await removeHelpfulVote(req.params.id, req.currentUser._id);
+    res.json({ helpfulCount: review.helpfulCount });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error removing vote' });
+  }
+});
+
+// Vendor replies to a review of their product
+router.put('/:id/reply', auth, requirePermission('reviews:reply', { message: 'Only the vendor can reply to reviews' }), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const review = await findReview(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (!can(user, 'reviews:reply', review.vendor)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const updated = await replyToReview(review, { text: req.body.text, actor: user._id });
+    res.json(updated);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reply to review error:', error);
+    res.status(500).json({ message: 'Error replying to review' });
+  }
+});
+
+// Admin hides or republishes a review
+router.patch('/:id/moderate', auth, moderateReviews, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const review = await moderateReview(req.params.id, status, { actor: req.currentUser._id, reason });
+    res.json(review);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Moderate review error:', error);
+    res.status(500).json({ message: 'Error moderating review' });
+  }
+});
+
+module.exports = router;
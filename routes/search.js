@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { searchProducts, suggest } = require('../services/search');
+const { sendServiceError } = require('../services/errors');
+
+// Search products: relevance-ranked results with facets
+// ?q=&category=&vendor=&minPrice=&maxPrice=&minRating=&inStock=true&sort=&page=&limit=&fields=
+router.get('/', async (req, res) => {
+  try {
+    const { q, category, vendor, minPrice, maxPrice, minRating, inStock, sort } = req.query;
+    const result = await searchProducts({ q, category, vendor, minPrice, maxPrice, minRating, inStock, sort }, req.query);
+    res.json(result);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Error searching products' });
+  }
+});
+
+// Autocomplete suggestions for a partly typed query
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+    res.json(await suggest(q, { limit: Math.min(parseInt(limit) || 5, 20) }));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching suggestions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const Shipment = require('../models/Shipment');
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { permissionScope, principalId, actsAs, can } = require('../services/permissions');
+const { createShipment, addTrackingEvent, ingestCarrierEvents } = require('../services/shipments');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+// The shipping vendor and the order's customer own a shipment
+async function canView(user, shipment) {
+  if (can(user, 'shipments:view', shipment.vendor)) return true;
+  const order = await Order.findById(shipment.order).select('customer');
+  return Boolean(order) && can(user, 'shipments:view', order.customer);
+}
+
+const manageShipments = requirePermission('shipments:manage', { message: 'Only vendors can manage shipments' });
+
+// Vendor creates a shipment for their part of an order
+router.post('/', auth, manageShipments, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { orderId, carrier, trackingNumber, packages } = req.body;
+    if (!orderId || !carrier) {
+      return res.status(400).json({ message: 'Order ID and carrier are required' });
+    }
+    if (packages !== undefined && !Array.isArray(packages)) {
+      return res.status(400).json({ message: 'Packages must be a list' });
+    }
+    // With 'any' scope the vendor whose items are being shipped must be named
+    const vendorId = permissionScope(user, 'shipments:manage') === 'any' ? req.body.vendorId : principalId(user);
+    if (!vendorId) {
+      return res.status(400).json({ message: 'Vendor ID is required' });
+    }
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    const shipment = await createShipment(order, vendorId, { carrier, trackingNumber, packages, actor: user._id });
+    res.status(201).json(shipment);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Tracking number already in use for this carrier' });
+    }
+    console.error('Create shipment error:', error);
+    res.status(500).json({ message: 'Error creating shipment' });
+  }
+});
+
+// List shipments, optionally for one order
+router.get('/', auth, requirePermission('shipments:view'), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const { order, status } = req.query;
+    let query = {};
+    if (permissionScope(user, 'shipments:view') !== 'any') {
+      // Shipments they sent, or for orders they placed
+      const id = principalId(user);
+      const orders = await Order.find({ customer: id }).select('_id');
+      query.$or = [{ vendor: id }, { order: { $in: orders.map(o => o._id) } }];
+    }
+    if (order) query.order = order;
+    if (status) query.status = status;
+
+    res.json(await paginate(Shipment, query, req.query));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching shipments' });
+  }
+});
+
+// Get single shipment with its events
+router.get('/:id', auth, requirePermission('shipments:view'), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    if (!(await canView(user, shipment))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    res.json(shipment);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching shipment' });
+  }
+});
+
+// Vendor records a tracking event (for carriers without a webhook integration)
+router.post('/:id/events', auth, manageShipments, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    if (!can(user, 'shipments:manage', shipment.vendor)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const { status, description, location, occurredAt, estimatedDelivery } = req.body;
+    const { shipment: updated } = await addTrackingEvent(
+      shipment,
+      { status, description, location, occurredAt, estimatedDelivery, source: 'vendor' },
+      { actor: user._id, role: actsAs(user) }
+    );
+    res.status(201).json(updated);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Tracking event error:', error);
+    res.status(500).json({ message: 'Error adding tracking event' });
+  }
+});
+
+// Carrier webhook: the carrier integration verifies the signature over the raw body
+router.post('/carriers/:carrier/webhook', async (req, res) => {
+  try {
+    const { shipment, stored } = await ingestCarrierEvents(req.params.carrier, req.rawBody || '', req.headers);
+    res.json({ received: true, known: Boolean(shipment), stored });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Carrier webhook error:', error);
+    res.status(400).json({ message: 'Webhook error' });
+  }
+});
+
+module.exports = router;
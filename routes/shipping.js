@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
-const User = require('../models/User');
+const Shipment = require('../models/Shipment');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { principalId, can, isOwner } = require('../services/permissions');
+const { priceOrder } = require('../services/orders');
+const { loadConfig, resolveZone, availableMethods } = require('../services/shipping');
+const { buildTracking } = require('../services/shipments');
+const { sendServiceError } = require('../services/errors');
 
-// Calculate shipping cost
+// Calculate shipping cost, with the full price breakdown the order would get
 router.post('/calculate', auth, async (req, res) => {
   try {
-    const { items, destination, shippingMethod = 'standard' } = req.body;
+    const { items, destination, shippingMethod = 'standard', couponCode } = req.body;
     
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ message: 'Items are required' });
@@ -17,144 +23,121 @@ router.post('/calculate', auth, async (req, res) => {
       return res.status(400).json({ message: 'Destination address is required' });
     }
     
-    // Calculate total weight and dimensions
-    let totalWeight = 0;
-    let totalValue = 0;
-    
-    for (const item of items) {
-      // Simulate product weight (in kg) - replace with actual product data
-      const itemWeight = 0.5; // Default weight per item
-      totalWeight += itemWeight * item.quantity;
-      totalValue += (item.price || 0) * item.quantity;
-    }
-    
-    // Shipping rates based on method and destination
-    const shippingRates = {
-      standard: {
-        base: 5.99,
-        perKg: 2.50,
-        maxDays: 7
-      },
-      express: {
-        base: 12.99,
-        perKg: 4.00,
-        maxDays: 3
-      },
-      overnight: {
-        base: 24.99,
-        perKg: 6.00,
-        maxDays: 1
-      }
-    };
-    
-    const rate = shippingRates[shippingMethod] || shippingRates.standard;
-    const shippingCost = rate.base + (totalWeight * rate.perKg);
-    
-    // Apply free shipping for orders over $50
-    const finalShippingCost = totalValue > 50 ? 0 : shippingCost;
+    // Prices come from the catalogue, not from the request
+    const { shipping, summary, taxDetails } = await priceOrder({
+      items: items.map(item => ({ product: item.productId || item.product, variant: item.variant, sku: item.sku, quantity: item.quantity })),
+      couponCode,
+      customer: req.user.userId,
+      shippingAddress: destination,
+      shippingMethod
+    });
     
     res.json({
-      shippingCost: finalShippingCost,
-      estimatedDays: rate.maxDays,
-      shippingMethod,
-      totalWeight: totalWeight.toFixed(2),
-      freeShipping: totalValue > 50
+      shippingCost: shipping.cost,
+      estimatedDays: shipping.estimatedDays,
+      shippingMethod: shipping.method,
+      totalWeight: shipping.totalWeight.toFixed(2),
+      freeShipping: shipping.freeShipping,
+      zone: shipping.zone,
+      deliveryWindow: shipping.deliveryWindow,
+      parcels: shipping.parcels,
+      summary,
+      taxDetails
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Shipping calculation error:', error);
     res.status(500).json({ message: 'Error calculating shipping' });
   }
 });
 
-// Get available shipping methods
+// Get available shipping methods (from config/shipping.json)
+// With ?country=&zipCode= (and optionally &weight=) only methods that serve
+// that destination are listed, with their rate for its zone.
 router.get('/methods', async (req, res) => {
   try {
-    const shippingMethods = [
-      {
-        id: 'standard',
-        name: 'Standard Shipping',
-        description: '5-7 business days',
-        basePrice: 5.99,
-        perKgPrice: 2.50
-      },
-      {
-        id: 'express',
-        name: 'Express Shipping',
-        description: '2-3 business days',
-        basePrice: 12.99,
-        perKgPrice: 4.00
-      },
-      {
-        id: 'overnight',
-        name: 'Overnight Shipping',
-        description: 'Next business day',
-        basePrice: 24.99,
-        perKgPrice: 6.00
-      }
-    ];
+    const { country, zipCode, weight } = req.query;
+    const { methods } = loadConfig();
+    
+    if (!country) {
+      return res.json(methods.map(method => ({
+        id: method.id,
+        name: method.name,
+        description: method.description,
+        maxWeight: method.maxWeight || null,
+        freeShippingEligible: Boolean(method.freeShippingEligible),
+        zones: method.rates
+      })));
+    }
+    
+    const zone = resolveZone({ country, zipCode });
+    const shippingMethods = availableMethods(zone, parseFloat(weight) || 0).map(method => ({
+      id: method.id,
+      name: method.name,
+      description: `${method.rates[zone].days[0]}-${method.rates[zone].days[1]} business days`,
+      basePrice: method.rates[zone].base,
+      perKgPrice: method.rates[zone].perKg,
+      estimatedDays: method.rates[zone].days[1],
+      maxWeight: method.maxWeight || null,
+      freeShippingEligible: Boolean(method.freeShippingEligible),
+      zone
+    }));
     
     res.json(shippingMethods);
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     res.status(500).json({ message: 'Error fetching shipping methods' });
   }
 });
 
+// Vendor sets their free-shipping threshold
+router.patch('/vendor-settings', auth, requirePermission('shipping:settings', { message: 'Only vendors can change shipping settings' }), async (req, res) => {
+  try {
+    const user = req.currentUser;
+    
+    const { freeShippingEnabled, freeShippingThreshold } = req.body;
+    if (freeShippingThreshold !== undefined && freeShippingThreshold !== null &&
+        (typeof freeShippingThreshold !== 'number' || freeShippingThreshold < 0)) {
+      return res.status(400).json({ message: 'Threshold must be a non-negative number or null' });
+    }
+    
+    if (typeof freeShippingEnabled === 'boolean') {
+      user.vendorSettings.freeShippingEnabled = freeShippingEnabled;
+    }
+    if (freeShippingThreshold !== undefined) {
+      user.vendorSettings.freeShippingThreshold = freeShippingThreshold;
+    }
+    await user.save();
+    
+    res.json({ message: 'Shipping settings updated', vendorSettings: user.vendorSettings });
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating shipping settings' });
+  }
+});
+
 // Track delivery
-router.get('/track/:orderId', auth, async (req, res) => {
+router.get('/track/:orderId', auth, requirePermission('shipments:view'), async (req, res) => {
   try {
     const { orderId } = req.params;
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     
     const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
     
-    // Check permissions
-    if (user.role === 'customer' && order.customer.toString() !== user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    
-    // Simulate tracking information (replace with actual tracking service)
-    const trackingInfo = {
-      orderId: orderId,
-      trackingNumber: order.trackingNumber || `TRK${orderId.slice(-8).toUpperCase()}`,
-      status: order.status,
-      estimatedDelivery: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000), // 3 days from now
-      updates: [
-        {
-          status: 'Order Placed',
-          location: 'Warehouse',
-          timestamp: order.createdAt,
-          description: 'Order has been placed and is being processed'
-        },
-        {
-          status: 'Processing',
-          location: 'Warehouse',
-          timestamp: new Date(order.createdAt.getTime() + 2 * 60 * 60 * 1000), // 2 hours later
-          description: 'Order is being prepared for shipment'
-        }
-      ]
-    };
-    
-    // Add more updates based on order status
-    if (order.status === 'shipped') {
-      trackingInfo.updates.push({
-        status: 'Shipped',
-        location: destination,
-        timestamp: new Date(order.updatedAt),
-        description: 'Package has been shipped'
-      });
+    // Check permissions: the customer sees every shipment, vendors only their own
+    const query = { order: order._id };
+    if (!can(user, 'shipments:view', order.customer)) {
+      if (!isOwner(user, order.items.map(item => item.vendor))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      query.vendor = principalId(user);
     }
     
-    if (order.status === 'delivered') {
-      trackingInfo.updates.push({
-        status: 'Delivered',
-        location: destination,
-        timestamp: new Date(order.updatedAt),
-        description: 'Package has been delivered'
-      });
-    }
+    // Only what has been recorded on shipments; nothing is estimated here
+    const shipments = await Shipment.find(query).sort({ createdAt: 1 });
+    const trackingInfo = buildTracking(order, shipments);
     
     res.json(trackingInfo);
   } catch (error) {
@@ -180,11 +163,7 @@ router.post('/address', auth, async (req, res) => {
       return res.status(400).json({ message: 'All address fields are required' });
     }
     
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     const address = {
       street,
       city,
@@ -223,11 +202,7 @@ router.post('/address', auth, async (req, res) => {
 // Get user's shipping addresses
 router.get('/addresses', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
+    const user = req.currentUser;
     res.json(user.addresses || []);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching addresses' });
@@ -248,7 +223,7 @@ router.put('/addresses/:id', auth, async (req, res) => {
       isDefault = false 
     } = req.body;
     
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     if (!user || !user.addresses) {
       return res.status(404).json({ message: 'Address not found' });
     }
@@ -296,7 +271,7 @@ router.delete('/addresses/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     if (!user || !user.addresses) {
       return res.status(404).json({ message: 'Address not found' });
     }
@@ -328,7 +303,7 @@ router.patch('/addresses/:id/default', auth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const user = await User.findById(req.user.userId);
+    const user = req.currentUser;
     if (!user || !user.addresses) {
       return res.status(404).json({ message: 'Address not found' });
     }
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const VendorApplication = require('../models/VendorApplication');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { createUpload, uploadedPath } = require('../middleware/upload');
+const { applyAsVendor, updateStore, storeProfile, findVendor } = require('../services/vendors');
+const { sendServiceError } = require('../services/errors');
+
+// Multer setup for store logos
+const upload = createUpload('stores');
+
+const manageStore = requirePermission('store:manage', { message: 'Only vendors have a store' });
+
+// Customer applies to become a vendor
+router.post('/applications', auth, requirePermission('vendors:apply', { message: 'Only customers can apply to become vendors' }), async (req, res) => {
+  try {
+    const { storeName, description, contact, payout } = req.body;
+    const application = await applyAsVendor(req.currentUser, { storeName, description, contact, payout });
+    res.status(201).json(application);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Vendor application error:', error);
+    res.status(500).json({ message: 'Error submitting application' });
+  }
+});
+
+// The signed-in user's applications and their outcome
+router.get('/applications/mine', auth, async (req, res) => {
+  try {
+    const applications = await VendorApplication.find({ user: req.currentUser._id }).sort({ createdAt: -1 });
+    res.json(applications);
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching applications' });
+  }
+});
+
+// Vendor updates their store profile
+router.put('/store', auth, manageStore, async (req, res) => {
+  try {
+    const { name, description, policies } = req.body;
+    const store = await updateStore(req.currentUser, { name, description, policies });
+    res.json(store);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Update store error:', error);
+    res.status(500).json({ message: 'Error updating store' });
+  }
+});
+
+// Vendor uploads their store logo
+router.post('/store/logo', auth, manageStore, upload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Logo file is required' });
+    }
+    const user = req.currentUser;
+    user.set('store.logo', uploadedPath('stores', req.file));
+    await user.save();
+    res.json(storeProfile(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error uploading logo' });
+  }
+});
+
+// Public store profile by vendor ID or store slug
+router.get('/:vendor', async (req, res) => {
+  try {
+    const vendor = await findVendor(req.params.vendor);
+    if (!vendor) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+    res.json(storeProfile(vendor));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching store' });
+  }
+});
+
+module.exports = router;
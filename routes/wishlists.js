@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Wishlist = require('../models/Wishlist');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  PRODUCT_FIELDS,
+  shareUrl,
+  defaultList,
+  findList,
+  createList,
+  renameList,
+  deleteList,
+  addItem,
+  removeItem,
+  moveToCart,
+  shareList,
+  unshareList,
+  sharedList,
+} = require('../services/wishlists');
+const { paginate } = require('../services/pagination');
+const { sendServiceError } = require('../services/errors');
+
+// Wishlists belong to shoppers; roles without wishlists:use get a 403
+const useWishlists = requirePermission('wishlists:use', { message: 'Only customers have wishlists' });
+
+// A list as its owner sees it, with the share link while it is shared
+const ownerView = list => ({
+  ...list.toObject(),
+  shareUrl: list.shareToken ? shareUrl(list.shareToken) : null,
+});
+
+// Public, read-only view of a shared list
+router.get('/shared/:token', async (req, res) => {
+  try {
+    res.json(await sharedList(req.params.token));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+});
+
+// The user's lists, default first
+router.get('/', auth, useWishlists, async (req, res) => {
+  try {
+    const user = req.currentUser;
+    await defaultList(user._id);
+    res.json(await paginate(Wishlist, { user: user._id }, req.query, {
+      sort: { isDefault: -1, createdAt: 1 },
+      map: ownerView,
+    }));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching wishlists' });
+  }
+});
+
+// Create a named list
+router.post('/', auth, useWishlists, async (req, res) => {
+  try {
+    const list = await createList(req.currentUser._id, req.body.name);
+    res.status(201).json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error creating wishlist' });
+  }
+});
+
+// One list with its products (:id may be 'default')
+router.get('/:id', auth, useWishlists, async (req, res) => {
+  try {
+    const list = await findList(req.currentUser._id, req.params.id);
+    await list.populate('items.product', PRODUCT_FIELDS);
+    res.json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error fetching wishlist' });
+  }
+});
+
+// Rename a list
+router.patch('/:id', auth, useWishlists, async (req, res) => {
+  try {
+    const list = await renameList(req.currentUser._id, req.params.id, req.body.name);
+    res.json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error renaming wishlist' });
+  }
+});
+
+// Delete a list (not the default one)
+router.delete('/:id', auth, useWishlists, async (req, res) => {
+  try {
+    await deleteList(req.currentUser._id, req.params.id);
+    res.json({ message: 'Wishlist deleted' });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error deleting wishlist' });
+  }
+});
+
+// Add a product, optionally a variant (by ID or SKU)
+router.post('/:id/items', auth, useWishlists, async (req, res) => {
+  try {
+    const { product, variant, sku } = req.body;
+    const list = await addItem(req.currentUser._id, req.params.id, { product, variant, sku });
+    res.status(201).json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error adding to wishlist' });
+  }
+});
+
+// Remove an item
+router.delete('/:id/items/:itemId', auth, useWishlists, async (req, res) => {
+  try {
+    const list = await removeItem(req.currentUser._id, req.params.id, req.params.itemId);
+    res.json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error removing from wishlist' });
+  }
+});
+
+// Move an item into the cart
+router.post('/:id/items/:itemId/move-to-cart', auth, useWishlists, async (req, res) => {
+  try {
+    const { quantity = 1, variant, sku } = req.body;
+    const { cart, wishlist } = await moveToCart(req.currentUser._id, req.params.id, req.params.itemId, { quantity, variant, sku });
+    res.json({ cart, wishlist: ownerView(wishlist) });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error moving item to cart' });
+  }
+});
+
+// Share a list through a public read-only link
+router.post('/:id/share', auth, useWishlists, async (req, res) => {
+  try {
+    const { wishlist, shareUrl: url } = await shareList(req.currentUser._id, req.params.id);
+    res.json({ wishlist: ownerView(wishlist), shareUrl: url });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error sharing wishlist' });
+  }
+});
+
+// Stop sharing; the old link stops working
+router.delete('/:id/share', auth, useWishlists, async (req, res) => {
+  try {
+    const list = await unshareList(req.currentUser._id, req.params.id);
+    res.json(ownerView(list));
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    res.status(500).json({ message: 'Error unsharing wishlist' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// Point products' old free-text categories at Category documents.
+// npm run migrate-categories -- [--create] [--dry-run]
+//   --create   create a category for strings that match none
+//   --dry-run  report what would change without writing
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { migrateProductCategories } = require('../services/categories');
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const options = { create: args.includes('--create'), dryRun: args.includes('--dry-run') };
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => migrateProductCategories(options))
+  .then(report => {
+    for (const { value, category, products } of report.mapped) {
+      console.log(`"${value}" -> ${category || 'new category'} (${products} product(s))`);
+    }
+    for (const name of report.created) {
+      console.log(`${options.dryRun ? 'Would create' : 'Created'} category "${name}"`);
+    }
+    for (const { value, products } of report.unmapped) {
+      console.log(`No category for "${value}" (${products} product(s)); rerun with --create or add it first`);
+    }
+    if (report.unmapped.length > 0) process.exitCode = 1;
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Failed to migrate product categories', err);
+    process.exitCode = 1;
+    return mongoose.disconnect();
+  });
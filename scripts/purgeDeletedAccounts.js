@@ -0,0 +1,19 @@
+// Purge personal data from accounts whose restore grace period has ended.
+// Run periodically, e.g. daily from cron: npm run purge-accounts
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { purgeDeletedAccounts } = require('../services/accounts');
+
+dotenv.config();
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => purgeDeletedAccounts())
+  .then(count => {
+    console.log(`Purged ${count} deleted account(s)`);
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Failed to purge deleted accounts', err);
+    process.exitCode = 1;
+    return mongoose.disconnect();
+  });
@@ -0,0 +1,20 @@
+// Rebuild every product's search fields (category names, vendor name, words).
+// Run once after upgrading, or after renaming things outside the API:
+// npm run reindex-search
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { refreshSearchMetaWhere } = require('../services/search');
+
+dotenv.config();
+
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => refreshSearchMetaWhere({}))
+  .then(count => {
+    console.log(`Reindexed ${count} product(s)`);
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Failed to reindex products', err);
+    process.exitCode = 1;
+    return mongoose.disconnect();
+  });
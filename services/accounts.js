@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Wishlist = require('../models/Wishlist');
+const Session = require('../models/Session');
+const { ServiceError } = require('./errors');
+const { revokeAllSessions } = require('./sessions');
+
+const DAY = 24 * 60 * 60 * 1000;
+const restoreDays = () => Number(process.env.ACCOUNT_RESTORE_DAYS) || 30;
+
+// Last moment a deleted account can still be restored
+function restoreDeadline(user) {
+  return user.deletedAt ? new Date(user.deletedAt.getTime() + restoreDays() * DAY) : null;
+}
+
+// Why this account may not sign in, or null if it may
+function accessRefusal(user, now = new Date()) {
+  if (user.isDeleted) {
+    const restoreBy = restoreDeadline(user);
+    return restoreBy && restoreBy > now
+      ? new ServiceError(403, 'Account has been deleted and can still be restored', { restoreBy })
+      : new ServiceError(403, 'Account has been deleted');
+  }
+  if (user.isBlockedNow(now)) {
+    return new ServiceError(403, 'Account is blocked', { reason: user.blockedReason || null, until: user.blockedUntil });
+  }
+  if (user.emailVerified === false) {
+    return new ServiceError(403, 'Email address not verified');
+  }
+  return null;
+}
+
+// Block a user. Bumping the token version and revoking their sessions
+// cuts off every token they hold straight away.
+async function blockUser(userId, { reason, until } = {}) {
+  let blockedUntil = null;
+  if (until) {
+    blockedUntil = new Date(until);
+    if (Number.isNaN(blockedUntil.getTime()) || blockedUntil <= new Date()) {
+      throw new ServiceError(400, 'Block expiry must be a future date');
+    }
+  }
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { isBlocked: true, blockedReason: reason, blockedUntil }, $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('-password');
+  if (!user) {
+    throw new ServiceError(404, 'User not found');
+  }
+  await revokeAllSessions(user._id, { reason: 'blocked' });
+  return user;
+}
+
+async function unblockUser(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { isBlocked: false, blockedUntil: null }, $unset: { blockedReason: 1 } },
+    { new: true }
+  ).select('-password');
+  if (!user) {
+    throw new ServiceError(404, 'User not found');
+  }
+  return user;
+}
+
+// Soft delete: the account stops working now and is purged after the grace period
+async function deleteAccount(userId) {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, isDeleted: false },
+    { $set: { isDeleted: true, deletedAt: new Date() }, $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('-password');
+  if (!user) {
+    throw new ServiceError(404, 'User not found');
+  }
+  await revokeAllSessions(user._id, { reason: 'account_deleted' });
+  return { user, restoreBy: restoreDeadline(user) };
+}
+
+async function restoreAccount(user) {
+  const restoreBy = restoreDeadline(user);
+  if (!user.isDeleted || user.purgedAt || !restoreBy || restoreBy <= new Date()) {
+    throw new ServiceError(409, 'Account cannot be restored');
+  }
+  const restored = await User.findOneAndUpdate(
+    { _id: user._id, isDeleted: true, purgedAt: null },
+    { $set: { isDeleted: false, deletedAt: null } },
+    { new: true }
+  );
+  if (!restored) {
+    throw new ServiceError(409, 'Account cannot be restored');
+  }
+  return restored;
+}
+
+// Remove personal data from accounts deleted longer ago than the grace
+// period. The user document stays so orders and reviews keep their reference.
+async function purgeDeletedAccounts(now = new Date()) {
+  const cutoff = new Date(now.getTime() - restoreDays() * DAY);
+  const users = await User.find({ isDeleted: true, purgedAt: null, deletedAt: { $lte: cutoff } });
+  for (const user of users) {
+    user.username = `deleted-${user._id}`;
+    user.email = `deleted-${user._id}@deleted.invalid`;
+    user.password = crypto.randomBytes(32).toString('hex'); // Hashed by the pre-save hook; nobody knows it
+    user.addresses = [];
+    user.notifications = [];
+    user.purgedAt = now;
+    await user.save();
+    await Cart.deleteOne({ customer: user._id });
+    await Wishlist.deleteMany({ user: user._id });
+    await Session.deleteMany({ user: user._id });
+  }
+  return users.length;
+}
+
+module.exports = {
+  restoreDeadline,
+  accessRefusal,
+  blockUser,
+  unblockUser,
+  deleteAccount,
+  restoreAccount,
+  purgeDeletedAccounts,
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../errors');
+const { verifySignature } = require('../payments/signature');
+
+// Local carrier for development and tests. Tracking numbers are generated
+// here, and webhooks are signed with CARRIER_WEBHOOK_SECRET in the
+// X-Webhook-Signature header (same scheme as payment webhooks).
+function createFakeCarrier() {
+  return {
+    name: 'fake',
+
+    createTrackingNumber() {
+      return `FAKE${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    },
+
+    // Body: { trackingNumber, events: [{ id, status, description, location, occurredAt, estimatedDelivery }] }
+    parseWebhook(rawBody, headers) {
+      verifySignature(
+        rawBody,
+        headers['x-webhook-signature'],
+        process.env.CARRIER_WEBHOOK_SECRET,
+        Number(process.env.CARRIER_WEBHOOK_TOLERANCE) || 300
+      );
+      const payload = JSON.parse(rawBody);
+      if (!payload || !payload.trackingNumber || !Array.isArray(payload.events)) {
+        throw new ServiceError(400, 'Malformed carrier event');
+      }
+      return {
+        trackingNumber: payload.trackingNumber,
+        events: payload.events.map(event => ({
+          externalId: event.id,
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          occurredAt: new Date(event.occurredAt),
+          estimatedDelivery: event.estimatedDelivery ? new Date(event.estimatedDelivery) : undefined,
+        })),
+      };
+    },
+  };
+}
+
+module.exports = createFakeCarrier;
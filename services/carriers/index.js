@@ -0,0 +1,28 @@
+const createFakeCarrier = require('./fake');
+const { ServiceError } = require('../errors');
+
+// Carriers implement:
+//   createTrackingNumber() -> string (optional; vendors can supply their own)
+//   parseWebhook(rawBody, headers) -> { trackingNumber, events: [{ externalId, status, description, location, occurredAt, estimatedDelivery }] }
+const carriers = {
+  fake: createFakeCarrier(),
+};
+
+function registerCarrier(name, carrier) {
+  carriers[name] = carrier;
+}
+
+function getCarrier(name) {
+  const carrier = carriers[name];
+  if (!carrier) {
+    throw new ServiceError(404, 'Unknown carrier');
+  }
+  return carrier;
+}
+
+// Carriers without an integration are accepted for manually tracked shipments
+function findCarrier(name) {
+  return carriers[name] || null;
+}
+
+module.exports = { registerCarrier, getCarrier, findCarrier };
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+
+// Look up a category by ID or slug
+async function findCategory(idOrSlug) {
+  if (!idOrSlug) return null;
+  const value = String(idOrSlug);
+  return mongoose.isValidObjectId(value) && /^[0-9a-f]{24}$/i.test(value)
+    ? Category.findById(value)
+    : Category.findOne({ slug: value.toLowerCase() });
+}
+
+// Resolve a product's primary category and any extra ones (IDs or slugs).
+// Every category must exist and be active. Returns the fields to store:
+// `category` is the primary one and `categories` all of them, primary first.
+async function resolveCategories(primary, extra = []) {
+  const requested = [primary].concat(extra || []).filter(Boolean);
+  if (!primary && requested.length > 0) {
+    throw new ServiceError(400, 'Choose a primary category');
+  }
+  const found = [];
+  for (const idOrSlug of requested) {
+    const category = await findCategory(idOrSlug);
+    if (!category) {
+      throw new ServiceError(400, `Category ${idOrSlug} not found`);
+    }
+    if (!category.isActive) {
+      throw new ServiceError(400, `Category ${category.name} is not active`);
+    }
+    if (!found.some(existing => existing._id.equals(category._id))) found.push(category);
+  }
+  return {
+    category: found.length > 0 ? found[0]._id : null,
+    categories: found.map(category => category._id),
+  };
+}
+
+// The category and all categories below it
+async function categoryWithDescendants(categoryId) {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i += 1) {
+    const children = await Category.find({ parentCategory: ids[i] }).select('_id');
+    ids.push(...children.map(child => child._id));
+  }
+  return ids;
+}
+
+// Lowercase names, slugs and IDs of a product's categories, which is what
+// coupon scopes and tax rules match on
+function categoryKeys(product) {
+  const keys = new Set();
+  for (const category of product.categories && product.categories.length > 0 ? product.categories : [product.category]) {
+    if (!category) continue;
+    keys.add(String(category._id || category).toLowerCase());
+    if (category.slug) keys.add(category.slug);
+    if (category.name) keys.add(category.name.toLowerCase());
+  }
+  return [...keys];
+}
+
+// Same slug rule as the Category model
+const slugify = name => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+// Move products from the old free-text category to Category references.
+// Each distinct string is matched to a category by name (case-insensitive)
+// or slug; with `create`, missing categories are created. Products that
+// already reference a category are left alone, so the migration can be rerun.
+// Works on the raw collection because the old strings no longer fit the schema.
+async function migrateProductCategories({ create = false, dryRun = false } = {}) {
+  const values = await Product.collection.distinct('category', { category: { $type: 'string' } });
+  const categories = await Category.find();
+  const byKey = new Map();
+  for (const category of categories) {
+    byKey.set(category.name.toLowerCase(), category);
+    if (category.slug) byKey.set(category.slug, category);
+  }
+
+  const report = { mapped: [], created: [], unmapped: [] };
+  for (const value of values) {
+    const count = await Product.collection.countDocuments({ category: value });
+    let category = byKey.get(value.trim().toLowerCase()) || byKey.get(slugify(value));
+    if (!category && create && value.trim()) {
+      if (!dryRun) {
+        category = await Category.create({ name: value.trim() });
+        byKey.set(category.name.toLowerCase(), category);
+        byKey.set(category.slug, category);
+      }
+      report.created.push(value.trim());
+    }
+    if (!category) {
+      // In a dry run a category that would be created counts as mapped
+      if (create && dryRun && value.trim()) {
+        report.mapped.push({ value, category: null, products: count });
+      } else {
+        report.unmapped.push({ value, products: count });
+      }
+      continue;
+    }
+    if (!dryRun) {
+      await Product.collection.updateMany(
+        { category: value },
+        { $set: { category: category._id, categories: [category._id] } }
+      );
+    }
+    report.mapped.push({ value, category: category._id, products: count });
+  }
+
+  // Products with a category reference but no categories list yet
+  if (!dryRun) {
+    await Product.collection.updateMany(
+      { category: { $type: 'objectId' }, categories: { $exists: false } },
+      [{ $set: { categories: ['$category'] } }]
+    );
+  }
+  return report;
+}
+
+module.exports = { findCategory, resolveCategories, categoryWithDescendants, categoryKeys, migrateProductCategories };
@@ -0,0 +1,91 @@
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+const { unitPrice, placeOrder } = require('./orders');
+const { findVariant } = require('./variants');
+
+// Compare each cart line with the live catalogue.
+// Returns one report entry per line; `status` is 'ok', 'unavailable',
+// 'insufficient_stock' or 'price_changed'.
+async function reviewCart(cart) {
+  const report = [];
+  for (const item of cart.items) {
+    const product = await Product.findById(item.product);
+    const entry = { product: item.product, variant: item.variant, quantity: item.quantity, status: 'ok' };
+    let variant = null;
+    try {
+      variant = product && findVariant(product, { variant: item.variant });
+    } catch (error) {
+      // The variant was removed, deactivated or the product gained variants
+      entry.status = 'unavailable';
+    }
+    if (!product || !product.isActive) {
+      entry.status = 'unavailable';
+    } else if (entry.status === 'ok') {
+      const stock = variant ? variant.stock : product.stock;
+      entry.name = product.name;
+      entry.sku = variant ? variant.sku : undefined;
+      entry.currentPrice = unitPrice(product, variant);
+      entry.priceWhenAdded = item.priceWhenAdded;
+      if (stock < item.quantity) {
+        entry.status = 'insufficient_stock';
+        entry.available = stock;
+      } else if (item.priceWhenAdded !== undefined && item.priceWhenAdded !== entry.currentPrice) {
+        entry.status = 'price_changed';
+      }
+    }
+    report.push(entry);
+  }
+  return report;
+}
+
+// Cart lines in the shape order pricing expects
+function cartItems(cart) {
+  return cart.items.map(item => ({ product: item.product._id || item.product, variant: item.variant, quantity: item.quantity }));
+}
+
+// Pick the requested saved address, falling back to the default (or only) one
+function pickAddress(user, addressId) {
+  const addresses = user.addresses || [];
+  const address = addressId
+    ? addresses.find(addr => addr._id.toString() === addressId)
+    : addresses.find(addr => addr.isDefault) || addresses[0];
+  if (!address) {
+    throw new ServiceError(400, addressId ? 'Address not found' : 'No saved shipping address');
+  }
+  const { street, city, state, zipCode, country, phone } = address;
+  return { street, city, state, zipCode, country, phone };
+}
+
+// Turn the customer's cart into an order. The cart is only emptied once the
+// order has been created; any line that is unavailable, short on stock or
+// (unless acceptPriceChanges is set) repriced aborts with the per-line report.
+async function checkoutCart({ user, cart, addressId, shippingMethod, paymentMethod, couponCode, acceptPriceChanges = false }) {
+  if (!cart || cart.items.length === 0) {
+    throw new ServiceError(400, 'Cart is empty');
+  }
+  const shippingAddress = pickAddress(user, addressId);
+  const report = await reviewCart(cart);
+  const blocking = report.filter(entry =>
+    entry.status === 'unavailable' ||
+    entry.status === 'insufficient_stock' ||
+    (entry.status === 'price_changed' && !acceptPriceChanges)
+  );
+  if (blocking.length > 0) {
+    throw new ServiceError(409, 'Some cart items changed since they were added', report);
+  }
+
+  const { order, breakdown, summary } = await placeOrder({
+    customer: user._id,
+    items: cartItems(cart),
+    shippingAddress,
+    shippingMethod,
+    paymentMethod,
+    couponCode,
+  });
+
+  cart.items = [];
+  await cart.save();
+  return { order, report, summary, discount: breakdown };
+}
+
+module.exports = { reviewCart, cartItems, pickAddress, checkoutCart };
@@ -0,0 +1,22 @@
+// Common country names mapped to ISO 3166 alpha-2 codes
+const ALIASES = {
+  'USA': 'US',
+  'UNITED STATES': 'US',
+  'UNITED STATES OF AMERICA': 'US',
+  'UNITED KINGDOM': 'GB',
+  'UK': 'GB',
+  'GREAT BRITAIN': 'GB',
+  'INDIA': 'IN',
+  'GERMANY': 'DE',
+  'CANADA': 'CA',
+  'FRANCE': 'FR',
+  'AUSTRALIA': 'AU'
+};
+
+// Normalise a country name or code to its two-letter code
+function countryCode(country) {
+  const key = String(country || '').trim().toUpperCase();
+  return ALIASES[key] || key;
+}
+
+module.exports = { countryCode };
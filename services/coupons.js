@@ -0,0 +1,129 @@
+const Coupon = require('../models/Coupon');
+const { ServiceError } = require('./errors');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Look up a coupon by code and check it can be used by this customer right now.
+// Usage limits are checked again atomically when the coupon is redeemed.
+async function findUsableCoupon(code, userId, now = new Date()) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    throw new ServiceError(404, 'Coupon not found');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new ServiceError(400, 'Coupon is not active yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new ServiceError(400, 'Coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new ServiceError(400, 'Coupon usage limit reached');
+  }
+  if (coupon.perUserLimit !== null && userId) {
+    const used = coupon.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+    if (used >= coupon.perUserLimit) {
+      throw new ServiceError(400, 'You have already used this coupon');
+    }
+  }
+  return coupon;
+}
+
+// Whether a priced line ({ product, vendor, category, categoryKeys }) falls under the coupon's scope.
+// Scope categories are strings and match any of the line's category IDs, slugs or names.
+function inScope(coupon, line) {
+  const { type, categories, vendors, products } = coupon.scope;
+  const has = (list, id) => list.some(entry => entry.toString() === String(id));
+  switch (type) {
+    case 'category': {
+      const keys = line.categoryKeys || [String(line.category).toLowerCase()];
+      return categories.some(entry => keys.includes(String(entry).toLowerCase()));
+    }
+    case 'vendor':
+      return has(vendors, line.vendor);
+    case 'products':
+      return has(products, line.product);
+    default:
+      return true;
+  }
+}
+
+// Work out the discount for priced lines, one per product and variant. The
+// discount is spread over the eligible lines in proportion to their value, so
+// a later refund of a line can give back what the customer actually paid for it.
+function computeDiscount(coupon, lines) {
+  const subtotal = lines.reduce((sum, line) => sum + line.priceAtPurchase * line.quantity, 0);
+  if (subtotal < coupon.minOrderValue) {
+    throw new ServiceError(400, `Coupon needs an order of at least ${coupon.minOrderValue}`);
+  }
+  const eligible = lines.filter(line => inScope(coupon, line));
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.priceAtPurchase * line.quantity, 0);
+  if (eligibleSubtotal === 0) {
+    throw new ServiceError(400, 'Coupon does not apply to any item in this order');
+  }
+
+  let discount = coupon.type === 'percentage'
+    ? eligibleSubtotal * coupon.value / 100
+    : coupon.value;
+  if (coupon.type === 'percentage' && coupon.maxDiscount !== null) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = round(Math.min(discount, eligibleSubtotal));
+
+  let allocated = 0;
+  const perLine = eligible.map((line, index) => {
+    const share = index === eligible.length - 1
+      ? round(discount - allocated)
+      : round(discount * line.priceAtPurchase * line.quantity / eligibleSubtotal);
+    allocated += share;
+    return { product: line.product, variant: line.variant, discount: share };
+  });
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    subtotal: round(subtotal),
+    eligibleSubtotal: round(eligibleSubtotal),
+    discount,
+    lines: perLine,
+  };
+}
+
+// Count a use of the coupon for an order. Both limits are re-checked inside
+// the update so concurrent checkouts can't go over them.
+async function redeemCoupon(coupon, { user, order, discount }) {
+  const limits = [];
+  if (coupon.usageLimit !== null) {
+    limits.push({ $lt: ['$usedCount', '$usageLimit'] });
+  }
+  if (coupon.perUserLimit !== null) {
+    limits.push({
+      $lt: [
+        { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', user] } } } },
+        '$perUserLimit',
+      ],
+    });
+  }
+  const query = { _id: coupon._id, isActive: true };
+  if (limits.length > 0) query.$expr = { $and: limits };
+
+  const updated = await Coupon.findOneAndUpdate(
+    query,
+    { $inc: { usedCount: 1 }, $push: { redemptions: { user, order, discount } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ServiceError(409, 'Coupon usage limit reached');
+  }
+  return updated;
+}
+
+// Undo a redemption (failed checkout, cancelled order)
+async function releaseCoupon(couponId, orderId) {
+  await Coupon.updateOne(
+    { _id: couponId, 'redemptions.order': orderId },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { order: orderId } } }
+  );
+}
+
+module.exports = { findUsableCoupon, computeDiscount, redeemCoupon, releaseCoupon };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const { ServiceError } = require('./errors');
+const { sendMail } = require('./mail');
+const { revokeAllSessions } = require('./sessions');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ServiceError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// Issue a fresh token; any earlier unused token for the same purpose stops working
+async function issueToken(userId, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await UserToken.create({ user: userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) });
+  return token;
+}
+
+// Mark a token used and return its user ID; fails if unknown, expired or already used
+async function consumeToken(token, purpose) {
+  if (typeof token !== 'string' || !token) {
+    throw new ServiceError(400, 'Token is required');
+  }
+  const now = new Date();
+  const record = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+  if (!record) {
+    throw new ServiceError(400, 'Invalid or expired token');
+  }
+  return record.user;
+}
+
+async function sendVerificationEmail(user) {
+  const hours = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+  const token = await issueToken(user._id, 'email_verification', hours * 60 * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address to activate your account:\n${appUrl()}/verify-email?token=${token}\n\nThe link expires in ${hours} hours.`,
+  });
+}
+
+async function verifyEmail(token) {
+  const userId = await consumeToken(token, 'email_verification');
+  const user = await User.findByIdAndUpdate(userId, { emailVerified: true, emailVerifiedAt: new Date() }, { new: true }).select('-password');
+  if (!user) {
+    throw new ServiceError(400, 'Invalid or expired token');
+  }
+  return user;
+}
+
+// Always resolves the same way whether or not the address is known, so the
+// endpoint can't be used to find out which emails have accounts
+async function resendVerification(email) {
+  const user = await User.findOne({ email, isDeleted: false });
+  if (user && user.emailVerified === false) {
+    await sendVerificationEmail(user);
+  }
+}
+
+async function requestPasswordReset(email) {
+  const user = await User.findOne({ email, isDeleted: false });
+  if (!user) return;
+  const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+  const token = await issueToken(user._id, 'password_reset', minutes * 60 * 1000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. If it was you, choose a new password here:\n${appUrl()}/reset-password?token=${token}\n\nThe link expires in ${minutes} minutes. If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+// Set a new password from a reset link and sign the user out everywhere
+async function resetPassword(token, password) {
+  validatePassword(password);
+  const userId = await consumeToken(token, 'password_reset');
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new ServiceError(400, 'Invalid or expired token');
+  }
+  user.password = password; // Hashed by the pre-save hook
+  // Following the emailed link proves the address too
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  await revokeAllSessions(user._id, { reason: 'password_reset' });
+}
+
+// Change the password of a signed-in user. Other devices are signed out;
+// the current session stays open.
+async function changePassword(userId, { currentPassword, newPassword, sessionId }) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ServiceError(404, 'User not found');
+  }
+  if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+    throw new ServiceError(400, 'Current password is incorrect');
+  }
+  validatePassword(newPassword);
+  user.password = newPassword;
+  await user.save();
+  await revokeAllSessions(user._id, { except: sessionId, reason: 'password_changed' });
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `Hi ${user.username},\n\nThe password for your account was just changed. If this wasn't you, reset it right away:\n${appUrl()}/forgot-password`,
+    });
+  } catch (error) {
+    // The change itself went through; the notice is best effort
+    console.error('Password change email error:', error);
+  }
+}
+
+module.exports = {
+  validatePassword,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,20 @@
+// Error thrown by service modules so routes can map it straight to an HTTP response
+class ServiceError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Send a ServiceError as JSON; returns false for anything else so the caller can fall back to a 500
+function sendServiceError(res, error) {
+  if (!(error instanceof ServiceError)) return false;
+  const body = { message: error.message };
+  if (error.details !== undefined) body.details = error.details;
+  res.status(error.status).json(body);
+  return true;
+}
+
+module.exports = { ServiceError, sendServiceError };
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const { subscribe } = require('./events');
+const { notifyUsers, notifyRole } = require('./notifications');
+const { notifyOffer, notifyRestocks } = require('./wishlistAlerts');
+const { detectLowStock } = require('./inventory');
+
+const money = amount => Number(amount || 0).toFixed(2);
+const orderNumber = order => `#${order._id.toString().slice(-8).toUpperCase()}`;
+const orderRef = order => ({ reference: { kind: 'Order', id: order._id } });
+
+// Vendors with lines in the order, with the quantity and value of their lines
+function vendorShares(order) {
+  const shares = new Map();
+  for (const item of order.items) {
+    if (!item.vendor) continue;
+    const key = item.vendor.toString();
+    const share = shares.get(key) || { vendor: item.vendor, quantity: 0, amount: 0 };
+    share.quantity += item.quantity;
+    share.amount += item.priceAtPurchase * item.quantity - (item.discount || 0);
+    shares.set(key, share);
+  }
+  return [...shares.values()];
+}
+
+async function onOrderPlaced({ order }) {
+  await notifyUsers([order.customer], 'order_placed', { order: orderNumber(order), total: money(order.total) }, orderRef(order));
+  for (const share of vendorShares(order)) {
+    await notifyUsers([share.vendor], 'new_order', {
+      order: orderNumber(order),
+      quantity: share.quantity,
+      amount: money(share.amount),
+    }, orderRef(order));
+  }
+}
+
+// Customers hear about shipping, delivery and cancellation; the payment and
+// refund events cover 'paid' and 'refunded'. Moves that came from vendor
+// groups were already announced per group.
+const CUSTOMER_STATUSES = ['shipped', 'delivered', 'cancelled'];
+
+async function onOrderStatusChanged({ order, to, actor, source }) {
+  if (source === 'fulfilment') return;
+  const data = { order: orderNumber(order), status: to };
+  if (CUSTOMER_STATUSES.includes(to)) {
+    await notifyUsers([order.customer], 'order_status', data, { ...orderRef(order), exclude: actor });
+  }
+  if (to === 'cancelled') {
+    await notifyUsers(vendorShares(order).map(share => share.vendor), 'order_cancelled', data, { ...orderRef(order), exclude: actor });
+  }
+}
+
+async function onFulfilmentStatusChanged({ order, vendor, to }) {
+  if (!CUSTOMER_STATUSES.includes(to)) return;
+  const seller = await User.findById(vendor).select('username store.name');
+  await notifyUsers([order.customer], 'order_shipment', {
+    order: orderNumber(order),
+    store: seller ? (seller.store && seller.store.name) || seller.username : 'a seller',
+    status: to,
+  }, orderRef(order));
+}
+
+async function onPaymentSucceeded({ order }) {
+  await notifyUsers([order.customer], 'payment_received', { order: orderNumber(order), amount: money(order.total) }, orderRef(order));
+  await notifyUsers(vendorShares(order).map(share => share.vendor), 'order_paid', { order: orderNumber(order) }, orderRef(order));
+}
+
+async function onPaymentFailed({ order }) {
+  await notifyUsers([order.customer], 'payment_failed', { order: orderNumber(order) }, orderRef(order));
+}
+
+async function onRefundIssued({ order, refund, actor }) {
+  const data = {
+    order: orderNumber(order),
+    amount: money(refund ? refund.amount : 0),
+    reason: refund ? refund.reason : '',
+  };
+  await notifyUsers([order.customer], 'refund_issued', data, orderRef(order));
+  await notifyRole('admin', 'refund_processed', data, { ...orderRef(order), exclude: actor });
+}
+
+async function onStockLow({ product, variant, stock, threshold }) {
+  const name = variant && variant.sku ? `${product.name} (${variant.sku})` : product.name;
+  await notifyUsers([product.vendor], 'low_stock', { product: name, stock, threshold }, {
+    reference: { kind: 'Product', id: product._id },
+  });
+}
+
+let registered = false;
+
+// Wire the event handlers up once, at startup
+function registerEventHandlers() {
+  if (registered) return;
+  registered = true;
+  subscribe('order.placed', onOrderPlaced);
+  subscribe('order.status_changed', onOrderStatusChanged);
+  subscribe('fulfilment.status_changed', onFulfilmentStatusChanged);
+  subscribe('payment.succeeded', onPaymentSucceeded);
+  subscribe('payment.failed', onPaymentFailed);
+  subscribe('refund.issued', onRefundIssued);
+  subscribe('stock.changed', detectLowStock);
+  subscribe('stock.changed', notifyRestocks);
+  subscribe('stock.low', onStockLow);
+  subscribe('product.offer_changed', notifyOffer);
+}
+
+module.exports = { registerEventHandlers };
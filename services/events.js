@@ -0,0 +1,59 @@
+// In-process domain event bus. Services publish what happened; handlers
+// (registered in services/eventHandlers.js) react to it, e.g. by sending
+// notifications. A failing handler is logged and never fails the publisher.
+//
+// Events and their payloads:
+//   order.placed              { order }
+//   order.status_changed      { order, from, to, actor, role, reason, source }
+//   fulfilment.status_changed { order, vendor, from, to, actor, role, trackingNumber }
+//   payment.succeeded         { order, payment }
+//   payment.failed            { order, payment, reason }
+//   refund.issued             { order, refund, actor }
+//   stock.changed             { entries } (stock ledger entries)
+//   stock.low                 { product, variant, stock, threshold }
+//   product.offer_changed     { product, previousOffer }
+const EVENT_TYPES = [
+  'order.placed',
+  'order.status_changed',
+  'fulfilment.status_changed',
+  'payment.succeeded',
+  'payment.failed',
+  'refund.issued',
+  'stock.changed',
+  'stock.low',
+  'product.offer_changed',
+];
+
+const handlers = new Map(EVENT_TYPES.map(type => [type, []]));
+
+function checkType(type) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+}
+
+// Run `handler(event)` for every event of this type; returns a function that unsubscribes
+function subscribe(type, handler) {
+  checkType(type);
+  handlers.get(type).push(handler);
+  return () => {
+    const list = handlers.get(type);
+    const index = list.indexOf(handler);
+    if (index > -1) list.splice(index, 1);
+  };
+}
+
+// Hand an event to its handlers and wait for all of them. Never throws for
+// a handler's error.
+async function publish(type, payload = {}) {
+  checkType(type);
+  const event = { ...payload, type, at: new Date() };
+  const results = await Promise.allSettled(handlers.get(type).map(async handler => handler(event)));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`Event handler error (${type}):`, result.reason);
+    }
+  }
+}
+
+module.exports = { EVENT_TYPES, subscribe, publish };
@@ -0,0 +1,179 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+const { releaseStock } = require('./stock');
+const { historyEntry, syncOrderStatus } = require('./orderLifecycle');
+const { publish } = require('./events');
+const { refundCancellation } = require('./refunds');
+
+// Allowed moves for a single vendor's group
+const FULFILMENT_TRANSITIONS = {
+  pending: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+// Split priced order lines into one group per vendor, with each vendor's
+// parcel cost from the shipping quote when there is one
+function buildFulfilments(lines, parcels = []) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = line.vendor.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { vendor: line.vendor, status: 'pending', subtotal: 0 });
+    }
+    groups.get(key).subtotal += line.priceAtPurchase * line.quantity - (line.discount || 0);
+  }
+  for (const parcel of parcels) {
+    const group = groups.get(parcel.vendor.toString());
+    if (group) group.shippingCost = parcel.cost;
+  }
+  return [...groups.values()];
+}
+
+// Orders placed before vendor groups existed get them on first use
+async function ensureFulfilments(order) {
+  if (order.fulfilments && order.fulfilments.length > 0) {
+    return order;
+  }
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } });
+  const vendorOf = new Map(products.map(p => [p._id.toString(), p.vendor]));
+  for (const item of order.items) {
+    item.vendor = item.vendor || vendorOf.get(item.product.toString());
+  }
+  const status = { shipped: 'shipped', delivered: 'delivered', cancelled: 'cancelled', refunded: 'delivered' }[order.status] || 'pending';
+  order.fulfilments = buildFulfilments(order.items.filter(item => item.vendor))
+    .map(group => ({ ...group, status }));
+  await order.save();
+  return order;
+}
+
+function findGroup(order, vendorId) {
+  return (order.fulfilments || []).find(group => group.vendor.toString() === vendorId.toString());
+}
+
+// The order status implied by its groups, or null when they don't settle it
+function deriveOrderStatus(order) {
+  const live = order.fulfilments.filter(group => group.status !== 'cancelled');
+  if (live.length === 0) return 'cancelled';
+  if (live.every(group => group.status === 'delivered')) return 'delivered';
+  if (live.every(group => ['shipped', 'delivered'].includes(group.status))) return 'shipped';
+  return null;
+}
+
+// Why the order's groups can't ship right now, or null when they can
+function shippingError(order) {
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    return `Order is ${order.status}`;
+  }
+  if (order.status === 'pending' && order.paymentMethod !== 'cash_on_delivery') {
+    return 'Order must be paid before it can be shipped';
+  }
+  return null;
+}
+
+// Move one vendor's group. Shipping needs the order to be paid (or cash on
+// delivery); cancelling a group gives back its stock and, on a paid order,
+// refunds the group's lines and shipping. The parent order status follows
+// once the groups agree on one.
+async function transitionFulfilment(order, vendorId, to, { actor, role, reason, trackingNumber }) {
+  order = await ensureFulfilments(order);
+  const group = findGroup(order, vendorId);
+  if (!group) {
+    throw new ServiceError(404, 'Order not found or not related to your products');
+  }
+  if (!(to in FULFILMENT_TRANSITIONS)) {
+    throw new ServiceError(400, 'Invalid status');
+  }
+  if (!FULFILMENT_TRANSITIONS[group.status].includes(to)) {
+    throw new ServiceError(409, `Cannot move fulfilment from ${group.status} to ${to}`, { from: group.status, to });
+  }
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    throw new ServiceError(409, `Order is ${order.status}`);
+  }
+  if (to === 'shipped' && shippingError(order)) {
+    throw new ServiceError(409, shippingError(order));
+  }
+
+  const set = { 'fulfilments.$.status': to };
+  if (trackingNumber) set['fulfilments.$.trackingNumber'] = trackingNumber;
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, fulfilments: { $elemMatch: { vendor: group.vendor, status: group.status } } },
+    {
+      $set: set,
+      $push: { 'fulfilments.$.statusHistory': historyEntry(group.status, to, { actor, role, reason }) },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ServiceError(409, 'Fulfilment status changed in the meantime, please retry');
+  }
+
+  const groupItems = updated.items.filter(item => item.vendor && item.vendor.toString() === group.vendor.toString());
+  if (to === 'cancelled') {
+    await releaseStock(groupItems, {
+      type: 'cancellation',
+      reason,
+      actor,
+      actorRole: role,
+      reference: { kind: 'Order', id: updated._id },
+    });
+  }
+  await publish('fulfilment.status_changed', {
+    order: updated,
+    vendor: group.vendor,
+    from: group.status,
+    to,
+    actor,
+    role,
+    trackingNumber,
+  });
+  const derived = deriveOrderStatus(updated);
+  const synced = derived ? await syncOrderStatus(updated, derived) : updated;
+  if (to !== 'cancelled') return synced;
+  // Refunded after the order status settles; the last open group takes whatever is left
+  const refund = await refundCancellation(synced, groupItems, {
+    shipping: group.shippingCost || 0,
+    all: synced.status === 'cancelled',
+    reason,
+    actor,
+    role,
+  });
+  return refund ? refund.order : synced;
+}
+
+// What a vendor gets to see of an order: their own lines and group only
+function vendorView(order, vendorId, vendorProductIds = []) {
+  const id = vendorId.toString();
+  const own = new Set(vendorProductIds.map(p => p.toString()));
+  const items = order.items.filter(item => {
+    const productId = (item.product._id || item.product).toString();
+    return item.vendor ? item.vendor.toString() === id : own.has(productId);
+  });
+  const group = findGroup(order, id);
+  return {
+    _id: order._id,
+    customer: order.customer,
+    shippingAddress: order.shippingAddress,
+    paymentMethod: order.paymentMethod,
+    orderStatus: order.status,
+    status: group ? group.status : order.status,
+    trackingNumber: group ? group.trackingNumber : order.trackingNumber,
+    subtotal: group ? group.subtotal : items.reduce((sum, item) => sum + item.priceAtPurchase * item.quantity - (item.discount || 0), 0),
+    statusHistory: group ? group.statusHistory : [],
+    items,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
+
+module.exports = {
+  FULFILMENT_TRANSITIONS,
+  buildFulfilments,
+  ensureFulfilments,
+  deriveOrderStatus,
+  shippingError,
+  transitionFulfilment,
+  vendorView,
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { ServiceError } = require('./errors');
+const { recordMovements } = require('./stock');
+const { paginate } = require('./pagination');
+const { publish } = require('./events');
+
+// Reorder threshold for products and variants that don't set their own
+const defaultThreshold = () => {
+  const threshold = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : 5;
+};
+
+// Stock level at or below which a variant (or a product without variants) needs reordering
+function reorderThreshold(product, variant) {
+  if (variant && variant.reorderThreshold !== undefined && variant.reorderThreshold !== null) {
+    return variant.reorderThreshold;
+  }
+  return product.reorderThreshold !== undefined && product.reorderThreshold !== null
+    ? product.reorderThreshold
+    : defaultThreshold();
+}
+
+// Query filter for products at or below their reorder threshold. Products
+// with variants match when any active variant is low.
+function lowStockFilter() {
+  const productThreshold = { $ifNull: ['$reorderThreshold', defaultThreshold()] };
+  return {
+    $expr: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        {
+          $anyElementTrue: [{
+            $map: {
+              input: '$variants',
+              as: 'variant',
+              in: {
+                $and: [
+                  { $ne: ['$$variant.isActive', false] },
+                  { $lte: ['$$variant.stock', { $ifNull: ['$$variant.reorderThreshold', productThreshold] }] },
+                ],
+              },
+            },
+          }],
+        },
+        { $lte: ['$stock', productThreshold] },
+      ],
+    },
+  };
+}
+
+// The active variants of a product that are at or below their threshold
+function lowStockVariants(product) {
+  return product.variants.filter(variant => variant.isActive && variant.stock <= reorderThreshold(product, variant));
+}
+
+// stock.changed: publish stock.low for each product or variant the change
+// took down to its reorder threshold. Sales further below it stay quiet.
+async function detectLowStock({ entries }) {
+  for (const entry of entries.filter(e => e.quantity < 0)) {
+    const product = await Product.findById(entry.product).select('name vendor stock reorderThreshold variants isActive');
+    if (!product || !product.isActive) continue;
+    const variant = entry.variant ? product.variants.id(entry.variant) : null;
+    if (entry.variant && !variant) continue;
+    const threshold = reorderThreshold(product, variant);
+    if (entry.stockAfter <= threshold && entry.stockAfter - entry.quantity > threshold) {
+      await publish('stock.low', { product, variant, stock: entry.stockAfter, threshold });
+    }
+  }
+}
+
+// A product's ledger, newest first
+async function movementHistory(productId, { variant, type } = {}, paging = {}) {
+  const query = { product: productId };
+  if (variant) query.variant = variant;
+  if (type) query.type = type;
+  return paginate(StockMovement, query, paging, {
+    sort: { createdAt: -1, _id: -1 },
+    populate: { path: 'actor', select: 'username' },
+    defaultLimit: 50,
+  });
+}
+
+// Compare the product's stock with the sum of its ledger, per variant for
+// products with variants. Stock that predates the ledger, or a ledger write
+// that failed, shows up as a difference. With `apply`, each difference is
+// booked as an adjustment so the ledger matches the shelf again.
+async function reconcileStock(product, { apply = false, actor, actorRole } = {}) {
+  const sums = await StockMovement.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(product._id)) } },
+    { $group: { _id: { $ifNull: ['$variant', null] }, ledger: { $sum: '$quantity' }, movements: { $sum: 1 } } },
+  ]);
+  const ledgerOf = variantId => {
+    const key = variantId ? variantId.toString() : null;
+    const sum = sums.find(entry => (entry._id ? entry._id.toString() : null) === key);
+    return sum ? sum.ledger : 0;
+  };
+
+  const rows = product.variants.length > 0
+    ? product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, stock: variant.stock, ledger: ledgerOf(variant._id) }))
+    : [{ stock: product.stock, ledger: ledgerOf(null) }];
+  for (const row of rows) row.difference = row.stock - row.ledger;
+
+  // The product total of a product with variants should be their sum
+  const variantTotal = product.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  const totalMismatch = product.variants.length > 0 && product.stock !== variantTotal;
+  const balanced = rows.every(row => row.difference === 0) && !totalMismatch;
+
+  if (apply && !balanced) {
+    await recordMovements(
+      rows
+        .filter(row => row.difference !== 0)
+        .map(row => ({ product: product._id, variant: row.variant, sku: row.sku, quantity: row.difference, stockAfter: row.stock })),
+      { type: 'adjustment', reason: 'Reconciliation', actor, actorRole }
+    );
+    if (totalMismatch) {
+      await Product.updateOne({ _id: product._id }, [{ $set: { stock: { $sum: '$variants.stock' } } }]);
+    }
+    const refreshed = await Product.findById(product._id);
+    if (!refreshed) throw new ServiceError(404, 'Product not found');
+    return reconcileStock(refreshed);
+  }
+
+  return {
+    product: product._id,
+    stock: product.stock,
+    variantTotal: product.variants.length > 0 ? variantTotal : undefined,
+    lines: rows,
+    balanced,
+  };
+}
+
+module.exports = { defaultThreshold, reorderThreshold, lowStockFilter, lowStockVariants, detectLowStock, movementHistory, reconcileStock };
@@ -0,0 +1,13 @@
+// Prints messages to the console instead of sending them (default outside production)
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      return { id: `console_${Date.now()}` };
+    },
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file into MAIL_DIR (default tmp/mail), so
+// tests and offline setups can read what would have been sent
+function createFileTransport() {
+  const dir = path.resolve(__dirname, '../..', process.env.MAIL_DIR || 'tmp/mail');
+  return {
+    name: 'file',
+    dir,
+
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2)
+      );
+      return { id };
+    },
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,43 @@
+const path = require('path');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+
+// Mail transports implement:
+//   send({ to, subject, text }) -> { id }
+const factories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let active = null;
+
+function registerTransport(name, factory) {
+  factories[name] = factory;
+}
+
+// MAIL_TRANSPORT picks a registered transport by name, or a module path
+// (relative to the project root) exporting a transport factory. Outside
+// production it defaults to the console; in production it must be set, since
+// the console would print reset and verification links into the logs.
+function getTransport() {
+  if (active) return active;
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set when NODE_ENV is production');
+  }
+  const factory = factories[name] || require(path.resolve(__dirname, '../..', name));
+  active = factory();
+  active.name = active.name || name;
+  return active;
+}
+
+// Swap the transport at runtime (tests, or after changing configuration)
+function setTransport(transport) {
+  active = transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({ from: process.env.MAIL_FROM || 'no-reply@jusplay.local', to, subject, text });
+}
+
+module.exports = { registerTransport, getTransport, setTransport, sendMail };
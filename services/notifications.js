@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+
+// Older notifications are dropped once a user has this many
+const MAX_NOTIFICATIONS = 200;
+
+let templates = null;
+
+// Templates are read once from NOTIFICATION_TEMPLATES_PATH (default
+// config/notifications.json). Each has a title and message with {placeholders},
+// a level (info, success, warning, error), the roles it goes to and a label
+// shown in the preferences.
+function loadTemplates() {
+  if (!templates) {
+    const file = process.env.NOTIFICATION_TEMPLATES_PATH || path.join(__dirname, '../config/notifications.json');
+    templates = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return templates;
+}
+
+// Swap the templates at runtime (tests, or after editing the file)
+function setTemplates(next) {
+  templates = next;
+}
+
+// Fill {placeholders} from data; unknown ones are left empty
+const render = (text, data) => String(text).replace(/\{(\w+)\}/g, (match, key) => (data[key] === undefined || data[key] === null ? '' : String(data[key])));
+
+function buildNotification(key, data, reference) {
+  const template = loadTemplates()[key];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+  return {
+    template,
+    notification: {
+      title: render(template.title, data),
+      message: render(template.message, data),
+      type: template.level || 'info',
+      event: key,
+      reference,
+      createdAt: new Date(),
+    },
+  };
+}
+
+// Add a notification to every user matching `filter` whose role gets this
+// type and who hasn't turned it off. A role in `filter` narrows the
+// template's roles rather than replacing them.
+async function deliver(filter, key, data, reference) {
+  const { template, notification } = buildNotification(key, data, reference);
+  const roles = (template.roles || []).filter(role => filter.role === undefined || role === filter.role);
+  if (roles.length === 0) return 0;
+  const result = await User.updateMany(
+    {
+      ...filter,
+      isDeleted: { $ne: true },
+      role: { $in: roles },
+      [`notificationPreferences.${key}`]: { $ne: false },
+    },
+    { $push: { notifications: { $each: [notification], $slice: -MAX_NOTIFICATIONS } } }
+  );
+  return result.modifiedCount;
+}
+
+const idString = id => String((id && id._id) || id);
+
+// Notify the given users with the `key` template. `exclude` leaves out the
+// user whose action caused it.
+async function notifyUsers(userIds, key, data = {}, { reference, exclude } = {}) {
+  const ids = [...new Set(userIds.filter(Boolean).map(idString))]
+    .filter(id => !exclude || id !== idString(exclude));
+  if (ids.length === 0) return 0;
+  return deliver({ _id: { $in: ids } }, key, data, reference);
+}
+
+// Notify everyone with one of the template's roles, e.g. all admins
+async function notifyRole(role, key, data = {}, { reference, exclude } = {}) {
+  const filter = { role };
+  if (exclude) filter._id = { $ne: idString(exclude) };
+  return deliver(filter, key, data, reference);
+}
+
+// The notification types a user can receive and whether each is on
+function preferencesFor(user) {
+  const saved = user.notificationPreferences || new Map();
+  return Object.entries(loadTemplates())
+    .filter(([, template]) => (template.roles || []).includes(user.role))
+    .map(([key, template]) => ({ type: key, label: template.label || key, enabled: saved.get(key) !== false }));
+}
+
+// Turn types on or off: { order_status: false, low_stock: true }
+async function updatePreferences(user, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new ServiceError(400, 'Preferences must be an object of notification types and true or false');
+  }
+  const available = preferencesFor(user).map(preference => preference.type);
+  const set = {};
+  for (const [key, enabled] of Object.entries(changes)) {
+    if (!available.includes(key)) {
+      throw new ServiceError(400, `Unknown notification type: ${key}`, { available });
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new ServiceError(400, `Preference for ${key} must be true or false`);
+    }
+    set[`notificationPreferences.${key}`] = enabled;
+  }
+  const updated = await User.findByIdAndUpdate(user._id, { $set: set }, { new: true });
+  return preferencesFor(updated);
+}
+
+module.exports = {
+  MAX_NOTIFICATIONS,
+  loadTemplates,
+  setTemplates,
+  render,
+  notifyUsers,
+  notifyRole,
+  preferencesFor,
+  updatePreferences,
+};
@@ -0,0 +1,162 @@
+const Order = require('../models/Order');
+const { ServiceError } = require('./errors');
+const { releaseStock } = require('./stock');
+const { releaseCoupon } = require('./coupons');
+const { publish } = require('./events');
+
+// Allowed order status transitions and who may perform them.
+// 'system' covers payment gateway callbacks and other server-side changes.
+const TRANSITIONS = {
+  pending: {
+    paid: ['customer', 'admin', 'system'],
+    // Cash on delivery orders are paid at the door, so they can ship unpaid
+    shipped: ['vendor', 'admin'],
+    cancelled: ['customer', 'vendor', 'admin', 'system'],
+  },
+  paid: {
+    shipped: ['vendor', 'admin'],
+    cancelled: ['customer', 'vendor', 'admin'],
+    refunded: ['admin', 'system'],
+  },
+  shipped: {
+    delivered: ['vendor', 'admin'],
+    refunded: ['admin', 'system'],
+  },
+  delivered: {
+    refunded: ['admin', 'system'],
+  },
+  cancelled: {},
+  refunded: {},
+};
+
+// Extra conditions on top of the role table
+const GUARDS = {
+  'pending->shipped': order => order.paymentMethod === 'cash_on_delivery',
+  'pending->cancelled': order => !hasDispatchedGroups(order),
+  'paid->cancelled': order => !hasDispatchedGroups(order),
+};
+
+const GUARD_MESSAGES = {
+  'pending->shipped': 'Order must be paid before it can be shipped',
+  'pending->cancelled': 'Part of this order has already shipped',
+  'paid->cancelled': 'Part of this order has already shipped',
+};
+
+// Vendor groups that follow a whole-order move, keyed by the new order status
+const FULFILMENT_CASCADE = {
+  shipped: ['pending'],
+  delivered: ['pending', 'shipped'],
+  cancelled: ['pending'],
+};
+
+function hasDispatchedGroups(order) {
+  return (order.fulfilments || []).some(group => ['shipped', 'delivered'].includes(group.status));
+}
+
+// Why a transition is not allowed, or null when it is
+function transitionError(order, to, role) {
+  const allowed = TRANSITIONS[order.status] || {};
+  if (!(to in allowed)) {
+    return `Cannot move order from ${order.status} to ${to}`;
+  }
+  if (!allowed[to].includes(role)) {
+    return `A ${role} cannot move an order from ${order.status} to ${to}`;
+  }
+  const key = `${order.status}->${to}`;
+  if (GUARDS[key] && !GUARDS[key](order)) {
+    return GUARD_MESSAGES[key];
+  }
+  return null;
+}
+
+function canTransition(order, to, role) {
+  return transitionError(order, to, role) === null;
+}
+
+// History entry recorded for every status change
+function historyEntry(from, to, { actor, role, reason }) {
+  return { from, to, actor: actor || null, actorRole: role, reason, at: new Date() };
+}
+
+// Move an order to a new status.
+// The write only matches while the order is still in the status we checked,
+// so two racing updates can't both apply. `set` carries extra fields to
+// update alongside the status (e.g. paymentStatus, trackingNumber).
+// Vendor groups are moved along with the order, and cancelling gives back
+// the stock of every group that was still open.
+async function transitionOrder(order, to, { actor, role, reason, set = {} }) {
+  if (!(to in TRANSITIONS)) {
+    throw new ServiceError(400, 'Invalid status');
+  }
+  const message = transitionError(order, to, role);
+  if (message) {
+    throw new ServiceError(409, message, { from: order.status, to });
+  }
+  return writeStatus(order, to, { actor, role, reason, set });
+}
+
+// Record a status the order has reached through its vendor groups
+// (e.g. every group delivered). Skips the role table since no one asked for
+// it directly, but never reopens a cancelled or refunded order.
+async function syncOrderStatus(order, to) {
+  if (to === order.status || ['cancelled', 'refunded'].includes(order.status)) {
+    return order;
+  }
+  return writeStatus(order, to, { role: 'system', reason: 'Updated from vendor fulfilment', source: 'fulfilment' });
+}
+
+// `source` is 'fulfilment' when vendor groups moved the order, for event handlers
+async function writeStatus(order, to, { actor, role, reason, set = {}, source }) {
+  const entry = historyEntry(order.status, to, { actor, role, reason });
+  // Cash on delivery is collected at the door
+  if (to === 'delivered' && order.paymentMethod === 'cash_on_delivery' && order.paymentStatus === 'pending') {
+    set = { paymentStatus: 'paid', ...set };
+  }
+  const update = {
+    $set: { ...set, status: to },
+    $push: { statusHistory: entry },
+  };
+  const options = { new: false, runValidators: true };
+  const cascadeFrom = FULFILMENT_CASCADE[to];
+  if (cascadeFrom) {
+    update.$set['fulfilments.$[group].status'] = to;
+    update.$push['fulfilments.$[group].statusHistory'] = { ...entry, from: null };
+    options.arrayFilters = [{ 'group.status': { $in: cascadeFrom } }];
+  }
+
+  // Read the pre-image so we know which groups this write closed
+  const before = await Order.findOneAndUpdate({ _id: order._id, status: order.status }, update, options);
+  if (!before) {
+    throw new ServiceError(409, 'Order status changed in the meantime, please retry');
+  }
+
+  if (to === 'cancelled') {
+    await releaseStock(openItems(before), {
+      type: 'cancellation',
+      reason,
+      actor,
+      actorRole: role,
+      reference: { kind: 'Order', id: before._id },
+    });
+    if (before.coupon && before.coupon.coupon) {
+      await releaseCoupon(before.coupon.coupon, before._id);
+    }
+  }
+  const updated = await Order.findById(order._id);
+  await publish('order.status_changed', { order: updated, from: before.status, to, actor, role, reason, source });
+  return updated;
+}
+
+// Items not yet given back: those in open groups, or all of them for orders
+// placed before vendor groups existed
+function openItems(order) {
+  if (!order.fulfilments || order.fulfilments.length === 0) {
+    return order.items;
+  }
+  const open = order.fulfilments
+    .filter(group => group.status === 'pending')
+    .map(group => group.vendor.toString());
+  return order.items.filter(item => item.vendor && open.includes(item.vendor.toString()));
+}
+
+module.exports = { TRANSITIONS, canTransition, historyEntry, transitionOrder, syncOrderStatus };
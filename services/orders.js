@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+const { reserveStock, releaseStock } = require('./stock');
+const { historyEntry } = require('./orderLifecycle');
+const { buildFulfilments } = require('./fulfilment');
+const { findUsableCoupon, computeDiscount, redeemCoupon, releaseCoupon } = require('./coupons');
+const { quoteShipping } = require('./shipping');
+const { calculateTax } = require('./tax');
+const { lineKey, findVariant, variantOptions } = require('./variants');
+const { categoryKeys } = require('./categories');
+const { publish } = require('./events');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Current unit price with the product's offer/discount applied. A variant
+// with its own price overrides the product price; the offer applies to both.
+function unitPrice(product, variant) {
+  const discount = product.offer || 0;
+  const price = variant && variant.price !== undefined && variant.price !== null ? variant.price : product.price;
+  return price * (1 - discount / 100);
+}
+
+// Price each requested line against the current catalogue. The same product
+// and variant requested twice becomes one line, so discount and tax shares
+// (matched to lines by lineKey) each land on their own line.
+async function priceItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ServiceError(400, 'No items in order');
+  }
+  const lines = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ServiceError(400, 'Each item needs a positive whole quantity');
+    }
+    if (!item.product || !mongoose.isValidObjectId(item.product)) {
+      throw new ServiceError(400, 'Invalid product ID', { product: item.product });
+    }
+    const product = await Product.findById(item.product).populate('categories', 'name slug');
+    if (!product || !product.isActive) {
+      throw new ServiceError(404, 'Product not found', { product: item.product });
+    }
+    const variant = findVariant(product, { variant: item.variant, sku: item.sku });
+    const existing = lines.find(line => lineKey(line) === lineKey({ product: product._id, variant: variant && variant._id }));
+    if (existing) {
+      existing.quantity += quantity;
+      continue;
+    }
+    lines.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variantOptions(variant) : undefined,
+      name: product.name,
+      vendor: product.vendor,
+      category: product.category,
+      categoryKeys: categoryKeys(product),
+      weight: product.weight,
+      dimensions: product.dimensions,
+      quantity,
+      priceAtPurchase: unitPrice(product, variant),
+      discount: 0,
+      tax: 0,
+    });
+  }
+  return lines;
+}
+
+// Price an order: lines, optional coupon, shipping and tax, and the totals
+// that follow. Used both for previews and for placing the order.
+// With tax-inclusive rules the tax is already part of the prices and is only
+// reported; otherwise it is added on top.
+async function priceOrder({ items, couponCode, customer, shippingAddress, shippingMethod }) {
+  const lines = await priceItems(items);
+  const subtotal = lines.reduce((sum, line) => sum + line.priceAtPurchase * line.quantity, 0);
+  let coupon = null;
+  let breakdown = null;
+  if (couponCode) {
+    coupon = await findUsableCoupon(couponCode, customer);
+    breakdown = computeDiscount(coupon, lines);
+    for (const share of breakdown.lines) {
+      lines.find(line => lineKey(line) === lineKey(share)).discount += share.discount;
+    }
+  }
+  const discount = breakdown ? breakdown.discount : 0;
+  const shipping = await quoteShipping({ lines, destination: shippingAddress, method: shippingMethod });
+  const taxDetails = calculateTax({ lines, shippingAddress, shipping: shipping.cost });
+  for (const lineTax of taxDetails.lines) {
+    lines.find(line => lineKey(line) === lineKey(lineTax)).tax = lineTax.tax;
+  }
+  const total = round(subtotal - discount + shipping.cost + (taxDetails.inclusive ? 0 : taxDetails.tax));
+  const summary = {
+    subtotal: round(subtotal),
+    discount,
+    shipping: shipping.cost,
+    tax: taxDetails.tax,
+    taxInclusive: taxDetails.inclusive,
+    total,
+  };
+  return { lines, subtotal, discount, shipping, taxDetails, total, summary, coupon, breakdown };
+}
+
+// Create an order as one unit: stock is reserved for every line and the
+// coupon redeemed before the order is written, and both are undone if
+// anything after that fails.
+async function placeOrder({ customer, items, shippingAddress, shippingMethod, paymentMethod, couponCode }) {
+  const pricing = await priceOrder({ items, couponCode, customer, shippingAddress, shippingMethod });
+  const { lines, subtotal, discount, shipping, taxDetails, total, coupon, breakdown } = pricing;
+  const orderId = new mongoose.Types.ObjectId();
+  const movement = { actor: customer, actorRole: 'customer', reference: { kind: 'Order', id: orderId } };
+  const reserved = await reserveStock(lines, movement);
+  let redeemed = false;
+  try {
+    if (coupon) {
+      await redeemCoupon(coupon, { user: customer, order: orderId, discount });
+      redeemed = true;
+    }
+    const order = new Order({
+      _id: orderId,
+      customer,
+      items: lines.map(({ product, variant, sku, options, vendor, quantity, priceAtPurchase, discount, tax }) => ({ product, variant, sku, options, vendor, quantity, priceAtPurchase, discount, tax })),
+      subtotal,
+      discount,
+      coupon: coupon ? { coupon: coupon._id, code: coupon.code, type: coupon.type, value: coupon.value } : undefined,
+      shippingMethod: shipping.method,
+      shippingCost: shipping.cost,
+      tax: taxDetails.tax,
+      taxDetails: {
+        jurisdiction: taxDetails.jurisdiction,
+        inclusive: taxDetails.inclusive,
+        shippingTax: taxDetails.shippingTax
+      },
+      total,
+      fulfilments: buildFulfilments(lines, shipping.parcels),
+      shippingAddress,
+      paymentMethod,
+      statusHistory: [historyEntry(null, 'pending', { actor: customer, role: 'customer' })],
+    });
+    await order.save();
+    await publish('order.placed', { order });
+    return { order, breakdown, summary: pricing.summary };
+  } catch (error) {
+    await releaseStock(reserved, { ...movement, reason: 'Order could not be placed' });
+    if (redeemed) await releaseCoupon(coupon._id, orderId);
+    throw error;
+  }
+}
+
+module.exports = { unitPrice, priceItems, priceOrder, placeOrder };
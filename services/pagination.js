@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const { ServiceError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// Paging asked for in a query string: ?page=&limit= or ?cursor=&limit=.
+// An empty cursor (?cursor=) starts cursor paging from the first item.
+function parsePaging(query = {}, { defaultLimit = DEFAULT_LIMIT } = {}) {
+  const limit = query.limit === undefined || query.limit === '' ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ServiceError(400, 'limit must be a positive whole number');
+  }
+  if (limit > MAX_LIMIT) {
+    throw new ServiceError(400, `limit can be at most ${MAX_LIMIT}`);
+  }
+  if (query.cursor !== undefined) {
+    if (query.page !== undefined) {
+      throw new ServiceError(400, 'Use either page or cursor, not both');
+    }
+    return { mode: 'cursor', limit, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+  }
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ServiceError(400, 'page must be a positive whole number');
+  }
+  return { mode: 'page', limit, page };
+}
+
+// ?fields=name,price,vendor.username as a list of paths, or null for all fields
+function parseFields(fields) {
+  if (fields === undefined || fields === '') return null;
+  const paths = String(fields).split(',').map(path => path.trim()).filter(Boolean);
+  const invalid = paths.find(path => !FIELD_PATTERN.test(path));
+  if (invalid) {
+    throw new ServiceError(400, `Invalid field: ${invalid}`);
+  }
+  return paths;
+}
+
+// True when `path` is `base` or lies inside it
+const within = (path, base) => path === base || path.startsWith(`${base}.`);
+
+// Narrow the fields a route selects (`select`, as given to Query#select) to
+// the ones the client asked for. Fields the route leaves out stay out, so
+// ?fields= can never reveal more than the route would.
+function narrowSelect(paths, select) {
+  const listed = select ? select.split(/\s+/).filter(Boolean) : [];
+  const excluded = listed.filter(path => path.startsWith('-')).map(path => path.slice(1));
+  const included = listed.filter(path => !path.startsWith('-'));
+  const allowed = paths.filter(path =>
+    !excluded.some(base => within(path, base)) &&
+    (included.length === 0 || included.some(base => within(path, base) || within(base, path)))
+  );
+  if (allowed.length === 0) {
+    throw new ServiceError(400, 'None of the requested fields are available');
+  }
+  // Asking for a whole subdocument of which the route shows only part keeps it to that part
+  const narrowed = allowed.flatMap(path => {
+    const parts = included.filter(base => within(base, path) && base !== path);
+    return parts.length > 0 ? parts : [path];
+  });
+  return [...new Set(narrowed)];
+}
+
+// Copy only the given paths of a plain object (for lists built in code)
+function pickFields(item, paths) {
+  const source = item && typeof item.toObject === 'function' ? item.toObject() : item;
+  const picked = { _id: source._id };
+  for (const path of paths) {
+    const keys = path.split('.');
+    let from = source;
+    let to = picked;
+    for (let i = 0; i < keys.length; i++) {
+      if (from === null || from === undefined || typeof from !== 'object') break;
+      const value = from[keys[i]];
+      if (value === undefined) break;
+      if (i === keys.length - 1 || Array.isArray(value) || typeof value !== 'object' || value === null) {
+        to[keys[i]] = value;
+        break;
+      }
+      to[keys[i]] = to[keys[i]] || {};
+      to = to[keys[i]];
+      from = value;
+    }
+  }
+  return picked;
+}
+
+// Cursors carry the sort keys and the last item's values for them. Dates and
+// ObjectIds are tagged so they come back as the same types.
+function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new ServiceError(400, 'Invalid cursor');
+  }
+  return value;
+}
+
+function encodeCursor(keys, values) {
+  return Buffer.from(JSON.stringify({ k: keys, v: values.map(encodeValue) })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ServiceError(400, 'Invalid cursor');
+  }
+  if (!parsed || !Array.isArray(parsed.k) || !Array.isArray(parsed.v) || parsed.k.length !== parsed.v.length) {
+    throw new ServiceError(400, 'Invalid cursor');
+  }
+  return { keys: parsed.k, values: parsed.v.map(decodeValue) };
+}
+
+// The sort with _id appended, so items with equal sort values still have a
+// fixed order and a cursor always points between two items
+function stableSort(sort = {}) {
+  if (Object.values(sort).some(direction => typeof direction === 'object')) return sort;
+  if (sort._id) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : -1 };
+}
+
+const valueAt = (item, path) =>
+  typeof item.get === 'function' ? item.get(path) : path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+
+// Items strictly after the cursor in the given sort order. Missing values
+// sort lowest in MongoDB: first when ascending, last when descending.
+function afterCursor(sort, cursor) {
+  const keys = Object.keys(sort);
+  if (keys.join(',') !== cursor.keys.join(',')) {
+    throw new ServiceError(400, 'Cursor does not match the sort order');
+  }
+  const branches = [];
+  keys.forEach((key, index) => {
+    const value = cursor.values[index];
+    const ascending = sort[key] === 1 || sort[key] === 'asc';
+    let after;
+    if (value === null) {
+      if (!ascending) return; // Nothing comes after a missing value
+      after = { $ne: null };
+    } else {
+      after = ascending ? { $gt: value } : { $not: { $gte: value } };
+    }
+    const branch = {};
+    keys.slice(0, index).forEach((previous, i) => { branch[previous] = cursor.values[i]; });
+    branch[key] = after;
+    branches.push(branch);
+  });
+  return branches.length > 0 ? { $or: branches } : { _id: null };
+}
+
+// Page or cursor metadata for a list
+function pageInfo(paging, { total, hasNextPage, nextCursor }) {
+  if (paging.mode === 'cursor') {
+    return { mode: 'cursor', limit: paging.limit, hasNextPage, nextCursor: nextCursor || null };
+  }
+  const totalPages = Math.ceil(total / paging.limit);
+  return {
+    mode: 'page',
+    page: paging.page,
+    limit: paging.limit,
+    total,
+    totalPages,
+    hasNextPage: paging.page < totalPages,
+    hasPrevPage: paging.page > 1,
+  };
+}
+
+// One page of a collection in the shared { data, pagination } envelope.
+// `query` is req.query (page, cursor, limit, fields). The route still decides
+// what is shown: `select` limits the fields and `map` reshapes each item, in
+// which case ?fields= applies to the reshaped items.
+async function paginate(Model, filter, query = {}, { sort, select, projection, populate = [], map, defaultLimit } = {}) {
+  const paging = parsePaging(query, { defaultLimit });
+  const fields = parseFields(query.fields);
+  const order = stableSort(sort || { createdAt: -1 });
+  const sortKeys = Object.keys(order);
+  if (paging.mode === 'cursor' && sortKeys.some(key => typeof order[key] === 'object')) {
+    throw new ServiceError(400, 'Cursor paging is not available for relevance order, use page');
+  }
+
+  let selection = select;
+  if (fields && !map) {
+    // A field of a populated document selects the reference; the populated
+    // document brings the fields the route gives it
+    const populated = [].concat(populate).map(entry => (typeof entry === 'string' ? entry : entry.path));
+    const paths = fields.map(path => populated.find(base => path !== base && within(path, base)) || path);
+    // Sort keys stay selected so the next cursor can be built
+    selection = [...new Set([...narrowSelect(paths, select), ...sortKeys.filter(key => key !== '_id' && typeof order[key] !== 'object')])].join(' ');
+  }
+  const where = paging.cursor ? { $and: [filter, afterCursor(order, paging.cursor)] } : filter;
+  let find = Model.find(where, projection).sort(order);
+  if (selection) find = find.select(selection);
+  for (const path of [].concat(populate)) find = find.populate(path);
+
+  let items;
+  let info;
+  if (paging.mode === 'cursor') {
+    items = await find.limit(paging.limit + 1);
+    const hasNextPage = items.length > paging.limit;
+    if (hasNextPage) items = items.slice(0, paging.limit);
+    const last = items[items.length - 1];
+    const nextCursor = hasNextPage ? encodeCursor(sortKeys, sortKeys.map(key => valueAt(last, key))) : null;
+    info = pageInfo(paging, { hasNextPage, nextCursor });
+  } else {
+    items = await find.skip((paging.page - 1) * paging.limit).limit(paging.limit);
+    info = pageInfo(paging, { total: await Model.countDocuments(filter) });
+  }
+
+  let data = map ? items.map(map) : items;
+  if (fields && map) data = data.map(item => pickFields(item, fields));
+  return { data, pagination: info };
+}
+
+// Same envelope for a list already in memory (e.g. an embedded array),
+// page based only
+function paginateArray(list, query = {}, { defaultLimit } = {}) {
+  const paging = parsePaging(query, { defaultLimit });
+  if (paging.mode === 'cursor') {
+    throw new ServiceError(400, 'This list supports page paging only');
+  }
+  const fields = parseFields(query.fields);
+  const start = (paging.page - 1) * paging.limit;
+  let data = list.slice(start, start + paging.limit);
+  if (fields) data = data.map(item => pickFields(item, fields));
+  return { data, pagination: pageInfo(paging, { total: list.length }) };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePaging,
+  parseFields,
+  narrowSelect,
+  pickFields,
+  encodeCursor,
+  decodeCursor,
+  stableSort,
+  afterCursor,
+  pageInfo,
+  paginate,
+  paginateArray,
+};
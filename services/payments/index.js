@@ -0,0 +1,133 @@
+const Payment = require('../../models/Payment');
+const Order = require('../../models/Order');
+const { ServiceError } = require('../errors');
+const { transitionOrder, canTransition } = require('../orderLifecycle');
+const { publish } = require('../events');
+const { getProvider } = require('./providers');
+
+// Start a payment for an order. The amount always comes from Order.total;
+// an open intent for the same amount is reused instead of creating another.
+async function createIntentForOrder(order, { currency = 'USD' } = {}) {
+  if (order.status !== 'pending') {
+    throw new ServiceError(400, 'Order is not pending payment');
+  }
+  const existing = await Payment.findOne({
+    order: order._id,
+    status: 'requires_confirmation',
+    amount: order.total,
+    currency,
+  });
+  if (existing) return existing;
+
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount: order.total,
+    currency,
+    orderId: order._id.toString(),
+    customerId: order.customer.toString(),
+  });
+  return Payment.create({
+    order: order._id,
+    customer: order.customer,
+    provider: provider.name,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount: order.total,
+    currency,
+    status: intent.status === 'succeeded' ? 'succeeded' : 'requires_confirmation',
+  });
+}
+
+// Confirm a stored intent with the provider and mark the order paid.
+// The intent must belong to the order and still match its total. The payment
+// is claimed ('processing') before the provider is called, so parallel
+// confirmations can't both charge.
+async function confirmPayment(order, intentId, { actor, paymentMethod } = {}) {
+  const found = await Payment.findOne({ intentId });
+  if (!found || found.order.toString() !== order._id.toString()) {
+    throw new ServiceError(404, 'Payment intent not found for this order');
+  }
+  if (found.amount !== order.total) {
+    throw new ServiceError(409, 'Order total changed since the payment was created');
+  }
+  if (!canTransition(order, 'paid', 'system')) {
+    throw new ServiceError(409, `An order that is ${order.status} cannot be paid`);
+  }
+  const payment = await Payment.findOneAndUpdate(
+    { _id: found._id, status: 'requires_confirmation' },
+    { status: 'processing' },
+    { new: true }
+  );
+  if (!payment) {
+    const current = await Payment.findById(found._id);
+    throw new ServiceError(409, `Payment is already ${current ? current.status : found.status}`);
+  }
+
+  let result;
+  try {
+    result = await getProvider().confirm({ intentId, paymentMethod });
+  } catch (error) {
+    // Nothing was charged; hand the payment back so it can be retried
+    await Payment.updateOne({ _id: payment._id, status: 'processing' }, { status: 'requires_confirmation' });
+    throw error;
+  }
+  payment.status = result.status === 'succeeded' ? 'succeeded' : 'failed';
+  payment.failureReason = result.failureReason;
+  await payment.save();
+
+  if (payment.status === 'failed') {
+    await Order.findByIdAndUpdate(order._id, { paymentStatus: 'failed' });
+    await publish('payment.failed', { order, payment, reason: result.failureReason });
+    throw new ServiceError(402, 'Payment failed', { reason: result.failureReason });
+  }
+  let paid;
+  try {
+    paid = await transitionOrder(order, 'paid', {
+      actor,
+      role: 'system',
+      reason: `Payment ${intentId} confirmed`,
+      set: { paymentStatus: 'paid', paymentMethod: paymentMethod || 'card' },
+    });
+  } catch (error) {
+    return settleUnpaidOrder(order, payment, error);
+  }
+  await publish('payment.succeeded', { order: paid, payment });
+  return { payment, order: paid };
+}
+
+// The charge went through but the order could not be marked paid. If the
+// provider's webhook already did it, that's fine; otherwise the charge is
+// refunded rather than kept against an unpaid order.
+async function settleUnpaidOrder(order, payment, error) {
+  const current = await Order.findById(order._id);
+  if (current && current.paymentStatus === 'paid') {
+    return { payment, order: current };
+  }
+  const refund = await getProvider().refund({ intentId: payment.intentId, amount: payment.amount, reason: 'Order could not be marked paid' });
+  payment.refundedAmount = payment.amount;
+  payment.refunds.push({ refundId: refund.id, amount: payment.amount });
+  payment.status = 'refunded';
+  await payment.save();
+  throw error;
+}
+
+// Refund part or all of the order's captured payment through the provider.
+// Orders settled outside the gateway (cash on delivery, simulated payment)
+// have no Payment record; their refunds are handed back as manual.
+async function refundPayment(order, amount, { reason } = {}) {
+  const payment = await Payment.findOne({ order: order._id, status: { $in: ['succeeded', 'refunded'] } });
+  if (!payment) {
+    return { refund: { id: null, amount, status: 'manual' }, payment: null };
+  }
+  if (payment.refundedAmount + amount > payment.amount) {
+    throw new ServiceError(400, 'Refund amount cannot exceed the amount paid');
+  }
+  const refund = await getProvider().refund({ intentId: payment.intentId, amount, reason });
+  payment.refundedAmount += amount;
+  payment.refunds.push({ refundId: refund.id, amount });
+  if (payment.refundedAmount >= payment.amount) payment.status = 'refunded';
+  await payment.save();
+  return { refund, payment };
+}
+
+module.exports = { createIntentForOrder, confirmPayment, refundPayment, getProvider };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../errors');
+const { verifySignature } = require('./signature');
+
+// Fully local payment provider for development and tests.
+// Nothing leaves the process; confirming with the payment method
+// 'pm_card_declined' simulates a declined card.
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async createIntent({ amount, currency }) {
+      const id = randomId('pi');
+      return {
+        id,
+        amount: Math.round(amount * 100), // Providers work in cents
+        currency,
+        status: 'requires_confirmation',
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      };
+    },
+
+    async confirm({ intentId, paymentMethod }) {
+      if (paymentMethod === 'pm_card_declined') {
+        return { id: intentId, status: 'failed', failureReason: 'card_declined' };
+      }
+      return { id: intentId, status: 'succeeded' };
+    },
+
+    async refund({ intentId, amount }) {
+      return { id: randomId('re'), intentId, amount: Math.round(amount * 100), status: 'succeeded' };
+    },
+
+    // Events arrive as the JSON body { id, type, data: { object } }, signed
+    // with PAYMENT_WEBHOOK_SECRET in the X-Webhook-Signature header
+    parseWebhook(rawBody, headers) {
+      verifySignature(
+        rawBody,
+        headers['x-webhook-signature'],
+        process.env.PAYMENT_WEBHOOK_SECRET,
+        Number(process.env.PAYMENT_WEBHOOK_TOLERANCE) || 300
+      );
+      const event = JSON.parse(rawBody);
+      if (!event || !event.id || !event.type || !event.data || !event.data.object) {
+        throw new ServiceError(400, 'Malformed webhook event');
+      }
+      return event;
+    },
+  };
+}
+
+module.exports = createMockProvider;
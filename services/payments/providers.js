@@ -0,0 +1,37 @@
+const path = require('path');
+const createMockProvider = require('./mock');
+
+// Payment providers implement:
+//   createIntent({ amount, currency, orderId, customerId }) -> { id, amount, currency, status, clientSecret }
+//   confirm({ intentId, paymentMethod }) -> { id, status, failureReason? }
+//   refund({ intentId, amount, reason }) -> { id, amount, status }
+//   parseWebhook(rawBody, headers) -> { id, type, data: { object } }, verifying the signature
+// Amounts passed in are in Order.total units; amounts reported back, in
+// results and webhook events alike, are in cents.
+const factories = {
+  mock: createMockProvider,
+};
+
+let active = null;
+
+function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+// PAYMENT_PROVIDER picks a registered provider by name, or a module path
+// (relative to the project root) exporting a provider factory
+function getProvider() {
+  if (active) return active;
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const factory = factories[name] || require(path.resolve(__dirname, '../..', name));
+  active = factory();
+  active.name = active.name || name;
+  return active;
+}
+
+// Swap the provider at runtime (tests, or after changing configuration)
+function setProvider(provider) {
+  active = provider;
+}
+
+module.exports = { registerProvider, getProvider, setProvider };
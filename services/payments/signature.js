@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../errors');
+
+// Webhook signatures use the header format `t=<unix seconds>,v1=<hex hmac>`,
+// where the HMAC-SHA256 is taken over `<t>.<raw body>` with the shared secret.
+function computeSignature(payload, secret, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Build a signature header for a payload (used by tests and local tooling)
+function signPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+}
+
+// Check a signature header against the raw request body.
+// Rejects missing or mismatched signatures and timestamps outside the tolerance window.
+function verifySignature(payload, header, secret, toleranceSeconds = 300) {
+  if (!secret) {
+    throw new ServiceError(500, 'Webhook secret is not configured');
+  }
+  if (!header) {
+    throw new ServiceError(400, 'Missing webhook signature');
+  }
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw new ServiceError(400, 'Malformed webhook signature');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    throw new ServiceError(400, 'Webhook timestamp outside the tolerance window');
+  }
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new ServiceError(400, 'Invalid webhook signature');
+  }
+  return timestamp;
+}
+
+module.exports = { signPayload, verifySignature };
@@ -0,0 +1,111 @@
+const Payment = require('../../models/Payment');
+const Order = require('../../models/Order');
+const WebhookEvent = require('../../models/WebhookEvent');
+const { transitionOrder } = require('../orderLifecycle');
+const { recordProviderRefund } = require('../refunds');
+const { publish } = require('../events');
+
+// Find the stored payment and order an event refers to. Payment intent events
+// carry the intent itself; refund and dispute events point at it.
+async function resolveTarget(object) {
+  const intentId = object.object === 'payment_intent' || !object.payment_intent ? object.id : object.payment_intent;
+  const payment = await Payment.findOne({ intentId });
+  const orderId = payment ? payment.order : object.metadata && object.metadata.orderId;
+  const order = orderId ? await Order.findById(orderId) : null;
+  return { payment, order };
+}
+
+// Payments still waiting for the outcome, including ones being confirmed right now
+const PENDING = ['requires_confirmation', 'processing'];
+
+const handlers = {
+  'payment_intent.succeeded': async ({ payment, order }) => {
+    if (payment && PENDING.includes(payment.status)) {
+      payment.status = 'succeeded';
+      await payment.save();
+    }
+    if (order && order.status === 'pending') {
+      const paid = await transitionOrder(order, 'paid', {
+        role: 'system',
+        reason: 'payment_intent.succeeded',
+        set: { paymentStatus: 'paid' }
+      });
+      await publish('payment.succeeded', { order: paid, payment });
+    }
+  },
+
+  'payment_intent.payment_failed': async ({ payment, order }, object) => {
+    if (payment && PENDING.includes(payment.status)) {
+      payment.status = 'failed';
+      payment.failureReason = object.last_payment_error && object.last_payment_error.code;
+      await payment.save();
+    }
+    if (order && order.paymentStatus === 'pending') {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'failed' });
+      await publish('payment.failed', { order, payment, reason: payment && payment.failureReason });
+    }
+  },
+
+  'payment_intent.canceled': async ({ payment, order }) => {
+    if (payment && PENDING.includes(payment.status)) {
+      payment.status = 'canceled';
+      await payment.save();
+    }
+    // The customer can start a new payment for the order
+    if (order && order.paymentStatus === 'failed') {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'pending' });
+    }
+  },
+
+  'refund.succeeded': async ({ payment, order }, object) => {
+    if (!payment || payment.refunds.some(refund => refund.refundId === object.id)) {
+      return; // Unknown payment, or a refund we already recorded when issuing it
+    }
+    const amount = Math.min(object.amount / 100, payment.amount - payment.refundedAmount);
+    payment.refundedAmount += amount;
+    payment.refunds.push({ refundId: object.id, amount });
+    if (payment.refundedAmount >= payment.amount) payment.status = 'refunded';
+    await payment.save();
+
+    if (order) {
+      await recordProviderRefund(order, { amount, providerRefundId: object.id });
+    }
+  },
+
+  'charge.dispute.created': async ({ payment, order }) => {
+    if (payment) {
+      payment.disputed = true;
+      await payment.save();
+    }
+    if (order) {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'disputed' });
+    }
+  },
+};
+
+// Apply a verified provider event once. The event ID is claimed before it is
+// handled so concurrent replays are dropped, and released again if handling
+// fails so the provider's retry can go through.
+async function handleWebhookEvent(provider, event) {
+  try {
+    await WebhookEvent.create({ provider, eventId: event.id, type: event.type });
+  } catch (error) {
+    if (error.code === 11000) return { duplicate: true };
+    throw error;
+  }
+
+  const handler = handlers[event.type];
+  if (!handler) {
+    console.log(`Unhandled webhook type: ${event.type}`);
+    return { handled: false };
+  }
+  try {
+    await handler(await resolveTarget(event.data.object), event.data.object);
+  } catch (error) {
+    await WebhookEvent.deleteOne({ provider, eventId: event.id });
+    throw error;
+  }
+  return { handled: true };
+}
+
+module.exports = { handleWebhookEvent };
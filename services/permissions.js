@@ -0,0 +1,127 @@
+// Roles and what they may do. Each permission is granted with a scope:
+// 'own' applies only to resources the user owns (their orders, their
+// products, ...), 'any' to all of them.
+//
+// actsAs is the role recorded in status histories and used by the order
+// lifecycle rules. principal is whose resources count as the user's own;
+// a staff role can point it at the account it works for.
+// Adding a role only takes an entry here.
+const ROLES = {
+  customer: {
+    actsAs: 'customer',
+    permissions: {
+      'cart:use': 'own',
+      'wishlists:use': 'own',
+      'orders:place': 'own',
+      'orders:view': 'own',
+      'orders:pay': 'own',
+      'orders:cancel': 'own',
+      'payments:view': 'own',
+      'returns:request': 'own',
+      'returns:view': 'own',
+      'shipments:view': 'own',
+      'vendors:apply': 'own',
+      'reviews:write': 'own',
+    },
+  },
+  vendor: {
+    actsAs: 'vendor',
+    permissions: {
+      'products:manage': 'own',
+      'orders:view': 'own',
+      'orders:fulfil': 'own',
+      'orders:cancel': 'own',
+      'returns:view': 'own',
+      'returns:review': 'own',
+      'shipments:view': 'own',
+      'shipments:manage': 'own',
+      'shipping:settings': 'own',
+      'store:manage': 'own',
+      'reviews:reply': 'own',
+    },
+  },
+  admin: {
+    actsAs: 'admin',
+    permissions: {
+      'products:manage': 'any',
+      'orders:view': 'any',
+      'orders:manage': 'any',
+      'orders:fulfil': 'any',
+      'orders:cancel': 'any',
+      'payments:view': 'any',
+      'payments:refund': 'any',
+      'payments:restock': 'any',
+      'returns:view': 'any',
+      'returns:review': 'any',
+      'shipments:view': 'any',
+      'shipments:manage': 'any',
+      'categories:manage': 'any',
+      'coupons:manage': 'any',
+      'users:manage': 'any',
+      'vendors:review': 'any',
+      'reviews:reply': 'any',
+      'reviews:moderate': 'any',
+      'analytics:view': 'any',
+    },
+  },
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// The scope a user has for a permission ('own' or 'any'), or null
+function permissionScope(user, permission) {
+  const role = user && ROLES[user.role];
+  return (role && role.permissions[permission]) || null;
+}
+
+function hasPermission(user, permission, scope) {
+  const granted = permissionScope(user, permission);
+  return scope === 'any' ? granted === 'any' : Boolean(granted);
+}
+
+// The account whose resources this user acts on
+function principalId(user) {
+  const role = ROLES[user.role];
+  return role && role.principal ? role.principal(user) : user._id;
+}
+
+function actsAs(user) {
+  const role = ROLES[user.role];
+  return role ? role.actsAs : user.role;
+}
+
+// Ownership-aware check: with 'any' scope every resource is allowed, with
+// 'own' scope the user's principal has to be one of the resource's owners.
+function can(user, permission, owners) {
+  const scope = permissionScope(user, permission);
+  if (scope === 'any') return true;
+  if (scope !== 'own') return false;
+  return isOwner(user, owners);
+}
+
+function isOwner(user, owners) {
+  const id = principalId(user).toString();
+  return [].concat(owners).some(owner => owner && (owner._id || owner).toString() === id);
+}
+
+// Query filter limiting a collection to what the user may see: nothing
+// extra for 'any', the owner field(s) matching the principal for 'own'
+function ownedFilter(user, permission, ownerFields) {
+  const scope = permissionScope(user, permission);
+  if (scope === 'any') return {};
+  const id = principalId(user);
+  const fields = [].concat(ownerFields);
+  return fields.length === 1 ? { [fields[0]]: id } : { $or: fields.map(field => ({ [field]: id })) };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  permissionScope,
+  hasPermission,
+  principalId,
+  actsAs,
+  can,
+  isOwner,
+  ownedFilter,
+};
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { ServiceError } = require('./errors');
+const { releaseStock } = require('./stock');
+const { lineKey, findOrderLine } = require('./variants');
+const { canTransition, transitionOrder } = require('./orderLifecycle');
+const { refundPayment } = require('./payments');
+const { publish } = require('./events');
+
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'disputed'];
+
+// Quantity of each line (product and variant) already refunded on this order
+function refundedQuantities(order) {
+  const refunded = new Map();
+  for (const refund of order.refunds || []) {
+    for (const item of refund.items || []) {
+      const key = lineKey(item);
+      refunded.set(key, (refunded.get(key) || 0) + item.quantity);
+    }
+  }
+  return refunded;
+}
+
+// Check requested refund lines against what was bought and not yet refunded.
+// Returns the lines and the amount paid for them.
+function validateLines(order, items) {
+  const refunded = refundedQuantities(order);
+  let value = 0;
+  const lines = items.map(item => {
+    const quantity = Number(item.quantity);
+    const line = findOrderLine(order.items, item);
+    if (!line) {
+      throw new ServiceError(400, 'Product is not part of this order', { product: item.product });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ServiceError(400, 'Each refund line needs a positive whole quantity');
+    }
+    const left = line.quantity - (refunded.get(lineKey(line)) || 0);
+    if (quantity > left) {
+      throw new ServiceError(400, `Only ${left} of this product can still be refunded`, { product: item.product });
+    }
+    // What the customer paid for these units: their share of any coupon comes
+    // off, and tax charged on top of the price goes back with them
+    const addedTax = order.taxDetails && order.taxDetails.inclusive ? 0 : (line.tax || 0);
+    value += (line.priceAtPurchase + (addedTax - (line.discount || 0)) / line.quantity) * quantity;
+    return { product: line.product, variant: line.variant, quantity };
+  });
+  return { lines, value };
+}
+
+// Append a refund to the ledger only while the running total stays within
+// what was paid. Doing the check and the increment in one update keeps
+// concurrent refunds from overshooting.
+async function claimRefund(order, entry) {
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, entry.amount] }, '$total'] },
+    },
+    { $inc: { refundedAmount: entry.amount }, $push: { refunds: entry } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ServiceError(400, 'Refunds cannot exceed the amount paid');
+  }
+  return updated;
+}
+
+// Move the order's payment status to match its refunded total
+async function settleRefundStatus(order, { actor, role, reason }) {
+  if (order.refundedAmount < order.total) {
+    return Order.findByIdAndUpdate(order._id, { paymentStatus: 'partially_refunded' }, { new: true });
+  }
+  if (canTransition(order, 'refunded', role)) {
+    return transitionOrder(order, 'refunded', { actor, role, reason, set: { paymentStatus: 'refunded' } });
+  }
+  // e.g. a cancelled order keeps its status; only the money side changes
+  return Order.findByIdAndUpdate(order._id, { paymentStatus: 'refunded' }, { new: true });
+}
+
+// Refund all or part of an order. `items` optionally names the lines being
+// refunded ([{ product, variant, quantity }]); when `amount` is left out it defaults
+// to their value. `restock` puts the refunded quantities back on sale and
+// books them in the stock ledger as a return against `reference` (the order
+// unless given).
+async function issueRefund(order, { amount, reason, items = [], restock = false, actor, role, reference }) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new ServiceError(400, 'Order is not paid');
+  }
+  if (!Array.isArray(items)) {
+    throw new ServiceError(400, 'Refund items must be a list');
+  }
+  const { lines, value } = validateLines(order, items);
+  const refundAmount = amount === undefined ? value : Number(amount);
+  if (!(refundAmount > 0)) {
+    throw new ServiceError(400, 'Refund amount must be a positive number');
+  }
+  if (restock && lines.length === 0) {
+    throw new ServiceError(400, 'Name the items to restock');
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  let updated = await claimRefund(order, {
+    _id: entryId,
+    amount: refundAmount,
+    reason: reason || 'Customer request',
+    items: lines,
+    restocked: Boolean(restock),
+    actor,
+    actorRole: role,
+  });
+
+  let providerRefund;
+  try {
+    ({ refund: providerRefund } = await refundPayment(updated, refundAmount, { reason }));
+  } catch (error) {
+    // Give the claim back so the ledger only holds refunds that went through
+    await Order.findByIdAndUpdate(order._id, {
+      $inc: { refundedAmount: -refundAmount },
+      $pull: { refunds: { _id: entryId } },
+    });
+    throw error;
+  }
+
+  if (providerRefund.id) {
+    await Order.updateOne(
+      { _id: order._id, 'refunds._id': entryId },
+      { $set: { 'refunds.$.providerRefundId': providerRefund.id } }
+    );
+  }
+  if (restock) {
+    await releaseStock(lines, {
+      type: 'return',
+      reason: reason || 'Refund issued',
+      actor,
+      actorRole: role,
+      reference: reference || { kind: 'Order', id: order._id },
+    });
+  }
+  updated = await settleRefundStatus(updated, { actor, role: 'system', reason: reason || 'Refund issued' });
+  const refund = updated.refunds.id(entryId);
+  await publish('refund.issued', { order: updated, refund, actor });
+  return { refund, providerRefund, order: updated };
+}
+
+// Give back what was paid for cancelled lines of a paid order: their value
+// plus `shipping`, or with `all` whatever is left of the total. Quantities
+// refunded before are left out. Unpaid orders have nothing to give back.
+// The cancellation already stands, so a refund the provider refuses is
+// logged rather than thrown; it can be retried with POST /api/payments/refund.
+async function refundCancellation(order, items, { shipping = 0, all = false, reason, actor, role }) {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) return null;
+  const refunded = refundedQuantities(order);
+  const lines = items
+    .map(item => ({ product: item.product, variant: item.variant, quantity: item.quantity - (refunded.get(lineKey(item)) || 0) }))
+    .filter(line => line.quantity > 0);
+  const left = order.total - (order.refundedAmount || 0);
+  const amount = all ? left : Math.min(Math.round((validateLines(order, lines).value + shipping) * 100) / 100, left);
+  if (!(amount > 0)) return null;
+  try {
+    return await issueRefund(order, { amount, items: lines, reason: reason || 'Order cancelled', actor, role });
+  } catch (error) {
+    console.error(`Refund for cancelled order ${order._id} failed:`, error);
+    return null;
+  }
+}
+
+// Cancel a whole order, giving back its stock and, when it was paid, the money
+async function cancelOrder(order, { actor, role, reason }) {
+  const cancelled = await transitionOrder(order, 'cancelled', { actor, role, reason });
+  const refund = await refundCancellation(cancelled, cancelled.items, { all: true, reason, actor, role });
+  return refund ? refund.order : cancelled;
+}
+
+// Record a refund made at the provider directly (e.g. from its dashboard)
+async function recordProviderRefund(order, { amount, providerRefundId }) {
+  if ((order.refunds || []).some(refund => refund.providerRefundId === providerRefundId)) {
+    return order;
+  }
+  const capped = Math.min(amount, order.total - (order.refundedAmount || 0));
+  if (capped <= 0) return order;
+  const updated = await claimRefund(order, {
+    amount: capped,
+    reason: 'Refunded at payment provider',
+    actorRole: 'system',
+    providerRefundId,
+  });
+  const settled = await settleRefundStatus(updated, { role: 'system', reason: 'refund.succeeded' });
+  const refund = settled.refunds.find(entry => entry.providerRefundId === providerRefundId);
+  await publish('refund.issued', { order: settled, refund });
+  return settled;
+}
+
+module.exports = { issueRefund, refundCancellation, cancelOrder, recordProviderRefund, refundedQuantities };
@@ -0,0 +1,148 @@
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+const { ensureFulfilments } = require('./fulfilment');
+const { issueRefund, refundedQuantities } = require('./refunds');
+const { lineKey, findOrderLine } = require('./variants');
+
+// Return lifecycle; only the vendor whose items they are, or an admin, moves it
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+};
+
+const OPEN_STATUSES = ['requested', 'approved', 'received'];
+
+// Quantity of each line (product and variant) already tied up in open returns for an order
+async function openReturnQuantities(orderId) {
+  const open = await Return.find({ order: orderId, status: { $in: OPEN_STATUSES } });
+  const quantities = new Map();
+  for (const ret of open) {
+    for (const item of ret.items) {
+      const key = lineKey(item);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+}
+
+// Open return requests for lines of a delivered order, one per vendor
+async function requestReturn(order, { customer, items, reason, photos = [] }) {
+  if (order.status !== 'delivered') {
+    throw new ServiceError(409, 'Only delivered orders can be returned');
+  }
+  if (!reason) {
+    throw new ServiceError(400, 'A reason is required');
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ServiceError(400, 'Choose at least one item to return');
+  }
+  order = await ensureFulfilments(order);
+
+  const refunded = refundedQuantities(order);
+  const pending = await openReturnQuantities(order._id);
+  const byVendor = new Map();
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    const line = findOrderLine(order.items, item);
+    if (!line) {
+      throw new ServiceError(400, 'Product is not part of this order', { product: item.product });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ServiceError(400, 'Each item needs a positive whole quantity');
+    }
+    const key = lineKey(line);
+    const left = line.quantity - (refunded.get(key) || 0) - (pending.get(key) || 0);
+    if (quantity > left) {
+      throw new ServiceError(400, `Only ${left} of this product can still be returned`, { product: item.product });
+    }
+    // Lines from before vendor groups existed may not name their vendor
+    const product = line.vendor ? null : await Product.findById(line.product).select('vendor');
+    const vendorId = line.vendor || (product && product.vendor);
+    if (!vendorId) {
+      throw new ServiceError(409, 'The seller of this product is no longer available, so it cannot be returned', { product: item.product });
+    }
+    const vendor = vendorId.toString();
+    if (!byVendor.has(vendor)) byVendor.set(vendor, []);
+    byVendor.get(vendor).push({ product: line.product, variant: line.variant, sku: line.sku, quantity, priceAtPurchase: line.priceAtPurchase });
+  }
+
+  const created = [];
+  for (const [vendor, vendorItems] of byVendor) {
+    created.push(await Return.create({
+      order: order._id,
+      customer,
+      vendor,
+      items: vendorItems,
+      reason,
+      photos,
+      statusHistory: [{ from: null, to: 'requested', actor: customer, actorRole: 'customer', note: reason }],
+    }));
+  }
+  return created;
+}
+
+// Move a return along its lifecycle. The write is conditional on the status
+// we checked, so two reviewers can't both act on the same return.
+async function transitionReturn(ret, to, { actor, role, note, set = {} }) {
+  if (!(to in RETURN_TRANSITIONS)) {
+    throw new ServiceError(400, 'Invalid return status');
+  }
+  if (!RETURN_TRANSITIONS[ret.status].includes(to)) {
+    throw new ServiceError(409, `Cannot move return from ${ret.status} to ${to}`, { from: ret.status, to });
+  }
+  const updated = await Return.findOneAndUpdate(
+    { _id: ret._id, status: ret.status },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: { from: ret.status, to, actor, actorRole: role, note } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new ServiceError(409, 'Return changed in the meantime, please retry');
+  }
+  return updated;
+}
+
+// Refund a received return and put its items back in stock. The return is
+// claimed (moved to refunded) first, so a second call can't refund and
+// restock it again; the claim is given back if the refund fails.
+async function refundReturn(ret, { actor, role }) {
+  if (ret.status !== 'received') {
+    throw new ServiceError(409, 'Items must be received before the return is refunded');
+  }
+  await transitionReturn(ret, 'refunded', { actor, role, note: 'Refund issued' });
+  let refund;
+  try {
+    const order = await Order.findById(ret.order);
+    if (!order) {
+      throw new ServiceError(404, 'Order not found');
+    }
+    ({ refund } = await issueRefund(order, {
+      reason: `Return ${ret._id}: ${ret.reason}`,
+      items: ret.items.map(({ product, variant, quantity }) => ({ product, variant, quantity })),
+      restock: true,
+      actor,
+      role,
+      reference: { kind: 'Return', id: ret._id },
+    }));
+  } catch (error) {
+    await Return.updateOne(
+      { _id: ret._id, status: 'refunded' },
+      { $set: { status: 'received' }, $pop: { statusHistory: 1 } }
+    );
+    throw error;
+  }
+  return Return.findByIdAndUpdate(
+    ret._id,
+    { $set: { refundAmount: refund.amount, refundId: refund._id } },
+    { new: true }
+  );
+}
+
+module.exports = { RETURN_TRANSITIONS, requestReturn, transitionReturn, refundReturn };
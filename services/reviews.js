@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+
+function assertReviewId(reviewId) {
+  if (!mongoose.isValidObjectId(reviewId)) {
+    throw new ServiceError(404, 'Review not found');
+  }
+}
+
+function parseRating(value) {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ServiceError(400, 'Rating must be a whole number from 1 to 5');
+  }
+  return rating;
+}
+
+// Move a product's rating aggregate by the given deltas in one atomic
+// update; the average is recomputed from the stored total and count
+async function adjustRating(productId, countDelta, totalDelta) {
+  await Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        'rating.count': { $add: [{ $ifNull: ['$rating.count', 0] }, countDelta] },
+        'rating.total': { $add: [{ $ifNull: ['$rating.total', 0] }, totalDelta] },
+      },
+    },
+    {
+      $set: {
+        'rating.average': {
+          $cond: [
+            { $gt: ['$rating.count', 0] },
+            { $round: [{ $divide: ['$rating.total', '$rating.count'] }, 2] },
+            0,
+          ],
+        },
+      },
+    },
+  ]);
+}
+
+// A delivered order of the customer's that contains the product. The
+// vendor's fulfilment group counts as delivered even if other vendors'
+// parts of the order are still on the way.
+async function findVerifiedOrder(customerId, product) {
+  return Order.findOne({
+    customer: customerId,
+    'items.product': product._id,
+    $or: [
+      { status: 'delivered' },
+      { fulfilments: { $elemMatch: { vendor: product.vendor, status: 'delivered' } } },
+    ],
+  }).sort({ createdAt: -1 });
+}
+
+// Review a product the customer has received; once per product
+async function createReview(user, productId, { rating, title, text, images = [] }) {
+  const stars = parseRating(rating);
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) {
+    throw new ServiceError(404, 'Product not found');
+  }
+  const order = await findVerifiedOrder(user._id, product);
+  if (!order) {
+    throw new ServiceError(403, 'Only customers who received this product can review it');
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      product: product._id,
+      user: user._id,
+      vendor: product.vendor,
+      order: order._id,
+      verifiedPurchase: true,
+      rating: stars,
+      title,
+      text,
+      images,
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new ServiceError(409, 'You have already reviewed this product');
+    throw error;
+  }
+  try {
+    await adjustRating(product._id, 1, stars);
+  } catch (error) {
+    await Review.deleteOne({ _id: review._id });
+    throw error;
+  }
+  return review;
+}
+
+// Author edits their review; a changed rating moves the product aggregate
+async function updateReview(review, { rating, title, text }) {
+  const update = {};
+  if (rating !== undefined) update.rating = parseRating(rating);
+  if (title !== undefined) update.title = title;
+  if (text !== undefined) update.text = text;
+
+  // Matching on the old rating keeps the aggregate right if two edits race
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id, rating: review.rating },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ServiceError(409, 'Review was changed by another request, try again');
+  }
+  if (updated.status === 'published' && updated.rating !== review.rating) {
+    await adjustRating(updated.product, 0, updated.rating - review.rating);
+  }
+  return updated;
+}
+
+async function deleteReview(review) {
+  const deleted = await Review.findOneAndDelete({ _id: review._id });
+  if (deleted && deleted.status === 'published') {
+    await adjustRating(deleted.product, -1, -deleted.rating);
+  }
+  return deleted;
+}
+
+// Mark a review helpful; once per user, and not on your own review
+async function voteHelpful(reviewId, userId) {
+  assertReviewId(reviewId);
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, status: 'published', user: { $ne: userId }, helpfulVoters: { $ne: userId } },
+    { $push: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+    { new: true }
+  );
+  if (review) return review;
+  const existing = await Review.findOne({ _id: reviewId, status: 'published' });
+  if (!existing) throw new ServiceError(404, 'Review not found');
+  if (existing.user.toString() === userId.toString()) {
+    throw new ServiceError(400, 'You cannot vote on your own review');
+  }
+  return existing; // Already voted
+}
+
+async function removeHelpfulVote(reviewId, userId) {
+  assertReviewId(reviewId);
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, helpfulVoters: userId },
+    { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+    { new: true }
+  );
+  if (review) return review;
+  const existing = await Review.findById(reviewId);
+  if (!existing) throw new ServiceError(404, 'Review not found');
+  return existing;
+}
+
+// The vendor's public answer to a review; replying again replaces it
+async function replyToReview(review, { text, actor }) {
+  if (!text) {
+    throw new ServiceError(400, 'Reply text is required');
+  }
+  review.vendorReply = { text, by: actor, at: new Date() };
+  await review.save();
+  return review;
+}
+
+// Hide or republish a review. Hidden reviews drop out of the product rating.
+async function moderateReview(reviewId, status, { actor, reason }) {
+  assertReviewId(reviewId);
+  if (!['published', 'hidden'].includes(status)) {
+    throw new ServiceError(400, 'Status must be published or hidden');
+  }
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, status: { $ne: status } },
+    { status, moderation: { by: actor, reason, at: new Date() } },
+    { new: true }
+  );
+  if (!review) {
+    const existing = await Review.findById(reviewId);
+    if (!existing) throw new ServiceError(404, 'Review not found');
+    return existing; // Already in that state
+  }
+  const sign = status === 'published' ? 1 : -1;
+  await adjustRating(review.product, sign, sign * review.rating);
+  return review;
+}
+
+module.exports = {
+  adjustRating,
+  findVerifiedOrder,
+  createReview,
+  updateReview,
+  deleteReview,
+  voteHelpful,
+  removeHelpfulVote,
+  replyToReview,
+  moderateReview,
+};
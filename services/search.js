@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { findCategory, categoryWithDescendants } = require('./categories');
+const { paginate } = require('./pagination');
+
+// Upper bounds of the price facet buckets; anything above the last is "1000+"
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const SORTS = {
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  newest: { createdAt: -1 },
+  rating_desc: { 'rating.average': -1, 'rating.count': -1 },
+};
+
+const escapeRegex = text => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase words without accents, in any script, e.g. "Café Crème" ->
+// ['cafe', 'creme']. Recomposing afterwards keeps scripts such as Hangul whole.
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 2);
+}
+
+// Edit distance between two words (insert, delete, substitute)
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Recompute the denormalised search fields of a product: its category names,
+// its vendor's store name and the words the suggest and typo lookups use
+async function refreshSearchMeta(productId) {
+  const product = await Product.findById(productId)
+    .populate('categories', 'name')
+    .populate('vendor', 'username store.name');
+  if (!product) return;
+  const categories = product.categories.filter(Boolean).map(category => category.name);
+  const vendor = product.vendor ? (product.vendor.store && product.vendor.store.name) || product.vendor.username : '';
+  const tokens = new Set([...tokenize(product.name), ...categories.flatMap(tokenize), ...tokenize(vendor)]);
+  await Product.updateOne(
+    { _id: product._id },
+    { searchMeta: { categories, vendor, tokens: [...tokens] } }
+  );
+}
+
+// Refresh every product matching a filter, e.g. after a category or store is renamed
+async function refreshSearchMetaWhere(filter) {
+  const products = await Product.find(filter).select('_id');
+  for (const product of products) {
+    await refreshSearchMeta(product._id);
+  }
+  return products.length;
+}
+
+// Replace query words the catalogue doesn't know with the closest known word
+// sharing their first letter: one edit for short words, two for longer ones.
+// Returns the corrected words and whether anything changed.
+async function correctTerms(terms) {
+  const corrected = [];
+  let changed = false;
+  for (const term of terms) {
+    if (term.length < 4 || /^\d+$/.test(term) || await Product.exists({ isActive: true, 'searchMeta.tokens': term })) {
+      corrected.push(term);
+      continue;
+    }
+    const prefix = new RegExp(`^${escapeRegex(term[0])}`);
+    const candidates = await Product.aggregate([
+      { $match: { isActive: true, 'searchMeta.tokens': prefix } },
+      { $unwind: '$searchMeta.tokens' },
+      { $match: { 'searchMeta.tokens': prefix } },
+      { $group: { _id: '$searchMeta.tokens', count: { $sum: 1 } } },
+      { $limit: 5000 },
+    ]);
+    const maxDistance = term.length <= 5 ? 1 : 2;
+    let best = null;
+    for (const { _id: word, count } of candidates) {
+      if (Math.abs(word.length - term.length) > maxDistance) continue;
+      const distance = editDistance(term, word);
+      if (distance <= maxDistance && (!best || distance < best.distance || (distance === best.distance && count > best.count))) {
+        best = { word, distance, count };
+      }
+    }
+    corrected.push(best ? best.word : term);
+    if (best) changed = true;
+  }
+  return { terms: corrected, changed };
+}
+
+// Query filter for the non-text search options
+async function searchFilter({ category, vendor, minPrice, maxPrice, minRating, inStock }) {
+  const filter = { isActive: true };
+  if (category) {
+    const found = await findCategory(category);
+    // An unknown category matches nothing rather than everything
+    filter.categories = { $in: found ? await categoryWithDescendants(found._id) : [] };
+  }
+  if (vendor && mongoose.isValidObjectId(vendor)) {
+    filter.vendor = new mongoose.Types.ObjectId(String(vendor));
+  }
+  if (minPrice || maxPrice) {
+    filter.price = {};
+    if (minPrice) filter.price.$gte = parseFloat(minPrice);
+    if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+  }
+  if (minRating) filter['rating.average'] = { $gte: parseFloat(minRating) };
+  if (inStock === 'true' || inStock === true) filter.stock = { $gt: 0 };
+  return filter;
+}
+
+// Counts per category, vendor, price bucket and availability for a filter
+async function searchFacets(filter) {
+  const [facets] = await Product.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        categories: [
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 },
+          { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+          { $project: { _id: 0, id: '$_id', name: { $first: '$category.name' }, slug: { $first: '$category.slug' }, count: 1 } },
+        ],
+        vendors: [
+          { $group: { _id: '$vendor', name: { $first: '$searchMeta.vendor' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 },
+          { $project: { _id: 0, id: '$_id', name: 1, count: 1 } },
+        ],
+        price: [
+          { $bucket: { groupBy: '$price', boundaries: PRICE_BUCKETS, default: 'over', output: { count: { $sum: 1 } } } },
+        ],
+        availability: [
+          { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+  const inStock = facets.availability.find(entry => entry._id === true);
+  const outOfStock = facets.availability.find(entry => entry._id === false);
+  return {
+    categories: facets.categories,
+    vendors: facets.vendors,
+    price: facets.price.map(bucket => {
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return bucket._id === 'over'
+        ? { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, count: bucket.count }
+        : { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+    }),
+    availability: { inStock: inStock ? inStock.count : 0, outOfStock: outOfStock ? outOfStock.count : 0 },
+  };
+}
+
+// Full-text product search ranked by relevance, with typo correction and
+// facets. Without `q` it browses by the other filters, newest first.
+// `paging` is the page/cursor/limit/fields query (services/pagination.js).
+async function searchProducts({ q, sort, facets = true, ...filters }, paging = {}) {
+  const filter = await searchFilter(filters);
+  const query = String(q || '').trim();
+  const terms = tokenize(query);
+  let correctedQuery = null;
+  if (terms.length > 0) {
+    const correction = await correctTerms(terms);
+    if (correction.changed) correctedQuery = correction.terms.join(' ');
+    filter.$text = { $search: correction.terms.join(' ') };
+  } else if (query) {
+    // Nothing to correct (one-letter words, symbols): search the query as
+    // typed rather than falling back to browsing the whole catalogue
+    filter.$text = { $search: query };
+  }
+
+  const ranked = Boolean(filter.$text);
+  const order = SORTS[sort] || (ranked ? { score: { $meta: 'textScore' } } : SORTS.newest);
+  const results = await paginate(Product, filter, paging, {
+    sort: order,
+    select: '-searchMeta.tokens',
+    projection: ranked ? { score: { $meta: 'textScore' } } : undefined,
+    populate: [
+      { path: 'vendor', select: 'username store.name store.slug store.logo' },
+      { path: 'categories', select: 'name slug' },
+    ],
+  });
+
+  return {
+    query,
+    correctedQuery,
+    ...results,
+    facets: facets ? await searchFacets(filter) : undefined,
+  };
+}
+
+// Autocomplete for a partly typed query: known words starting with the last
+// word typed, and products and categories whose names start with it
+async function suggest(q, { limit = 5 } = {}) {
+  const words = tokenize(q);
+  const prefix = words[words.length - 1];
+  if (!prefix) return { terms: [], products: [], categories: [] };
+  const pattern = new RegExp(`^${escapeRegex(prefix)}`);
+
+  const terms = await Product.aggregate([
+    { $match: { isActive: true, 'searchMeta.tokens': pattern } },
+    { $unwind: '$searchMeta.tokens' },
+    { $match: { 'searchMeta.tokens': pattern } },
+    { $group: { _id: '$searchMeta.tokens', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  const products = await Product.find({ isActive: true, 'searchMeta.tokens': pattern })
+    .select('name price imageUrl')
+    .sort({ 'rating.count': -1 })
+    .limit(limit);
+  const categories = await Category.find({
+    isActive: true,
+    $or: [{ slug: pattern }, { name: new RegExp(`^${escapeRegex(prefix)}`, 'i') }],
+  })
+    .select('name slug')
+    .limit(limit);
+
+  const before = words.slice(0, -1).join(' ');
+  return {
+    terms: terms.map(({ _id: word }) => (before ? `${before} ${word}` : word)),
+    products,
+    categories,
+  };
+}
+
+module.exports = {
+  tokenize,
+  editDistance,
+  escapeRegex,
+  refreshSearchMeta,
+  refreshSearchMetaWhere,
+  correctTerms,
+  searchFacets,
+  searchProducts,
+  suggest,
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<session id>.<random secret>" so the session can be
+// found without storing the secret itself
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+function parseRefreshToken(token) {
+  const [sessionId, secret] = typeof token === 'string' ? token.split('.') : [];
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    throw new ServiceError(401, 'Invalid refresh token');
+  }
+  return { sessionId, hash: hashToken(secret) };
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id, tv: user.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+}
+
+// Start a session for a device and issue its first token pair
+async function createSession(user, { userAgent, ip, deviceName } = {}) {
+  const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  const session = new Session({
+    user: user._id,
+    userAgent,
+    ip,
+    deviceName,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+  const { token, hash } = newRefreshToken(session._id);
+  session.tokenHash = hash;
+  await session.save();
+  return { session, accessToken: signAccessToken(user, session), refreshToken: token };
+}
+
+// Swap a refresh token for a new pair. Each refresh token works once: a
+// token that was already rotated away means it leaked, so the whole
+// session is revoked.
+async function rotateSession(refreshToken, { ip } = {}) {
+  const { sessionId, hash } = parseRefreshToken(refreshToken);
+  const now = new Date();
+  const next = newRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { tokenHash: next.hash, lastUsedAt: now, ip }, $push: { previousHashes: hash } },
+    { new: true }
+  );
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousHashes: hash, revokedAt: null },
+      { revokedAt: now, revokedReason: 'reuse_detected' }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected, session ${sessionId} revoked`);
+    }
+    throw new ServiceError(401, 'Invalid refresh token');
+  }
+  const user = await User.findById(session.user);
+  if (!user || user.isDeleted || user.isBlockedNow()) {
+    await revokeSession(session._id, user ? 'account_disabled' : 'user_missing');
+    throw new ServiceError(401, 'Invalid refresh token');
+  }
+  return { session, accessToken: signAccessToken(user, session), refreshToken: next.token };
+}
+
+async function revokeSession(sessionId, reason = 'logout', userId) {
+  const query = { _id: sessionId, revokedAt: null };
+  if (userId) query.user = userId;
+  return Session.findOneAndUpdate(query, { revokedAt: new Date(), revokedReason: reason }, { new: true });
+}
+
+// Log out every device, optionally keeping the current one
+async function revokeAllSessions(userId, { except, reason = 'logout_all' } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+  const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+}
+
+// Check a verified access token against the server: its session must still
+// be open, its token version current, and the account neither blocked nor deleted
+async function authenticate({ userId, sid, tv = 0 }) {
+  if (!sid) {
+    throw new ServiceError(401, 'Please authenticate');
+  }
+  const [session, user] = await Promise.all([
+    Session.exists({ _id: sid, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }),
+    User.findById(userId).select('-password'),
+  ]);
+  if (!session || !user || (user.tokenVersion || 0) !== tv) {
+    throw new ServiceError(401, 'Session has been revoked');
+  }
+  if (user.isDeleted) {
+    throw new ServiceError(403, 'Account has been deleted');
+  }
+  if (user.isBlockedNow()) {
+    throw new ServiceError(403, 'Account is blocked');
+  }
+  return user;
+}
+
+async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip deviceName createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+  return sessions.map(session => ({
+    id: session._id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+  }));
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticate,
+  listSessions,
+};
@@ -0,0 +1,190 @@
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { ServiceError } = require('./errors');
+const { getCarrier, findCarrier } = require('./carriers');
+const { ensureFulfilments, shippingError, transitionFulfilment } = require('./fulfilment');
+
+const EVENT_STATUSES = ['label_created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'];
+
+// Create a shipment for the vendor's part of an order. Packages may only hold
+// the vendor's own lines. The first shipment marks their group shipped.
+async function createShipment(order, vendorId, { carrier, trackingNumber, packages = [], actor }) {
+  if (!carrier) {
+    throw new ServiceError(400, 'Carrier is required');
+  }
+  order = await ensureFulfilments(order);
+  const group = order.fulfilments.find(g => g.vendor.toString() === vendorId.toString());
+  if (!group) {
+    throw new ServiceError(404, 'Order not found or not related to your products');
+  }
+  if (!['pending', 'shipped'].includes(group.status)) {
+    throw new ServiceError(409, `Cannot ship a fulfilment that is ${group.status}`);
+  }
+  // Checked before anything is stored, so a refused shipment leaves nothing behind
+  const blocked = shippingError(order);
+  if (blocked) {
+    throw new ServiceError(409, blocked);
+  }
+
+  const ownProducts = order.items
+    .filter(item => item.vendor && item.vendor.toString() === vendorId.toString())
+    .map(item => item.product.toString());
+  for (const pkg of packages) {
+    for (const item of pkg.items || []) {
+      if (!ownProducts.includes(String(item.product))) {
+        throw new ServiceError(400, 'Packages can only contain your own items', { product: item.product });
+      }
+    }
+  }
+
+  const integration = findCarrier(carrier);
+  const number = trackingNumber || (integration && integration.createTrackingNumber && integration.createTrackingNumber());
+  if (!number) {
+    throw new ServiceError(400, 'Tracking number is required for this carrier');
+  }
+
+  const now = new Date();
+  let shipment;
+  try {
+    shipment = await Shipment.create({
+      order: order._id,
+      vendor: vendorId,
+      carrier,
+      trackingNumber: number,
+      packages,
+      events: [{ status: 'label_created', description: 'Shipping label created', occurredAt: now, source: 'vendor' }],
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError(409, 'This tracking number is already used by another shipment', { carrier, trackingNumber: number });
+    }
+    throw error;
+  }
+
+  if (group.status === 'pending') {
+    try {
+      await transitionFulfilment(order, vendorId, 'shipped', {
+        actor,
+        role: 'vendor',
+        reason: `Shipped with ${carrier} ${number}`,
+        trackingNumber: number,
+      });
+    } catch (error) {
+      // The order changed under us; drop the shipment so the tracking number can be used again
+      await Shipment.deleteOne({ _id: shipment._id });
+      throw error;
+    }
+  }
+  return shipment;
+}
+
+// Append a tracking event. Carrier events carry an external ID and are
+// skipped if already stored, so webhook redeliveries are harmless.
+// A delivered event completes the vendor's fulfilment group.
+async function addTrackingEvent(shipment, event, { actor, role }) {
+  if (!EVENT_STATUSES.includes(event.status)) {
+    throw new ServiceError(400, 'Invalid tracking status');
+  }
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  const estimatedDelivery = event.estimatedDelivery ? new Date(event.estimatedDelivery) : undefined;
+  if (Number.isNaN(occurredAt.getTime()) || (estimatedDelivery && Number.isNaN(estimatedDelivery.getTime()))) {
+    throw new ServiceError(400, 'Invalid event date');
+  }
+  const entry = {
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    occurredAt,
+    estimatedDelivery,
+    source: event.source,
+    externalId: event.externalId,
+  };
+
+  const query = { _id: shipment._id };
+  if (entry.externalId) query['events.externalId'] = { $ne: entry.externalId };
+  const set = {};
+  if (entry.estimatedDelivery) set.estimatedDelivery = entry.estimatedDelivery;
+  const updated = await Shipment.findOneAndUpdate(query, { $push: { events: entry }, $set: set }, { new: true });
+  if (!updated) {
+    return { shipment, duplicate: true };
+  }
+
+  // The shipment status follows its most recent event, whatever order they arrive in
+  const latest = updated.events.reduce((a, b) => (b.occurredAt >= a.occurredAt ? b : a));
+  if (updated.status !== latest.status) {
+    updated.status = latest.status;
+    await Shipment.updateOne({ _id: updated._id }, { status: latest.status });
+  }
+
+  if (entry.status === 'delivered') {
+    await completeFulfilment(updated, { actor, role });
+  }
+  return { shipment: updated, duplicate: false };
+}
+
+// Mark the vendor's group delivered once every one of their shipments is
+async function completeFulfilment(shipment, { actor, role }) {
+  const order = await Order.findById(shipment.order);
+  if (!order || ['cancelled', 'refunded'].includes(order.status)) return;
+  const shipments = await Shipment.find({ order: order._id, vendor: shipment.vendor });
+  const allDelivered = shipments.every(s => s.events.some(e => e.status === 'delivered'));
+  const group = (order.fulfilments || []).find(g => g.vendor.toString() === shipment.vendor.toString());
+  if (allDelivered && group && group.status === 'shipped') {
+    await transitionFulfilment(order, shipment.vendor, 'delivered', {
+      actor,
+      role,
+      reason: `Delivered by ${shipment.carrier}`,
+    });
+  }
+}
+
+// Store the events from a verified carrier webhook. Events for tracking
+// numbers we don't know are acknowledged but ignored.
+async function ingestCarrierEvents(carrierName, rawBody, headers) {
+  const carrier = getCarrier(carrierName);
+  const { trackingNumber, events } = carrier.parseWebhook(rawBody, headers);
+  const shipment = await Shipment.findOne({ carrier: carrierName, trackingNumber });
+  if (!shipment) {
+    return { shipment: null, stored: 0 };
+  }
+  let current = shipment;
+  let stored = 0;
+  for (const event of events) {
+    const result = await addTrackingEvent(current, { ...event, source: 'carrier' }, { actor: null, role: 'system' });
+    current = result.shipment;
+    if (!result.duplicate) stored += 1;
+  }
+  return { shipment: current, stored };
+}
+
+// Tracking for an order, built only from stored shipment events
+function buildTracking(order, shipments) {
+  const updates = shipments
+    .flatMap(shipment => shipment.events.map(event => ({
+      shipment: shipment._id,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      timestamp: event.occurredAt,
+    })))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const estimates = shipments.map(s => s.estimatedDelivery).filter(Boolean);
+  return {
+    orderId: order._id,
+    status: order.status,
+    estimatedDelivery: estimates.length > 0 ? new Date(Math.max(...estimates)) : null,
+    shipments: shipments.map(shipment => ({
+      id: shipment._id,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      status: shipment.status,
+      estimatedDelivery: shipment.estimatedDelivery || null,
+      packages: shipment.packages,
+    })),
+    updates,
+  };
+}
+
+module.exports = { EVENT_STATUSES, createShipment, addTrackingEvent, ingestCarrierEvents, buildTracking };
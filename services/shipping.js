@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { countryCode } = require('./countries');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+let config = null;
+
+// Zones, methods and rates are read once from SHIPPING_CONFIG_PATH (default config/shipping.json)
+function loadConfig() {
+  if (!config) {
+    const file = process.env.SHIPPING_CONFIG_PATH || path.join(__dirname, '../config/shipping.json');
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return config;
+}
+
+// Swap the configuration at runtime (tests, or after editing the file)
+function setConfig(next) {
+  config = next;
+}
+
+// First zone matching the destination country and, where the zone lists
+// them, postal code prefix. Zones are checked in file order.
+function resolveZone(destination = {}) {
+  const country = countryCode(destination.country);
+  const postal = String(destination.zipCode || destination.postalCode || '').trim().toUpperCase();
+  const zone = loadConfig().zones.find(candidate =>
+    (candidate.countries.includes(country) || candidate.countries.includes('*')) &&
+    (!candidate.postalPrefixes || candidate.postalPrefixes.some(prefix => postal.startsWith(prefix)))
+  );
+  if (!zone) {
+    throw new ServiceError(400, 'We do not ship to this destination');
+  }
+  return zone.id;
+}
+
+// Billable weight of a line: the larger of its real and dimensional weight
+function chargeableWeight(line) {
+  const { dimensionalDivisor, defaultItemWeight } = loadConfig();
+  const actual = line.weight || defaultItemWeight;
+  const { length, width, height } = line.dimensions || {};
+  const dimensional = length && width && height ? (length * width * height) / dimensionalDivisor : 0;
+  return Math.max(actual, dimensional) * line.quantity;
+}
+
+// Methods that can carry a parcel of this weight to this zone
+function availableMethods(zone, weight = 0) {
+  return loadConfig().methods.filter(method =>
+    method.rates[zone] && (!method.maxWeight || weight <= method.maxWeight)
+  );
+}
+
+// Parcel value from which a vendor ships free: their own threshold, the
+// platform default, or null when they turned free shipping off
+function freeShippingThreshold(vendor) {
+  const settings = (vendor && vendor.vendorSettings) || {};
+  if (settings.freeShippingEnabled === false) return null;
+  if (typeof settings.freeShippingThreshold === 'number') return settings.freeShippingThreshold;
+  return loadConfig().freeShippingThreshold;
+}
+
+// Vendors' free-shipping thresholds, keyed by vendor id
+async function freeShippingThresholds(vendorIds) {
+  const vendors = await User.find({ _id: { $in: vendorIds } }).select('vendorSettings');
+  const thresholds = new Map();
+  for (const id of vendorIds) {
+    const vendor = vendors.find(v => v._id.toString() === id.toString());
+    thresholds.set(id.toString(), freeShippingThreshold(vendor));
+  }
+  return thresholds;
+}
+
+// Quote shipping for priced lines ({ vendor, quantity, priceAtPurchase,
+// discount, weight, dimensions }). Each vendor ships their own parcel, so
+// the cost is the sum of one parcel per vendor, and a vendor's parcel ships
+// free once its value reaches that vendor's threshold.
+async function quoteShipping({ lines, destination, method = 'standard' }) {
+  const zone = resolveZone(destination);
+  const methodConfig = loadConfig().methods.find(candidate => candidate.id === method);
+  if (!methodConfig) {
+    throw new ServiceError(400, 'Unknown shipping method');
+  }
+  const rate = methodConfig.rates[zone];
+  if (!rate) {
+    throw new ServiceError(400, `${methodConfig.name} is not available for this destination`);
+  }
+
+  const parcels = new Map();
+  for (const line of lines) {
+    const key = line.vendor.toString();
+    if (!parcels.has(key)) parcels.set(key, { vendor: line.vendor, weight: 0, value: 0 });
+    const parcel = parcels.get(key);
+    parcel.weight += chargeableWeight(line);
+    parcel.value += line.priceAtPurchase * line.quantity - (line.discount || 0);
+  }
+  const thresholds = await freeShippingThresholds([...parcels.keys()]);
+
+  const quoted = [...parcels.values()].map(parcel => {
+    if (methodConfig.maxWeight && parcel.weight > methodConfig.maxWeight) {
+      throw new ServiceError(400, `${methodConfig.name} is limited to ${methodConfig.maxWeight} kg per parcel`);
+    }
+    const threshold = thresholds.get(parcel.vendor.toString());
+    const freeShipping = Boolean(methodConfig.freeShippingEligible) && threshold !== null && parcel.value >= threshold;
+    return {
+      vendor: parcel.vendor,
+      weight: round(parcel.weight),
+      freeShipping,
+      cost: freeShipping ? 0 : round(rate.base + parcel.weight * rate.perKg),
+    };
+  });
+
+  return {
+    method,
+    zone,
+    cost: round(quoted.reduce((sum, parcel) => sum + parcel.cost, 0)),
+    estimatedDays: rate.days[1],
+    deliveryWindow: rate.days,
+    totalWeight: round(quoted.reduce((sum, parcel) => sum + parcel.weight, 0)),
+    freeShipping: quoted.every(parcel => parcel.freeShipping),
+    parcels: quoted,
+  };
+}
+
+module.exports = { loadConfig, setConfig, resolveZone, availableMethods, chargeableWeight, freeShippingThreshold, quoteShipping };
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { ServiceError } = require('./errors');
+const { publish } = require('./events');
+
+const idOf = value => (value && value._id) || value;
+
+// Filter and update moving a line's stock by `delta`. Lines with a variant
+// move the variant's stock and the product total together.
+function stockChange(line, delta) {
+  if (line.variant) {
+    const filter = { _id: idOf(line.product), variants: { $elemMatch: { _id: line.variant } } };
+    if (delta < 0) filter.variants.$elemMatch.stock = { $gte: -delta };
+    return { filter, update: { $inc: { 'variants.$.stock': delta, stock: delta } } };
+  }
+  const filter = { _id: idOf(line.product) };
+  if (delta < 0) filter.stock = { $gte: -delta };
+  return { filter, update: { $inc: { stock: delta } } };
+}
+
+// Stock of the line's variant, or of the product, in a product document
+function stockOf(product, variantId) {
+  if (!variantId) return product.stock;
+  const variant = product.variants.find(v => v._id.toString() === variantId.toString());
+  return variant ? variant.stock : undefined;
+}
+
+// Append movements to the ledger ({ product, variant, sku, quantity,
+// stockAfter } plus the shared type, reason, actor and reference). The stock
+// has already moved by then, so a failed write is logged rather than thrown;
+// reconciliation picks up the gap.
+async function recordMovements(entries, { type, reason, actor = null, actorRole = 'system', reference } = {}) {
+  const movements = entries
+    .filter(entry => entry.quantity !== 0)
+    .map(entry => ({ ...entry, type, reason, actor, actorRole, reference }));
+  if (movements.length === 0) return;
+  try {
+    await StockMovement.insertMany(movements);
+  } catch (error) {
+    console.error('Stock ledger error:', error);
+  }
+}
+
+// Move stock for one line and return the ledger entry for it, or null when
+// the filter didn't match (e.g. not enough stock left)
+async function moveLine(line, delta, extraFilter = {}) {
+  const { filter, update } = stockChange(line, delta);
+  const product = await Product.findOneAndUpdate({ ...filter, ...extraFilter }, update, { new: true });
+  if (!product) return null;
+  const variant = line.variant && product.variants.id(line.variant);
+  return {
+    product: product._id,
+    variant: line.variant || undefined,
+    sku: variant ? variant.sku : line.sku,
+    quantity: delta,
+    stockAfter: stockOf(product, line.variant),
+    document: product,
+  };
+}
+
+const ledgerEntry = ({ document, ...entry }) => entry;
+
+// Decrement stock for every line or for none of them.
+// Each update only matches while enough stock is left, so parallel checkouts
+// can never push a product below zero; lines already taken are put back on failure.
+// `movement` describes the sale for the ledger ({ reason, actor, actorRole, reference }).
+async function reserveStock(lines, movement = {}) {
+  const reserved = [];
+  const entries = [];
+  for (const line of lines) {
+    const entry = await moveLine(line, -line.quantity);
+    if (!entry) {
+      await recordMovements(entries, { ...movement, type: 'sale' });
+      // The lines taken so far were never announced, so giving them back isn't either
+      await releaseStock(reserved, { ...movement, type: 'cancellation', reason: 'Order could not be placed' }, { announce: false });
+      throw new ServiceError(409, `Insufficient stock for ${line.sku || line.name || line.product}`, {
+        product: line.product,
+        variant: line.variant,
+      });
+    }
+    entries.push(ledgerEntry(entry));
+    reserved.push(line);
+  }
+  await recordMovements(entries, { ...movement, type: 'sale' });
+  await publish('stock.changed', { entries });
+  return reserved;
+}
+
+// Put quantities back on the shelf (rollback, cancellation, returns).
+// `movement.type` says why; it defaults to a cancellation. Without
+// `announce`, no stock.changed event goes out.
+async function releaseStock(lines, movement = {}, { announce = true } = {}) {
+  const entries = [];
+  for (const line of lines) {
+    const entry = await moveLine(line, line.quantity);
+    if (entry) entries.push(ledgerEntry(entry));
+  }
+  await recordMovements(entries, { type: 'cancellation', ...movement });
+  if (announce) await publish('stock.changed', { entries });
+}
+
+// Add (or, with a negative quantity, take away) stock on a product or one of
+// its variants, e.g. when a delivery from a supplier arrives
+async function adjustStock(productFilter, quantity, { variant, sku } = {}, movement = {}) {
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new ServiceError(400, 'Quantity must be a non-zero whole number');
+  }
+  const product = await Product.findOne(productFilter);
+  if (!product) {
+    throw new ServiceError(404, 'Product not found or not owned by you');
+  }
+  const target = findTarget(product, { variant, sku });
+  const line = { product: product._id, variant: target ? target._id : undefined };
+  const entry = await moveLine(line, quantity, productFilter);
+  if (!entry) {
+    throw new ServiceError(409, 'Not enough stock to take away');
+  }
+  await recordMovements([ledgerEntry(entry)], { type: quantity > 0 ? 'restock' : 'adjustment', ...movement });
+  await publish('stock.changed', { entries: [ledgerEntry(entry)] });
+  return entry.document;
+}
+
+// The variant a stock update targets; products with variants need one
+function findTarget(product, { variant, sku }) {
+  if (product.variants.length === 0) {
+    if (variant || sku) throw new ServiceError(400, 'This product has no variants');
+    return null;
+  }
+  if (!variant && !sku) {
+    throw new ServiceError(400, 'This product has variants, set stock per variant');
+  }
+  const found = product.variants.find(v => (variant ? v._id.toString() === String(variant) : v.sku === sku));
+  if (!found) throw new ServiceError(404, 'Variant not found');
+  return found;
+}
+
+// Set the stock of a product, or of one of its variants (by ID or SKU).
+// The product total is recomputed from the variants in the same update, and
+// the difference goes into the ledger as an adjustment.
+async function setStock(productFilter, stock, { variant, sku } = {}, movement = {}) {
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw new ServiceError(400, 'Stock must be a non-negative whole number');
+  }
+  const existing = await Product.findOne(productFilter);
+  if (!existing) {
+    throw new ServiceError(404, 'Product not found or not owned by you');
+  }
+  const target = findTarget(existing, { variant, sku });
+
+  // Read the pre-image so the ledger gets the exact difference
+  let before;
+  if (target) {
+    before = await Product.findOneAndUpdate(
+      { ...productFilter, 'variants._id': target._id },
+      [
+        {
+          $set: {
+            variants: {
+              $map: {
+                input: '$variants',
+                as: 'variant',
+                in: {
+                  $cond: [
+                    { $eq: ['$$variant._id', new mongoose.Types.ObjectId(String(target._id))] },
+                    { $mergeObjects: ['$$variant', { stock }] },
+                    '$$variant',
+                  ],
+                },
+              },
+            },
+          },
+        },
+        { $set: { stock: { $sum: '$variants.stock' } } },
+      ],
+      { new: false }
+    );
+  } else {
+    before = await Product.findOneAndUpdate(
+      { ...productFilter, 'variants.0': { $exists: false } },
+      { stock },
+      { new: false }
+    );
+  }
+  if (!before) {
+    throw new ServiceError(409, 'Product changed in the meantime, please retry');
+  }
+  const previous = stockOf(before, target && target._id) || 0;
+  const entries = [{
+    product: before._id,
+    variant: target ? target._id : undefined,
+    sku: target ? target.sku : undefined,
+    quantity: stock - previous,
+    stockAfter: stock,
+  }];
+  await recordMovements(entries, { type: 'adjustment', ...movement });
+  await publish('stock.changed', { entries });
+  return Product.findById(before._id);
+}
+
+// Ledger entries for a product whose stock was rewritten wholesale (created,
+// or its variant list replaced): the difference per variant, or for the
+// product itself when it has none
+function stockDifferences(before, after) {
+  const levels = product => {
+    const map = new Map();
+    if (!product) return map;
+    if (product.variants && product.variants.length > 0) {
+      for (const variant of product.variants) map.set(variant._id.toString(), { variant: variant._id, sku: variant.sku, stock: variant.stock || 0 });
+    } else {
+      map.set('', { stock: product.stock || 0 });
+    }
+    return map;
+  };
+  const old = levels(before);
+  const current = levels(after);
+  const entries = [];
+  for (const [key, level] of current) {
+    entries.push({ product: after._id, variant: level.variant, sku: level.sku, quantity: level.stock - ((old.get(key) || {}).stock || 0), stockAfter: level.stock });
+  }
+  for (const [key, level] of old) {
+    if (!current.has(key)) {
+      entries.push({ product: before._id, variant: level.variant, sku: level.sku, quantity: -level.stock, stockAfter: 0 });
+    }
+  }
+  return entries;
+}
+
+module.exports = { reserveStock, releaseStock, adjustStock, setStock, recordMovements, stockDifferences };
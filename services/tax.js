@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { countryCode } = require('./countries');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+let rules = null;
+
+// Tax rules are read once from TAX_RULES_PATH (default config/taxRules.json)
+function loadRules() {
+  if (!rules) {
+    const file = process.env.TAX_RULES_PATH || path.join(__dirname, '../config/taxRules.json');
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return rules;
+}
+
+// Swap the rules at runtime (tests, or after editing the file)
+function setRules(next) {
+  rules = next;
+}
+
+// Merge default, country and state rules for an address. A state inherits
+// anything it doesn't set itself from its country.
+function resolveJurisdiction(address = {}) {
+  const { default: base, countries = {} } = loadRules();
+  const country = countryCode(address.country);
+  const countryRule = countries[country];
+  if (!countryRule) {
+    return { id: country || 'default', ...base, categories: {} };
+  }
+  const state = String(address.state || '').trim().toUpperCase();
+  const stateRule = (countryRule.states || {})[state];
+  const merged = { ...base, ...countryRule, ...(stateRule || {}) };
+  return {
+    id: stateRule ? `${country}-${state}` : country,
+    rate: merged.rate,
+    inclusive: Boolean(merged.inclusive),
+    shippingTaxable: Boolean(merged.shippingTaxable),
+    categories: { ...(countryRule.categories || {}), ...((stateRule && stateRule.categories) || {}) },
+  };
+}
+
+// Tax contained in (inclusive) or to add on top of (exclusive) an amount
+function taxOn(amount, rate, inclusive) {
+  return round(inclusive ? amount - amount / (1 + rate) : amount * rate);
+}
+
+// Tax for priced lines ({ product, variant, categoryKeys, priceAtPurchase, quantity, discount })
+// and the shipping charge, under the rules for the shipping address. Category
+// rates are keyed by category slug or name; the primary category is tried first.
+function calculateTax({ lines, shippingAddress, shipping = 0 }) {
+  const jurisdiction = resolveJurisdiction(shippingAddress);
+  const lineTaxes = lines.map(line => {
+    const keys = line.categoryKeys || [String(line.category || '').toLowerCase()];
+    const category = keys.find(key => key in jurisdiction.categories);
+    const rate = category !== undefined ? jurisdiction.categories[category] : jurisdiction.rate;
+    const base = line.priceAtPurchase * line.quantity - (line.discount || 0);
+    return { product: line.product, variant: line.variant, rate, tax: taxOn(base, rate, jurisdiction.inclusive) };
+  });
+  const shippingTax = jurisdiction.shippingTaxable ? taxOn(shipping, jurisdiction.rate, jurisdiction.inclusive) : 0;
+  const tax = round(lineTaxes.reduce((sum, line) => sum + line.tax, 0) + shippingTax);
+  return {
+    jurisdiction: jurisdiction.id,
+    inclusive: jurisdiction.inclusive,
+    lines: lineTaxes,
+    shippingTax,
+    tax,
+  };
+}
+
+module.exports = { loadRules, setRules, resolveJurisdiction, calculateTax };
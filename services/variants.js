@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { ServiceError } = require('./errors');
+
+const idOf = value => (value && value._id) || value;
+
+// Identifies a cart, order or refund line: the same product can appear once per variant
+const lineKey = line => `${idOf(line.product)}:${line.variant ? idOf(line.variant) : ''}`;
+
+// Option values of a variant as a plain object, e.g. { Size: 'M', Color: 'Red' }
+function variantOptions(variant) {
+  if (!variant || !variant.options) return {};
+  return variant.options instanceof Map ? Object.fromEntries(variant.options) : { ...variant.options };
+}
+
+// The variant a request line points at, by variant ID or SKU. Products with
+// variants need one; products without must not name one.
+function findVariant(product, { variant, sku } = {}) {
+  const variants = product.variants || [];
+  if (variants.length === 0) {
+    if (variant || sku) {
+      throw new ServiceError(400, 'This product has no variants', { product: product._id });
+    }
+    return null;
+  }
+  if (!variant && !sku) {
+    throw new ServiceError(400, 'Choose a variant of this product', { product: product._id });
+  }
+  const found = variants.find(v => (variant ? v._id.toString() === String(variant) : v.sku === sku));
+  if (!found || !found.isActive) {
+    throw new ServiceError(404, 'Variant not found', { product: product._id, variant: variant || sku });
+  }
+  return found;
+}
+
+// The order line a refund or return line refers to. The variant may be left
+// out unless the product was bought in more than one variant.
+function findOrderLine(items, { product, variant }) {
+  const matches = items.filter(item =>
+    idOf(item.product).toString() === String(product) &&
+    (!variant || (item.variant && item.variant.toString() === String(variant)))
+  );
+  if (matches.length > 1) {
+    throw new ServiceError(400, 'This product was bought in several variants, name the variant', { product });
+  }
+  return matches[0] || null;
+}
+
+// Check option definitions and variants sent for a product and return them
+// ready to store, with the product's stock as the sum of its variants.
+// Variants keep their _id when sent back, so carts pointing at them stay valid.
+function normaliseVariants(options, variants) {
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    throw new ServiceError(400, 'options and variants must be sent together as lists');
+  }
+  const optionValues = new Map();
+  for (const option of options) {
+    const values = Array.isArray(option && option.values) ? option.values.map(String) : [];
+    if (!option || !option.name || values.length === 0) {
+      throw new ServiceError(400, 'Each option needs a name and at least one value');
+    }
+    if (String(option.name).includes('.') || String(option.name).startsWith('$')) {
+      throw new ServiceError(400, 'Option names cannot contain "." or start with "$"');
+    }
+    if (optionValues.has(option.name)) {
+      throw new ServiceError(400, `Option ${option.name} is defined twice`);
+    }
+    optionValues.set(option.name, values);
+  }
+  if (variants.length > 0 && optionValues.size === 0) {
+    throw new ServiceError(400, 'Define the options the variants differ in');
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  const normalised = variants.map(variant => {
+    const chosen = variant.options || {};
+    const names = Object.keys(chosen);
+    if (names.length !== optionValues.size || !names.every(name => optionValues.has(name))) {
+      throw new ServiceError(400, `Each variant needs a value for every option (${[...optionValues.keys()].join(', ')})`);
+    }
+    for (const name of names) {
+      if (!optionValues.get(name).includes(String(chosen[name]))) {
+        throw new ServiceError(400, `${chosen[name]} is not a value of option ${name}`);
+      }
+    }
+    const combination = [...optionValues.keys()].map(name => String(chosen[name])).join('/');
+    if (combinations.has(combination)) {
+      throw new ServiceError(400, `Variant ${combination} is listed twice`);
+    }
+    combinations.add(combination);
+    if (!variant.sku) {
+      throw new ServiceError(400, `Variant ${combination} needs a SKU`);
+    }
+    if (skus.has(variant.sku)) {
+      throw new ServiceError(400, `SKU ${variant.sku} is used twice`);
+    }
+    skus.add(variant.sku);
+    const stock = variant.stock === undefined ? 0 : Number(variant.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new ServiceError(400, `Stock for ${variant.sku} must be a non-negative whole number`);
+    }
+    if (variant.price !== undefined && variant.price !== null && !(Number(variant.price) >= 0)) {
+      throw new ServiceError(400, `Price for ${variant.sku} must be a non-negative number`);
+    }
+    if (variant.reorderThreshold !== undefined && variant.reorderThreshold !== null && !(Number(variant.reorderThreshold) >= 0)) {
+      throw new ServiceError(400, `Reorder threshold for ${variant.sku} must be a non-negative number`);
+    }
+    return {
+      _id: mongoose.isValidObjectId(variant._id) ? variant._id : new mongoose.Types.ObjectId(),
+      sku: variant.sku,
+      options: Object.fromEntries(names.map(name => [name, String(chosen[name])])),
+      price: variant.price === undefined || variant.price === null ? undefined : Number(variant.price),
+      stock,
+      reorderThreshold: variant.reorderThreshold === undefined || variant.reorderThreshold === null ? undefined : Number(variant.reorderThreshold),
+      images: Array.isArray(variant.images) ? variant.images : [],
+      barcode: variant.barcode,
+      isActive: variant.isActive !== false,
+    };
+  });
+
+  return {
+    options: [...optionValues].map(([name, values]) => ({ name, values })),
+    variants: normalised,
+    stock: normalised.reduce((sum, variant) => sum + variant.stock, 0),
+  };
+}
+
+module.exports = { lineKey, variantOptions, findVariant, findOrderLine, normaliseVariants };
@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const VendorApplication = require('../models/VendorApplication');
+const { ServiceError } = require('./errors');
+const { sendMail } = require('./mail');
+const { refreshSearchMetaWhere } = require('./search');
+
+const slugify = text => String(text)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'store';
+
+// First free slug for a store name: my-store, my-store-2, ...
+async function uniqueSlug(name, exceptUserId) {
+  const base = slugify(name);
+  for (let n = 1; ; n += 1) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const taken = await User.exists({ 'store.slug': slug, _id: { $ne: exceptUserId } });
+    if (!taken) return slug;
+  }
+}
+
+// Submit an application to become a vendor
+async function applyAsVendor(user, { storeName, description, contact = {}, payout = {} }) {
+  if (!storeName || !contact.name || !contact.email) {
+    throw new ServiceError(400, 'Store name, contact name and contact email are required');
+  }
+  if (!['bank_transfer', 'paypal'].includes(payout.method)) {
+    throw new ServiceError(400, 'Payout method must be bank_transfer or paypal');
+  }
+  if (payout.method === 'bank_transfer' && (!payout.accountHolder || !payout.accountNumber)) {
+    throw new ServiceError(400, 'Bank transfers need an account holder and account number');
+  }
+  if (payout.method === 'paypal' && !payout.paypalEmail) {
+    throw new ServiceError(400, 'PayPal payouts need a PayPal email');
+  }
+  const open = await VendorApplication.exists({ user: user._id, status: 'pending' });
+  if (open) {
+    throw new ServiceError(409, 'You already have an application under review');
+  }
+  try {
+    return await VendorApplication.create({
+      user: user._id,
+      storeName,
+      description,
+      contact: { name: contact.name, email: contact.email, phone: contact.phone },
+      payout: {
+        method: payout.method,
+        accountHolder: payout.accountHolder,
+        accountNumber: payout.accountNumber,
+        routingNumber: payout.routingNumber,
+        paypalEmail: payout.paypalEmail,
+      },
+    });
+  } catch (error) {
+    // Lost a race with a second submission
+    if (error.code === 11000) throw new ServiceError(409, 'You already have an application under review');
+    throw error;
+  }
+}
+
+// Approve or reject a pending application. Approval makes the applicant a
+// vendor with a store profile built from the application. The application is
+// claimed first so two admins can't both decide it, and goes back to pending
+// if the applicant can't be updated.
+async function reviewApplication(applicationId, decision, { actor, note }) {
+  if (!['approved', 'rejected'].includes(decision)) {
+    throw new ServiceError(400, 'Decision must be approved or rejected');
+  }
+  const application = await VendorApplication.findOneAndUpdate(
+    { _id: applicationId, status: 'pending' },
+    { status: decision, reviewNote: note, reviewedBy: actor, reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!application) {
+    throw new ServiceError(404, 'No pending application with that ID');
+  }
+
+  let user;
+  try {
+    user = await applyDecision(application, decision, note);
+  } catch (error) {
+    await VendorApplication.updateOne(
+      { _id: application._id, status: decision },
+      { status: 'pending', $unset: { reviewNote: 1, reviewedBy: 1, reviewedAt: 1 } }
+    );
+    // Another store took the slug between the check and the save
+    if (error.code === 11000) {
+      throw new ServiceError(409, 'The store name was just taken, please try again');
+    }
+    throw error;
+  }
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: decision === 'approved' ? 'Your store is approved' : 'Your vendor application',
+      text: decision === 'approved'
+        ? `Hi ${user.username},\n\nYour application for ${application.storeName} was approved. You can now add products.`
+        : `Hi ${user.username},\n\nYour application for ${application.storeName} was not approved.${note ? `\n\n${note}` : ''}`,
+    });
+  } catch (error) {
+    console.error('Vendor application email error:', error);
+  }
+  return { application, user };
+}
+
+// Make the applicant a vendor (or not) and tell them in the app
+async function applyDecision(application, decision, note) {
+  const user = await User.findById(application.user);
+  if (!user) {
+    throw new ServiceError(404, 'Applicant not found');
+  }
+  if (decision === 'approved') {
+    user.role = 'vendor';
+    user.store = {
+      name: application.storeName,
+      slug: await uniqueSlug(application.storeName, user._id),
+      description: application.description,
+    };
+  }
+  user.notifications.push(decision === 'approved'
+    ? { title: 'Vendor application approved', message: `Your store ${application.storeName} is ready. You can now add products.`, type: 'success' }
+    : { title: 'Vendor application rejected', message: note || 'Your vendor application was not approved.', type: 'warning' });
+  await user.save();
+  return user;
+}
+
+// Update the signed-in vendor's store profile
+async function updateStore(user, { name, description, policies }) {
+  const store = user.store || {};
+  if (name !== undefined) {
+    if (!name) throw new ServiceError(400, 'Store name cannot be empty');
+    if (name !== store.name) {
+      store.name = name;
+      store.slug = await uniqueSlug(name, user._id);
+    }
+  }
+  if (description !== undefined) store.description = description;
+  if (policies !== undefined) {
+    store.policies = { shipping: policies.shipping, returns: policies.returns };
+  }
+  user.store = store;
+  await user.save();
+  // Products carry the store name in their search fields
+  if (name !== undefined) {
+    await refreshSearchMetaWhere({ vendor: user._id });
+  }
+  return storeProfile(user);
+}
+
+// The public face of a vendor
+function storeProfile(vendor) {
+  const store = vendor.store || {};
+  return {
+    id: vendor._id,
+    name: store.name || vendor.username,
+    slug: store.slug || null,
+    logo: store.logo || null,
+    description: store.description || null,
+    policies: store.policies || {},
+  };
+}
+
+// Find a vendor by ID or store slug
+async function findVendor(idOrSlug) {
+  const query = /^[0-9a-f]{24}$/i.test(idOrSlug)
+    ? { _id: idOrSlug }
+    : { 'store.slug': String(idOrSlug).toLowerCase() };
+  return User.findOne({ ...query, role: 'vendor', isDeleted: false });
+}
+
+module.exports = { applyAsVendor, reviewApplication, updateStore, storeProfile, findVendor };
@@ -0,0 +1,46 @@
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const { notifyUsers } = require('./notifications');
+
+// Everyone with the product in one of their wishlists. With `variant`, items
+// saved for another variant are left out; items saved without a variant only
+// count when `wholeProduct` is set.
+async function wishlisters(productId, { variant, wholeProduct = true } = {}) {
+  const item = { product: productId };
+  if (variant) {
+    item.variant = wholeProduct ? { $in: [variant, null] } : variant;
+  }
+  return Wishlist.distinct('user', { items: { $elemMatch: item } });
+}
+
+// product.offer_changed: tell wishlisters about a new or bigger offer
+async function notifyOffer({ product, previousOffer = 0 }) {
+  if (!product.isActive || !(product.offer > (previousOffer || 0))) return;
+  await notifyUsers(await wishlisters(product._id), 'wishlist_offer', {
+    product: product.name,
+    offer: product.offer,
+  }, { reference: { kind: 'Product', id: product._id } });
+}
+
+// stock.changed: tell wishlisters about stock that went from none to some
+async function notifyRestocks({ entries }) {
+  const restocked = entries.filter(entry => entry.quantity > 0 && entry.stockAfter > 0 && entry.stockAfter - entry.quantity <= 0);
+  for (const entry of restocked) {
+    const product = await Product.findById(entry.product).select('name stock isActive variants');
+    if (!product || !product.isActive) continue;
+    let name = product.name;
+    if (entry.variant) {
+      const variant = product.variants.id(entry.variant);
+      if (!variant || !variant.isActive) continue;
+      if (variant.sku) name = `${product.name} (${variant.sku})`;
+    }
+    const users = await wishlisters(product._id, {
+      variant: entry.variant,
+      // Items saved without a variant only care whether the product as a whole was sold out
+      wholeProduct: !entry.variant || product.stock - entry.quantity <= 0,
+    });
+    await notifyUsers(users, 'wishlist_restock', { product: name }, { reference: { kind: 'Product', id: product._id } });
+  }
+}
+
+module.exports = { wishlisters, notifyOffer, notifyRestocks };
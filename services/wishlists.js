@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { ServiceError } = require('./errors');
+const { unitPrice } = require('./orders');
+const { findVariant, lineKey } = require('./variants');
+
+const DEFAULT_NAME = 'Wishlist';
+
+// Public fields of products shown in a list
+const PRODUCT_FIELDS = 'name price offer imageUrl stock isActive variants rating vendor';
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const shareUrl = token => `${appUrl()}/api/wishlists/shared/${token}`;
+
+function validName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new ServiceError(400, 'List name is required');
+  }
+  return name.trim();
+}
+
+// The user's default list, created on first use
+async function defaultList(userId) {
+  try {
+    return await Wishlist.findOneAndUpdate(
+      { user: userId, isDefault: true },
+      { $setOnInsert: { name: DEFAULT_NAME } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Created by a parallel request
+    if (error.code === 11000) return Wishlist.findOne({ user: userId, isDefault: true });
+    throw error;
+  }
+}
+
+// One of the user's lists by ID; 'default' is their default list
+async function findList(userId, id) {
+  if (id === 'default') return defaultList(userId);
+  const list = mongoose.isValidObjectId(id) ? await Wishlist.findOne({ _id: id, user: userId }) : null;
+  if (!list) {
+    throw new ServiceError(404, 'Wishlist not found');
+  }
+  return list;
+}
+
+async function createList(userId, name) {
+  await defaultList(userId);
+  try {
+    return await Wishlist.create({ user: userId, name: validName(name) });
+  } catch (error) {
+    if (error.code === 11000) throw new ServiceError(409, 'You already have a list with this name');
+    throw error;
+  }
+}
+
+async function renameList(userId, id, name) {
+  const list = await findList(userId, id);
+  list.name = validName(name);
+  try {
+    return await list.save();
+  } catch (error) {
+    if (error.code === 11000) throw new ServiceError(409, 'You already have a list with this name');
+    throw error;
+  }
+}
+
+// Delete a list other than the default one
+async function deleteList(userId, id) {
+  const list = await findList(userId, id);
+  if (list.isDefault) {
+    throw new ServiceError(400, 'The default wishlist cannot be deleted');
+  }
+  await list.deleteOne();
+  return list;
+}
+
+// Add a product, optionally a specific variant. Adding it again changes nothing.
+async function addItem(userId, id, { product, variant, sku }) {
+  if (!product || !mongoose.isValidObjectId(product)) {
+    throw new ServiceError(400, 'Product is required');
+  }
+  const productDoc = await Product.findById(product);
+  if (!productDoc || !productDoc.isActive) {
+    throw new ServiceError(404, 'Product not found');
+  }
+  // The variant is optional here; it has to be chosen when moving to the cart
+  const variantDoc = variant || sku ? findVariant(productDoc, { variant, sku }) : null;
+  const list = await findList(userId, id);
+  const line = { product: productDoc._id, variant: variantDoc ? variantDoc._id : undefined };
+  if (!list.items.some(item => lineKey(item) === lineKey(line))) {
+    list.items.push({ ...line, priceWhenAdded: unitPrice(productDoc, variantDoc) });
+    await list.save();
+  }
+  return list;
+}
+
+async function removeItem(userId, id, itemId) {
+  const list = await findList(userId, id);
+  const item = list.items.id(itemId);
+  if (!item) {
+    throw new ServiceError(404, 'Item not found in this list');
+  }
+  item.deleteOne();
+  await list.save();
+  return list;
+}
+
+// Put a list item in the cart and take it off the list. Items saved without
+// a variant need one (`variant` or `sku`) if the product has variants.
+async function moveToCart(userId, id, itemId, { quantity = 1, variant, sku } = {}) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new ServiceError(400, 'Quantity must be a positive whole number');
+  }
+  const list = await findList(userId, id);
+  const item = list.items.id(itemId);
+  if (!item) {
+    throw new ServiceError(404, 'Item not found in this list');
+  }
+  const product = await Product.findById(item.product);
+  if (!product || !product.isActive) {
+    throw new ServiceError(404, 'Product not found');
+  }
+  const variantDoc = findVariant(product, item.variant ? { variant: item.variant } : { variant, sku });
+  const line = { product: product._id, variant: variantDoc ? variantDoc._id : undefined };
+
+  let cart = await Cart.findOne({ customer: userId });
+  if (!cart) cart = new Cart({ customer: userId, items: [] });
+  const price = unitPrice(product, variantDoc);
+  const existing = cart.items.find(i => lineKey(i) === lineKey(line));
+  if (existing) {
+    existing.quantity += quantity;
+    existing.priceWhenAdded = price;
+  } else {
+    cart.items.push({ ...line, quantity, priceWhenAdded: price });
+  }
+  await cart.save();
+
+  item.deleteOne();
+  await list.save();
+  return { cart, wishlist: list };
+}
+
+// Start sharing a list; the same link stays valid until sharing is stopped
+async function shareList(userId, id) {
+  const list = await findList(userId, id);
+  if (!list.shareToken) {
+    list.shareToken = crypto.randomBytes(16).toString('base64url');
+    await list.save();
+  }
+  return { wishlist: list, shareUrl: shareUrl(list.shareToken) };
+}
+
+async function unshareList(userId, id) {
+  const list = await findList(userId, id);
+  list.shareToken = null;
+  await list.save();
+  return list;
+}
+
+// Read-only view of a shared list: its name, the owner's username and the
+// items whose products are still on sale. Lists of deleted accounts aren't shown.
+async function sharedList(token) {
+  const list = typeof token === 'string' && token
+    ? await Wishlist.findOne({ shareToken: token })
+      .populate('user', 'username isDeleted')
+      .populate('items.product', PRODUCT_FIELDS)
+    : null;
+  if (!list || !list.user || list.user.isDeleted) {
+    throw new ServiceError(404, 'Wishlist not found');
+  }
+  return {
+    name: list.name,
+    owner: list.user.username,
+    items: list.items
+      .filter(item => item.product && item.product.isActive)
+      .map(({ product, variant, addedAt }) => ({ product, variant, addedAt })),
+    updatedAt: list.updatedAt,
+  };
+}
+
+module.exports = {
+  DEFAULT_NAME,
+  PRODUCT_FIELDS,
+  shareUrl,
+  defaultList,
+  findList,
+  createList,
+  renameList,
+  deleteList,
+  addItem,
+  removeItem,
+  moveToCart,
+  shareList,
+  unshareList,
+  sharedList,
+};
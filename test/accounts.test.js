@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { accessRefusal, blockUser, unblockUser, deleteAccount, restoreAccount, purgeDeletedAccounts } = require('../services/accounts');
+const { createSession, rotateSession, authenticate } = require('../services/sessions');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+const claims = (user, session) => ({ userId: user._id, sid: session._id, tv: user.tokenVersion || 0 });
+
+describe('account access', () => {
+  it('refuses deleted, blocked and unverified accounts', () => {
+    const now = new Date('2026-01-31T00:00:00Z');
+    const recentlyDeleted = new User({ isDeleted: true, deletedAt: new Date('2026-01-20T00:00:00Z') });
+    const longDeleted = new User({ isDeleted: true, deletedAt: new Date('2025-11-01T00:00:00Z') });
+
+    assert.equal(accessRefusal(recentlyDeleted, now).message, 'Account has been deleted and can still be restored');
+    assert.deepEqual(accessRefusal(recentlyDeleted, now).details, { restoreBy: new Date('2026-02-19T00:00:00Z') });
+    assert.equal(accessRefusal(longDeleted, now).message, 'Account has been deleted');
+    assert.equal(accessRefusal(new User({ isBlocked: true, blockedReason: 'spam' }), now).status, 403);
+    assert.equal(accessRefusal(new User({ emailVerified: false }), now).message, 'Email address not verified');
+  });
+
+  it('lets a timed block run out', () => {
+    const now = new Date('2026-01-31T00:00:00Z');
+    assert.equal(accessRefusal(new User({ isBlocked: true, blockedUntil: new Date('2026-02-01T00:00:00Z') }), now).message, 'Account is blocked');
+    assert.equal(accessRefusal(new User({ isBlocked: true, blockedUntil: new Date('2026-01-30T00:00:00Z') }), now), null);
+  });
+});
+
+describe('blocking and deleting accounts', () => {
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+    await db.connect('accounts');
+  });
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('cuts off every token a blocked user holds', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session, refreshToken } = await createSession(user);
+
+    const blocked = await blockUser(user._id, { reason: 'fraud' });
+
+    assert.equal(blocked.tokenVersion, 1);
+    await assert.rejects(authenticate(claims(user, session)), { status: 401 });
+    await assert.rejects(rotateSession(refreshToken), { status: 401 });
+  });
+
+  it('turns away an old-version token even if its session is still open', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session } = await createSession(user);
+    await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+
+    await assert.rejects(authenticate(claims(user, session)), { status: 401, message: 'Session has been revoked' });
+    await authenticate({ ...claims(user, session), tv: 1 });
+  });
+
+  it('refuses a current token once the account is blocked or deleted', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const blocked = await createUser();
+    const { session: blockedSession } = await createSession(blocked);
+    await User.updateOne({ _id: blocked._id }, { isBlocked: true });
+    await assert.rejects(authenticate(claims(blocked, blockedSession)), { status: 403, message: 'Account is blocked' });
+
+    const deleted = await createUser();
+    const { session: deletedSession } = await createSession(deleted);
+    await User.updateOne({ _id: deleted._id }, { isDeleted: true, deletedAt: new Date() });
+    await assert.rejects(authenticate(claims(deleted, deletedSession)), { status: 403, message: 'Account has been deleted' });
+  });
+
+  it('validates block expiry dates and 404s unknown users', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    await assert.rejects(blockUser(user._id, { until: 'soon' }), { status: 400 });
+    await assert.rejects(blockUser(user._id, { until: new Date(Date.now() - DAY) }), { status: 400 });
+    await assert.rejects(unblockUser(new User()._id), { status: 404 });
+  });
+
+  it('restores a deleted account within the grace period only', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session } = await createSession(user);
+
+    const { user: deleted, restoreBy } = await deleteAccount(user._id);
+    assert.ok(restoreBy > new Date());
+    await assert.rejects(authenticate(claims(user, session)), { status: 401 });
+    await assert.rejects(deleteAccount(user._id), { status: 404 });
+
+    const restored = await restoreAccount(deleted);
+    assert.equal(restored.isDeleted, false);
+    await assert.rejects(restoreAccount(restored), { status: 409 });
+
+    const expired = await createUser('customer', { isDeleted: true, deletedAt: new Date(Date.now() - 31 * DAY) });
+    await assert.rejects(restoreAccount(expired), { status: 409 });
+  });
+
+  it('purges personal data once the grace period is over', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const expired = await createUser('customer', { isDeleted: true, deletedAt: new Date(Date.now() - 31 * DAY) });
+    const recent = await createUser('customer', { isDeleted: true, deletedAt: new Date() });
+
+    assert.equal(await purgeDeletedAccounts(), 1);
+
+    const purged = await User.findById(expired._id);
+    assert.equal(purged.email, `deleted-${expired._id}@deleted.invalid`);
+    assert.ok(purged.purgedAt);
+    assert.equal((await User.findById(recent._id)).email, recent.email);
+    await assert.rejects(restoreAccount(purged), { status: 409 });
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { findCategory, resolveCategories, categoryWithDescendants, categoryKeys, migrateProductCategories } = require('../services/categories');
+const db = require('./helpers/db');
+
+describe('category keys', () => {
+  it('lists the ids, slugs and lowercase names of every category, or the primary one', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const extra = new mongoose.Types.ObjectId();
+
+    assert.deepEqual(
+      categoryKeys({ categories: [{ _id, slug: 'home-garden', name: 'Home & Garden' }, extra] }),
+      [_id.toString(), 'home-garden', 'home & garden', extra.toString()]
+    );
+    assert.deepEqual(categoryKeys({ category: _id, categories: [] }), [_id.toString()]);
+    assert.deepEqual(categoryKeys({ category: null }), []);
+  });
+
+  it('needs a primary category before any extra ones', async () => {
+    await assert.rejects(resolveCategories(null, ['kitchen']), { status: 400, message: 'Choose a primary category' });
+  });
+});
+
+describe('categories', () => {
+  before(() => db.connect('categories'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('finds a category by id or slug', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const kitchen = await Category.create({ name: 'Kitchen Tools' });
+
+    assert.equal((await findCategory(kitchen._id)).name, 'Kitchen Tools');
+    assert.equal((await findCategory('Kitchen-Tools')).name, 'Kitchen Tools');
+    assert.equal(await findCategory(new mongoose.Types.ObjectId()), null);
+    assert.equal(await findCategory(''), null);
+  });
+
+  it('resolves the primary category first and drops repeats', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const kitchen = await Category.create({ name: 'Kitchen' });
+    const gifts = await Category.create({ name: 'Gifts' });
+
+    const resolved = await resolveCategories('kitchen', [gifts._id.toString(), kitchen._id]);
+
+    assert.deepEqual(resolved, { category: kitchen._id, categories: [kitchen._id, gifts._id] });
+    assert.deepEqual(await resolveCategories(undefined), { category: null, categories: [] });
+  });
+
+  it('refuses categories that are missing or inactive', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const kitchen = await Category.create({ name: 'Kitchen' });
+    await Category.create({ name: 'Seasonal', isActive: false });
+
+    await assert.rejects(resolveCategories('garden'), { status: 400, message: 'Category garden not found' });
+    await assert.rejects(resolveCategories(kitchen._id, ['seasonal']), { status: 400, message: 'Category Seasonal is not active' });
+  });
+
+  it('collects every category below a parent', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const home = await Category.create({ name: 'Home' });
+    const kitchen = await Category.create({ name: 'Kitchen', parentCategory: home._id });
+    const knives = await Category.create({ name: 'Knives', parentCategory: kitchen._id });
+    await Category.create({ name: 'Garden' });
+
+    const ids = await categoryWithDescendants(home._id);
+
+    assert.deepEqual(ids.map(String), [home, kitchen, knives].map(category => category._id.toString()));
+  });
+
+  it('moves free-text categories onto Category references', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const kitchen = await Category.create({ name: 'Kitchen' });
+    const vendor = new mongoose.Types.ObjectId();
+    await Product.collection.insertMany([
+      { name: 'Kettle', price: 20, vendor, category: ' kitchen ' },
+      { name: 'Pan', price: 30, vendor, category: 'Kitchen' },
+      { name: 'Hose', price: 15, vendor, category: 'Garden Tools' },
+      { name: 'Mug', price: 5, vendor, category: kitchen._id },
+    ]);
+
+    const dryRun = await migrateProductCategories({ dryRun: true });
+    assert.deepEqual(dryRun.unmapped, [{ value: 'Garden Tools', products: 1 }]);
+    assert.equal(await Product.collection.countDocuments({ category: { $type: 'string' } }), 3);
+
+    const report = await migrateProductCategories({ create: true });
+    assert.deepEqual(report.created, ['Garden Tools']);
+    assert.deepEqual(report.unmapped, []);
+
+    const garden = await Category.findOne({ slug: 'garden-tools' });
+    const byName = Object.fromEntries((await Product.collection.find().toArray()).map(product => [product.name, product]));
+    assert.deepEqual(byName.Kettle.categories, [kitchen._id]);
+    assert.deepEqual(byName.Pan.category, kitchen._id);
+    assert.deepEqual(byName.Hose.categories, [garden._id]);
+    assert.deepEqual(byName.Mug.categories, [kitchen._id]);
+
+    const rerun = await migrateProductCategories({ create: true });
+    assert.deepEqual(rerun, { mapped: [], created: [], unmapped: [] });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const { computeDiscount } = require('../services/coupons');
+const { priceOrder } = require('../services/orders');
+const couponRoutes = require('../routes/coupons');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+const { request, signIn } = require('./helpers/http');
+
+const coupon = fields => new Coupon({ code: 'TEST', type: 'percentage', value: 10, ...fields });
+const line = (price, quantity, fields = {}) => ({ product: new mongoose.Types.ObjectId(), priceAtPurchase: price, quantity, ...fields });
+
+describe('coupon discounts', () => {
+  it('spreads the discount over the lines in proportion to their value', () => {
+    const lines = [line(10, 3), line(20, 1), line(5, 2)];
+    const breakdown = computeDiscount(coupon({ type: 'fixed', value: 6 }), lines);
+    assert.equal(breakdown.discount, 6);
+    assert.deepEqual(breakdown.lines.map(share => share.discount), [3, 2, 1]);
+  });
+
+  it('only discounts lines in scope and respects the cap', () => {
+    const vendor = new mongoose.Types.ObjectId();
+    const lines = [line(100, 1, { vendor }), line(100, 1, { vendor: new mongoose.Types.ObjectId() })];
+    const breakdown = computeDiscount(coupon({ value: 50, maxDiscount: 20, scope: { type: 'vendor', vendors: [vendor] } }), lines);
+    assert.equal(breakdown.eligibleSubtotal, 100);
+    assert.equal(breakdown.discount, 20);
+    assert.equal(breakdown.lines.length, 1);
+    assert.equal(String(breakdown.lines[0].product), String(lines[0].product));
+  });
+
+  it('rejects orders below the minimum value', () => {
+    assert.throws(() => computeDiscount(coupon({ minOrderValue: 50 }), [line(10, 1)]), { status: 400 });
+  });
+});
+
+describe('pricing an order with a coupon', () => {
+  before(() => db.connect('coupons'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('gives a product requested twice one line with the whole share', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const product = await createProduct(vendor, { price: 10 });
+    const other = await createProduct(vendor, { price: 10 });
+    await Coupon.create({ code: 'TEN', type: 'fixed', value: 4 });
+
+    const { lines, discount } = await priceOrder({
+      items: [{ product: product._id, quantity: 1 }, { product: other._id, quantity: 1 }, { product: product._id, quantity: 2 }],
+      couponCode: 'TEN',
+      customer: customer._id,
+      shippingAddress: { country: 'US', zipCode: '62701' },
+    });
+
+    assert.equal(discount, 4);
+    assert.equal(lines.length, 2);
+    assert.equal(lines[0].quantity, 3);
+    assert.equal(lines[0].discount, 3);
+    assert.equal(lines[1].discount, 1);
+  });
+
+  it('answers 404 for a malformed coupon id', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const token = await signIn(await createUser('admin'));
+    for (const method of ['GET', 'PUT', 'DELETE']) {
+      const response = await request(couponRoutes, method, '/not-an-id', { token, body: { value: 5 } });
+      assert.equal(response.status, 404, method);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { getTransport, setTransport } = require('../services/mail');
+const { sendVerificationEmail, verifyEmail, requestPasswordReset, resetPassword } = require('../services/credentials');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+// Keeps what would have been sent, so the flows run offline
+function captureTransport() {
+  const sent = [];
+  return {
+    name: 'capture',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `capture_${sent.length}` };
+    },
+  };
+}
+
+const tokenIn = message => message.text.match(/token=([\w-]+)/)[1];
+
+describe('mail transport', () => {
+  const saved = {};
+  beforeEach(() => {
+    saved.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT;
+    saved.NODE_ENV = process.env.NODE_ENV;
+    delete process.env.MAIL_TRANSPORT;
+    setTransport(null);
+  });
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    setTransport(null);
+  });
+
+  it('defaults to the console outside production', () => {
+    process.env.NODE_ENV = 'development';
+    assert.equal(getTransport().name, 'console');
+  });
+
+  it('must be configured in production', () => {
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getTransport(), /MAIL_TRANSPORT must be set/);
+    process.env.MAIL_TRANSPORT = 'file';
+    assert.equal(getTransport().name, 'file');
+  });
+});
+
+describe('email verification and password reset', () => {
+  let transport;
+  before(() => db.connect('credentials'));
+  after(() => {
+    setTransport(null);
+    return db.disconnect();
+  });
+  beforeEach(async () => {
+    transport = captureTransport();
+    setTransport(transport);
+    await db.clear();
+  });
+
+  it('verifies an address with the emailed token, once', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer', { emailVerified: false });
+
+    await sendVerificationEmail(user);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, user.email);
+    const token = tokenIn(transport.sent[0]);
+
+    const verified = await verifyEmail(token);
+    assert.equal(verified.emailVerified, true);
+    await assert.rejects(verifyEmail(token), { status: 400 });
+  });
+
+  it('resets a password with the emailed token', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer');
+
+    await requestPasswordReset(user.email);
+    await requestPasswordReset('nobody@example.com');
+    assert.equal(transport.sent.length, 1);
+
+    await resetPassword(tokenIn(transport.sent[0]), 'a-new-password');
+    const updated = await User.findById(user._id);
+    assert.equal(await updated.comparePassword('a-new-password'), true);
+    await assert.rejects(resetPassword(tokenIn(transport.sent[0]), 'another-password'), { status: 400 });
+  });
+
+  it('only honours the latest reset link', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer');
+    await requestPasswordReset(user.email);
+    await requestPasswordReset(user.email);
+
+    await assert.rejects(resetPassword(tokenIn(transport.sent[0]), 'a-new-password'), { status: 400 });
+    await resetPassword(tokenIn(transport.sent[1]), 'a-new-password');
+  });
+});
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Tests that need MongoDB run against a throwaway database per test file, on
+// MONGODB_TEST_URI or a local server. Without one they are skipped.
+const baseUri = process.env.MONGODB_TEST_URI || 'mongodb://127.0.0.1:27017';
+
+let connected = false;
+
+async function connect(name) {
+  try {
+    await mongoose.connect(baseUri, { dbName: `jusplay_test_${name}`, serverSelectionTimeoutMS: 2000 });
+    await mongoose.connection.dropDatabase();
+    // Unique and text indexes are part of what the tests check
+    await Promise.all(mongoose.modelNames().map(model => mongoose.model(model).createIndexes()));
+    connected = true;
+  } catch (error) {
+    connected = false;
+    await mongoose.disconnect();
+  }
+}
+
+async function disconnect() {
+  if (connected) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+}
+
+// Empty every collection, keeping the indexes
+async function clear() {
+  if (!connected) return;
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+}
+
+// Skip the test when there is no database; returns true when skipped
+function skipWithoutDb(t) {
+  if (connected) return false;
+  t.skip('MongoDB not available');
+  return true;
+}
+
+module.exports = { connect, disconnect, clear, skipWithoutDb };
@@ -0,0 +1,30 @@
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+
+let counter = 0;
+
+async function createUser(role = 'customer', fields = {}) {
+  counter += 1;
+  return User.create({
+    username: `${role}${counter}`,
+    email: `${role}${counter}@example.com`,
+    password: 'password123',
+    role,
+    ...fields,
+  });
+}
+
+async function createProduct(vendor, fields = {}) {
+  counter += 1;
+  return Product.create({
+    name: `Product ${counter}`,
+    price: 10,
+    stock: 10,
+    vendor: vendor._id,
+    ...fields,
+  });
+}
+
+const address = { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US' };
+
+module.exports = { createUser, createProduct, address };
@@ -0,0 +1,34 @@
+const express = require('express');
+const { createSession } = require('../../services/sessions');
+
+// Serve one router on a free local port for a single request and return the
+// status and parsed JSON body
+async function request(router, method, path, { token, body } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/', router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    server.close();
+    server.closeAllConnections();
+  }
+}
+
+// An access token for the user, as the login route would issue it
+async function signIn(user) {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+  const { accessToken } = await createSession(user);
+  return accessToken;
+}
+
+module.exports = { request, signIn };
@@ -0,0 +1,39 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { loadTemplates, render, notifyRole } = require('../services/notifications');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+// What services/eventHandlers.js passes to the low_stock template
+const lowStock = { product: 'Kettle', stock: 2, threshold: 5 };
+
+describe('role notifications', () => {
+  before(() => db.connect('notifications'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('fills the template placeholders', () => {
+    const template = loadTemplates().low_stock;
+    assert.equal(render(template.message, lowStock), 'Kettle is down to 2 in stock (reorder at 5).');
+    assert.equal(render(template.message, { product: 'Kettle' }), 'Kettle is down to  in stock (reorder at ).');
+  });
+
+  it('sends nothing to a role the template is not for', async () => {
+    assert.equal(await notifyRole('customer', 'low_stock', lowStock), 0);
+  });
+
+  it('only reaches the requested role among the template roles', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const admin = await createUser('admin');
+    const vendor = await createUser('vendor');
+
+    assert.equal(await notifyRole('admin', 'low_stock', lowStock), 1);
+
+    const [notification] = (await User.findById(admin._id)).notifications;
+    assert.equal(notification.title, 'Low stock');
+    assert.equal(notification.message, 'Kettle is down to 2 in stock (reorder at 5).');
+    assert.equal(notification.type, 'warning');
+    assert.equal((await User.findById(vendor._id)).notifications.length, 0);
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { placeOrder } = require('../services/orders');
+const { canTransition, transitionOrder } = require('../services/orderLifecycle');
+const { deriveOrderStatus, transitionFulfilment } = require('../services/fulfilment');
+const { cancelOrder } = require('../services/refunds');
+const { ServiceError } = require('../services/errors');
+const productRoutes = require('../routes/product');
+const orderRoutes = require('../routes/order');
+const db = require('./helpers/db');
+const { createUser, createProduct, address } = require('./helpers/fixtures');
+const { request, signIn } = require('./helpers/http');
+
+describe('placing orders', () => {
+  before(() => db.connect('orders'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('never sells more than the stock when orders run in parallel', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const product = await createProduct(vendor, { stock: 5 });
+    const customers = await Promise.all(Array.from({ length: 12 }, () => createUser('customer')));
+
+    const results = await Promise.allSettled(customers.map(customer => placeOrder({
+      customer: customer._id,
+      items: [{ product: product._id, quantity: 1 }],
+      shippingAddress: address,
+      paymentMethod: 'card',
+    })));
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    assert.equal(placed.length, 5);
+    for (const result of rejected) {
+      assert.ok(result.reason instanceof ServiceError);
+      assert.equal(result.reason.status, 409);
+    }
+    assert.equal((await Product.findById(product._id)).stock, 0);
+    assert.equal(await Order.countDocuments(), 5);
+  });
+
+  it('puts back the lines already taken when a later line is out of stock', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const plenty = await createProduct(vendor, { stock: 10 });
+    const scarce = await createProduct(vendor, { stock: 1 });
+
+    await assert.rejects(placeOrder({
+      customer: customer._id,
+      items: [{ product: plenty._id, quantity: 3 }, { product: scarce._id, quantity: 2 }],
+      shippingAddress: address,
+    }), { status: 409 });
+
+    assert.equal((await Product.findById(plenty._id)).stock, 10);
+    assert.equal((await Product.findById(scarce._id)).stock, 1);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+
+  it('rejects a malformed product ID with a 400', async () => {
+    await assert.rejects(placeOrder({
+      customer: new mongoose.Types.ObjectId(),
+      items: [{ product: 'not-an-id', quantity: 1 }],
+      shippingAddress: address,
+    }), { status: 400, message: 'Invalid product ID' });
+  });
+});
+
+describe('malformed ids', () => {
+  before(() => db.connect('malformed_ids'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('answers 404 for a product', async () => {
+    const response = await request(productRoutes, 'GET', '/not-an-id');
+    assert.equal(response.status, 404);
+  });
+
+  it('answers 404 when managing a product or an order', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const admin = await signIn(await createUser('admin'));
+    const customer = await signIn(await createUser('customer'));
+
+    for (const [router, method, path, token] of [
+      [productRoutes, 'PUT', '/not-an-id', admin],
+      [productRoutes, 'DELETE', '/not-an-id', admin],
+      [productRoutes, 'PATCH', '/not-an-id/offer', admin],
+      [orderRoutes, 'GET', '/not-an-id', customer],
+      [orderRoutes, 'PUT', '/not-an-id', admin],
+      [orderRoutes, 'DELETE', '/not-an-id', customer],
+      [orderRoutes, 'PATCH', '/not-an-id/pay', customer],
+    ]) {
+      const response = await request(router, method, path, { token, body: { name: 'Renamed', offer: 10 } });
+      assert.equal(response.status, 404, `${method} ${path}`);
+    }
+  });
+});
+
+describe('order status rules', () => {
+  const group = (vendor, status) => ({ vendor, status });
+
+  it('only lets the roles in the table make a move', () => {
+    const order = { status: 'paid', paymentMethod: 'card', fulfilments: [] };
+    assert.equal(canTransition(order, 'shipped', 'vendor'), true);
+    assert.equal(canTransition(order, 'shipped', 'customer'), false);
+    assert.equal(canTransition(order, 'refunded', 'customer'), false);
+    assert.equal(canTransition({ ...order, status: 'delivered' }, 'cancelled', 'admin'), false);
+  });
+
+  it('ships unpaid orders only for cash on delivery', () => {
+    assert.equal(canTransition({ status: 'pending', paymentMethod: 'card' }, 'shipped', 'vendor'), false);
+    assert.equal(canTransition({ status: 'pending', paymentMethod: 'cash_on_delivery' }, 'shipped', 'vendor'), true);
+  });
+
+  it('refuses to cancel an order once part of it has shipped', async () => {
+    const vendor = new mongoose.Types.ObjectId();
+    const order = { _id: new mongoose.Types.ObjectId(), status: 'paid', fulfilments: [group(vendor, 'shipped'), group(new mongoose.Types.ObjectId(), 'pending')] };
+    await assert.rejects(transitionOrder(order, 'cancelled', { role: 'admin' }), { status: 409, message: 'Part of this order has already shipped' });
+    await assert.rejects(transitionOrder(order, 'lost', { role: 'admin' }), { status: 400 });
+  });
+
+  it('rejects illegal moves of a vendor group', async () => {
+    const vendor = new mongoose.Types.ObjectId();
+    const order = { _id: new mongoose.Types.ObjectId(), status: 'paid', paymentMethod: 'card', fulfilments: [group(vendor, 'pending')] };
+    await assert.rejects(transitionFulfilment(order, vendor, 'delivered', { role: 'vendor' }), { status: 409, message: 'Cannot move fulfilment from pending to delivered' });
+    await assert.rejects(transitionFulfilment(order, new mongoose.Types.ObjectId(), 'shipped', { role: 'vendor' }), { status: 404 });
+    await assert.rejects(transitionFulfilment({ ...order, status: 'pending' }, vendor, 'shipped', { role: 'vendor' }), { status: 409, message: 'Order must be paid before it can be shipped' });
+  });
+
+  it('rolls the group statuses up into the order status', () => {
+    const rollUp = (...statuses) => deriveOrderStatus({ fulfilments: statuses.map(status => group(new mongoose.Types.ObjectId(), status)) });
+    assert.equal(rollUp('pending', 'shipped'), null);
+    assert.equal(rollUp('shipped', 'delivered'), 'shipped');
+    assert.equal(rollUp('delivered', 'cancelled'), 'delivered');
+    assert.equal(rollUp('cancelled', 'cancelled'), 'cancelled');
+  });
+});
+
+describe('cancelling paid orders', () => {
+  before(() => db.connect('cancellations'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  // Two vendors, 20 + 5 shipping and 30 + 5 shipping, paid in full
+  async function paidOrder() {
+    const customer = await createUser('customer');
+    const first = await createUser('vendor');
+    const second = await createUser('vendor');
+    const firstProduct = await createProduct(first);
+    const secondProduct = await createProduct(second, { price: 15 });
+    const order = await Order.create({
+      customer: customer._id,
+      items: [
+        { product: firstProduct._id, vendor: first._id, quantity: 2, priceAtPurchase: 10 },
+        { product: secondProduct._id, vendor: second._id, quantity: 2, priceAtPurchase: 15 },
+      ],
+      subtotal: 50,
+      shippingCost: 10,
+      total: 60,
+      status: 'paid',
+      paymentStatus: 'paid',
+      paymentMethod: 'card',
+      fulfilments: [
+        { vendor: first._id, status: 'pending', subtotal: 20, shippingCost: 5 },
+        { vendor: second._id, status: 'pending', subtotal: 30, shippingCost: 5 },
+      ],
+    });
+    return { customer, first, second, firstProduct, order };
+  }
+
+  it('refunds a cancelled group and still rolls the rest up', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { first, second, firstProduct, order } = await paidOrder();
+
+    const afterCancel = await transitionFulfilment(order, first._id, 'cancelled', { actor: first._id, role: 'vendor', reason: 'Out of stock' });
+    assert.equal(afterCancel.status, 'paid');
+    assert.equal(afterCancel.paymentStatus, 'partially_refunded');
+    assert.equal(afterCancel.refundedAmount, 25);
+    assert.equal((await Product.findById(firstProduct._id)).stock, 12);
+
+    const shipped = await transitionFulfilment(afterCancel, second._id, 'shipped', { actor: second._id, role: 'vendor' });
+    assert.equal(shipped.status, 'shipped');
+    const delivered = await transitionFulfilment(shipped, second._id, 'delivered', { actor: second._id, role: 'vendor' });
+    assert.equal(delivered.status, 'delivered');
+    assert.equal(delivered.refundedAmount, 25);
+  });
+
+  it('refunds what is left when the last open group is cancelled', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { first, second, order } = await paidOrder();
+
+    const partly = await transitionFulfilment(order, first._id, 'cancelled', { actor: first._id, role: 'vendor' });
+    const cancelled = await transitionFulfilment(partly, second._id, 'cancelled', { actor: second._id, role: 'vendor' });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentStatus, 'refunded');
+    assert.equal(cancelled.refundedAmount, 60);
+  });
+
+  it('refunds the whole order when it is cancelled', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { customer, order } = await paidOrder();
+
+    const cancelled = await cancelOrder(order, { actor: customer._id, role: 'customer', reason: 'Changed my mind' });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentStatus, 'refunded');
+    assert.equal(cancelled.refundedAmount, 60);
+    assert.equal(cancelled.refunds.length, 1);
+    assert.equal(cancelled.fulfilments.every(group => group.status === 'cancelled'), true);
+  });
+
+  it('refunds nothing on an unpaid order', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { customer, order } = await paidOrder();
+    await Order.updateOne({ _id: order._id }, { status: 'pending', paymentStatus: 'pending' });
+
+    const cancelled = await cancelOrder(await Order.findById(order._id), { actor: customer._id, role: 'customer' });
+
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.refundedAmount, 0);
+  });
+});
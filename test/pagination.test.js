@@ -0,0 +1,142 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { parsePaging, encodeCursor, decodeCursor, stableSort, afterCursor, paginate, paginateArray } = require('../services/pagination');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+const raw = value => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+describe('cursors', () => {
+  it('round-trips dates, ObjectIds and missing values', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2026-03-01T12:00:00Z');
+
+    const cursor = decodeCursor(encodeCursor(['price', 'createdAt', 'weight', '_id'], [9.5, createdAt, undefined, _id]));
+
+    assert.deepEqual(cursor.keys, ['price', 'createdAt', 'weight', '_id']);
+    assert.equal(cursor.values[0], 9.5);
+    assert.deepEqual(cursor.values[1], createdAt);
+    assert.equal(cursor.values[2], null);
+    assert.ok(cursor.values[3] instanceof mongoose.Types.ObjectId);
+    assert.equal(cursor.values[3].toString(), _id.toString());
+  });
+
+  it('rejects cursors that were tampered with', () => {
+    const tampered = [
+      'not a cursor',
+      raw('{"k":'),
+      raw(null),
+      raw({ k: 'price', v: [1] }),
+      raw({ k: ['price', '_id'], v: [1] }),
+      raw({ k: ['_id'], v: [{ $oid: 'nope' }] }),
+      raw({ k: ['price'], v: [{ $gt: 0 }] }),
+    ];
+    for (const cursor of tampered) {
+      assert.throws(() => decodeCursor(cursor), { status: 400, message: 'Invalid cursor' }, cursor);
+    }
+  });
+
+  it('rejects a cursor made for another sort order', () => {
+    const cursor = decodeCursor(encodeCursor(['price', '_id'], [5, new mongoose.Types.ObjectId()]));
+    assert.throws(() => afterCursor({ createdAt: -1, _id: -1 }, cursor), { status: 400, message: 'Cursor does not match the sort order' });
+    assert.throws(() => afterCursor({ _id: 1, price: 1 }, cursor), { status: 400 });
+  });
+
+  it('continues after the last item, ties broken by the later keys', () => {
+    const _id = new mongoose.Types.ObjectId();
+    assert.deepEqual(afterCursor({ price: 1, _id: 1 }, { keys: ['price', '_id'], values: [5, _id] }), {
+      $or: [{ price: { $gt: 5 } }, { price: 5, _id: { $gt: _id } }],
+    });
+    assert.deepEqual(afterCursor({ price: -1, _id: -1 }, { keys: ['price', '_id'], values: [5, _id] }), {
+      $or: [{ price: { $not: { $gte: 5 } } }, { price: 5, _id: { $not: { $gte: _id } } }],
+    });
+  });
+
+  it('places missing values first when ascending and last when descending', () => {
+    const _id = new mongoose.Types.ObjectId();
+    assert.deepEqual(afterCursor({ weight: 1, _id: 1 }, { keys: ['weight', '_id'], values: [null, _id] }), {
+      $or: [{ weight: { $ne: null } }, { weight: null, _id: { $gt: _id } }],
+    });
+    assert.deepEqual(afterCursor({ weight: -1, _id: -1 }, { keys: ['weight', '_id'], values: [null, _id] }), {
+      $or: [{ weight: null, _id: { $not: { $gte: _id } } }],
+    });
+    assert.deepEqual(afterCursor({ weight: -1 }, { keys: ['weight'], values: [null] }), { _id: null });
+  });
+
+  it('adds _id to the sort so every position is unique', () => {
+    assert.deepEqual(stableSort({ price: 1 }), { price: 1, _id: 1 });
+    assert.deepEqual(stableSort(), { _id: -1 });
+    assert.deepEqual(stableSort({ createdAt: -1, _id: 1 }), { createdAt: -1, _id: 1 });
+    assert.deepEqual(stableSort({ score: { $meta: 'textScore' } }), { score: { $meta: 'textScore' } });
+  });
+});
+
+describe('paging parameters', () => {
+  it('reads page or cursor paging from the query string', () => {
+    assert.deepEqual(parsePaging({}), { mode: 'page', limit: 20, page: 1 });
+    assert.deepEqual(parsePaging({ page: '3', limit: '5' }), { mode: 'page', limit: 5, page: 3 });
+    assert.deepEqual(parsePaging({ cursor: '' }), { mode: 'cursor', limit: 20, cursor: null });
+  });
+
+  it('refuses bad limits, pages and mixed modes', () => {
+    for (const query of [{ limit: '0' }, { limit: '2.5' }, { limit: '1000' }, { page: '0' }, { page: 'two' }, { page: '1', cursor: '' }]) {
+      assert.throws(() => parsePaging(query), { status: 400 }, JSON.stringify(query));
+    }
+  });
+
+  it('pages a list held in memory', () => {
+    const list = [{ _id: 1, name: 'a', price: 1 }, { _id: 2, name: 'b', price: 2 }, { _id: 3, name: 'c', price: 3 }];
+    assert.deepEqual(paginateArray(list, { page: '2', limit: '2', fields: 'name' }), {
+      data: [{ _id: 3, name: 'c' }],
+      pagination: { mode: 'page', page: 2, limit: 2, total: 3, totalPages: 2, hasNextPage: false, hasPrevPage: true },
+    });
+    assert.throws(() => paginateArray(list, { cursor: '' }), { status: 400 });
+  });
+});
+
+describe('cursor paging', () => {
+  before(() => db.connect('pagination'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  // Follow nextCursor until the end and return the names in the order seen
+  async function walk(sort, limit) {
+    const seen = [];
+    let cursor = '';
+    do {
+      const page = await paginate(Product, {}, { cursor, limit: String(limit) }, { sort });
+      seen.push(...page.data.map(product => product.name));
+      cursor = page.pagination.nextCursor;
+    } while (cursor);
+    return seen;
+  }
+
+  it('visits every item once, in order, when some sort values are missing or equal', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    for (const [name, weight] of [['a', 2], ['b', undefined], ['c', 1], ['d', 2], ['e', undefined], ['f', 3]]) {
+      await createProduct(vendor, { name, weight });
+    }
+
+    const heaviest = await walk({ weight: -1 }, 2);
+    assert.deepEqual(heaviest, ['f', 'd', 'a', 'c', 'e', 'b']);
+
+    const lightest = await walk({ weight: 1 }, 4);
+    assert.deepEqual(lightest, ['b', 'e', 'c', 'a', 'd', 'f']);
+  });
+
+  it('refuses a cursor from another sort', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    await createProduct(vendor);
+    await createProduct(vendor);
+
+    const first = await paginate(Product, {}, { cursor: '', limit: '1' }, { sort: { price: 1 } });
+    await assert.rejects(
+      paginate(Product, {}, { cursor: first.pagination.nextCursor, limit: '1' }, { sort: { createdAt: -1 } }),
+      { status: 400, message: 'Cursor does not match the sort order' }
+    );
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { createIntentForOrder, confirmPayment } = require('../services/payments');
+const { setProvider } = require('../services/payments/providers');
+const createMockProvider = require('../services/payments/mock');
+const db = require('./helpers/db');
+
+// The mock provider, counting confirmations and refunds
+function countingProvider({ onConfirm } = {}) {
+  const mock = createMockProvider();
+  const calls = { confirm: 0, refund: 0 };
+  return {
+    calls,
+    ...mock,
+    async confirm(args) {
+      calls.confirm += 1;
+      if (onConfirm) await onConfirm(args);
+      return mock.confirm(args);
+    },
+    async refund(args) {
+      calls.refund += 1;
+      return mock.refund(args);
+    },
+  };
+}
+
+const createOrder = () => Order.create({
+  customer: new mongoose.Types.ObjectId(),
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 2, priceAtPurchase: 10 }],
+  subtotal: 20,
+  total: 20,
+  paymentMethod: 'card',
+});
+
+describe('confirming payments', () => {
+  before(() => db.connect('payments'));
+  after(() => {
+    setProvider(null);
+    return db.disconnect();
+  });
+  beforeEach(() => db.clear());
+
+  it('charges once when the same payment is confirmed in parallel', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const provider = countingProvider();
+    setProvider(provider);
+    const order = await createOrder();
+    const payment = await createIntentForOrder(order);
+
+    const results = await Promise.allSettled([1, 2, 3].map(() =>
+      confirmPayment(order, payment.intentId, { actor: order.customer, paymentMethod: 'pm_card_visa' })
+    ));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    for (const result of results.filter(r => r.status === 'rejected')) {
+      assert.equal(result.reason.status, 409);
+    }
+    assert.equal(provider.calls.confirm, 1);
+    const paid = await Order.findById(order._id);
+    assert.equal(paid.status, 'paid');
+    assert.equal(paid.paymentMethod, 'pm_card_visa');
+    assert.equal((await Payment.findById(payment._id)).status, 'succeeded');
+  });
+
+  it('refunds the charge when the order cannot be marked paid afterwards', async t => {
+    if (db.skipWithoutDb(t)) return;
+    // The order is cancelled while the provider is charging the card
+    const provider = countingProvider({
+      onConfirm: () => Order.updateOne({}, { status: 'cancelled' }),
+    });
+    setProvider(provider);
+    const order = await createOrder();
+    const payment = await createIntentForOrder(order);
+
+    await assert.rejects(confirmPayment(order, payment.intentId, { actor: order.customer }), { status: 409 });
+
+    assert.equal(provider.calls.refund, 1);
+    const refunded = await Payment.findById(payment._id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refundedAmount, 20);
+  });
+
+  it('puts the payment back when the provider call fails', async t => {
+    if (db.skipWithoutDb(t)) return;
+    setProvider({ ...createMockProvider(), confirm: async () => { throw new Error('Provider unavailable'); } });
+    const order = await createOrder();
+    const payment = await createIntentForOrder(order);
+
+    await assert.rejects(confirmPayment(order, payment.intentId, { actor: order.customer }), /Provider unavailable/);
+
+    assert.equal((await Payment.findById(payment._id)).status, 'requires_confirmation');
+  });
+});
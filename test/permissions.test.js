@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ROLES, permissionScope, hasPermission, principalId, actsAs, can, ownedFilter } = require('../services/permissions');
+const { requirePermission } = require('../middleware/permissions');
+
+describe('permissions', () => {
+  const customer = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+  const vendor = { _id: new mongoose.Types.ObjectId(), role: 'vendor' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+  it('keeps refunds with admins, even on a customer\'s own order', () => {
+    assert.equal(hasPermission(customer, 'payments:refund'), false);
+    assert.equal(can(customer, 'payments:refund', customer._id), false);
+    assert.equal(hasPermission(vendor, 'payments:refund'), false);
+    assert.equal(can(admin, 'payments:refund', customer._id), true);
+  });
+
+  it('lets customers ask for their money back through returns', () => {
+    assert.equal(can(customer, 'returns:request', customer._id), true);
+    assert.equal(can(customer, 'returns:request', new mongoose.Types.ObjectId()), false);
+  });
+
+  it('grants each role its permissions with their scope', () => {
+    assert.equal(permissionScope(customer, 'orders:view'), 'own');
+    assert.equal(permissionScope(vendor, 'products:manage'), 'own');
+    assert.equal(permissionScope(admin, 'products:manage'), 'any');
+    assert.equal(permissionScope(customer, 'products:manage'), null);
+    assert.equal(permissionScope({ _id: customer._id, role: 'ghost' }, 'orders:view'), null);
+    assert.equal(permissionScope(null, 'orders:view'), null);
+  });
+
+  it('only counts a permission as "any" when granted that way', () => {
+    assert.equal(hasPermission(vendor, 'orders:view'), true);
+    assert.equal(hasPermission(vendor, 'orders:view', 'any'), false);
+    assert.equal(hasPermission(admin, 'orders:view', 'any'), true);
+  });
+
+  it('checks ownership against any of the owners, ids or loaded documents', () => {
+    const order = { customer: { _id: customer._id, role: 'customer' }, vendors: [new mongoose.Types.ObjectId(), vendor._id] };
+    assert.equal(can(customer, 'orders:view', order.customer), true);
+    assert.equal(can(vendor, 'orders:view', order.vendors), true);
+    assert.equal(can(vendor, 'orders:view', [null, undefined]), false);
+    assert.equal(can(vendor, 'orders:fulfil', order.customer), false);
+    assert.equal(can(admin, 'orders:fulfil', []), true);
+    assert.equal(can(customer, 'orders:fulfil', customer._id), false);
+  });
+
+  it('limits queries to the user\'s own resources unless the scope is "any"', () => {
+    assert.deepEqual(ownedFilter(customer, 'orders:view', 'customer'), { customer: customer._id });
+    assert.deepEqual(ownedFilter(vendor, 'orders:view', ['vendor', 'items.vendor']), {
+      $or: [{ vendor: vendor._id }, { 'items.vendor': vendor._id }],
+    });
+    assert.deepEqual(ownedFilter(admin, 'orders:view', 'customer'), {});
+  });
+
+  it('lets a role act for the account it works for', t => {
+    const store = new mongoose.Types.ObjectId();
+    ROLES.assistant = { actsAs: 'vendor', principal: user => user.employer, permissions: { 'orders:fulfil': 'own' } };
+    t.after(() => delete ROLES.assistant);
+    const assistant = { _id: new mongoose.Types.ObjectId(), role: 'assistant', employer: store };
+
+    assert.equal(principalId(assistant), store);
+    assert.equal(actsAs(assistant), 'vendor');
+    assert.equal(can(assistant, 'orders:fulfil', store), true);
+    assert.equal(can(assistant, 'orders:fulfil', assistant._id), false);
+    assert.deepEqual(ownedFilter(assistant, 'orders:fulfil', 'vendor'), { vendor: store });
+  });
+
+  it('turns requests away with 403 when the role lacks the permission', () => {
+    const run = (user, middleware) => {
+      const result = { next: false };
+      const res = {
+        status(code) { result.status = code; return this; },
+        json(body) { result.body = body; return this; },
+      };
+      middleware({ currentUser: user }, res, () => { result.next = true; });
+      return result;
+    };
+
+    assert.deepEqual(run(customer, requirePermission('coupons:manage')), { next: false, status: 403, body: { message: 'Access denied' } });
+    assert.equal(run(admin, requirePermission('coupons:manage')).next, true);
+    assert.equal(run(vendor, requirePermission('orders:view', { scope: 'any', message: 'Admins only' })).body.message, 'Admins only');
+    assert.equal(run(vendor, requirePermission('orders:view')).next, true);
+  });
+});
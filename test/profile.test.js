@@ -0,0 +1,99 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const profileRoutes = require('../routes/profile');
+const { setTransport } = require('../services/mail');
+const { verifyEmail } = require('../services/credentials');
+const db = require('./helpers/db');
+const { createUser, address } = require('./helpers/fixtures');
+const { request, signIn } = require('./helpers/http');
+
+const tokenIn = message => message.text.match(/token=([\w-]+)/)[1];
+
+describe('profile updates', () => {
+  let sent;
+  before(() => db.connect('profile'));
+  after(() => {
+    setTransport(null);
+    return db.disconnect();
+  });
+  beforeEach(async () => {
+    sent = [];
+    setTransport({ name: 'capture', async send(message) { sent.push(message); return { id: `capture_${sent.length}` }; } });
+    await db.clear();
+  });
+
+  it('only changes the fields a user may edit', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer', { emailVerified: true });
+    const token = await signIn(user);
+
+    const response = await request(profileRoutes, 'PUT', '/', {
+      token,
+      body: {
+        phone: '555-0100',
+        addresses: [address],
+        role: 'admin',
+        emailVerified: true,
+        tokenVersion: 5,
+        vendorSettings: { freeShippingThreshold: 0 },
+        store: { name: 'Mine' },
+        password: 'changed123',
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.password, undefined);
+    const stored = await User.findById(user._id);
+    assert.equal(stored.phone, '555-0100');
+    assert.equal(stored.addresses[0].city, address.city);
+    assert.equal(stored.role, 'customer');
+    assert.equal(stored.tokenVersion, 0);
+    assert.equal(stored.vendorSettings.freeShippingThreshold, null);
+    assert.equal(stored.store.name, undefined);
+    assert.ok(await stored.comparePassword('password123'));
+    assert.equal(sent.length, 0);
+  });
+
+  it('sends a new email address through verification', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer', { emailVerified: true, emailVerifiedAt: new Date() });
+    const token = await signIn(user);
+
+    const response = await request(profileRoutes, 'PUT', '/', { token, body: { email: ' New@Example.com ' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.email, 'new@example.com');
+    assert.equal(response.body.emailVerified, false);
+    assert.equal(response.body.emailVerifiedAt, null);
+    assert.deepEqual(sent.map(message => message.to), ['new@example.com']);
+
+    const verified = await verifyEmail(tokenIn(sent[0]));
+    assert.equal(verified.emailVerified, true);
+  });
+
+  it('keeps the address verified when the email is unchanged', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser('customer', { emailVerified: true });
+    const token = await signIn(user);
+
+    const response = await request(profileRoutes, 'PUT', '/', { token, body: { email: user.email.toUpperCase() } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.emailVerified, true);
+    assert.equal(sent.length, 0);
+  });
+
+  it('refuses a username or email that belongs to someone else', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const other = await createUser();
+    const token = await signIn(user);
+
+    for (const body of [{ email: other.email }, { username: other.username }]) {
+      const response = await request(profileRoutes, 'PUT', '/', { token, body });
+      assert.equal(response.status, 400);
+    }
+    assert.equal((await User.findById(user._id)).email, user.email);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Return = require('../models/Return');
+const StockMovement = require('../models/StockMovement');
+const { refundReturn } = require('../services/returns');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+describe('refunding returns', () => {
+  before(() => db.connect('returns'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  async function receivedReturn({ paymentStatus = 'paid' } = {}) {
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const product = await createProduct(vendor, { stock: 5 });
+    const order = await Order.create({
+      customer: customer._id,
+      items: [{ product: product._id, vendor: vendor._id, quantity: 2, priceAtPurchase: 10 }],
+      subtotal: 20,
+      total: 20,
+      status: 'delivered',
+      paymentStatus,
+    });
+    const ret = await Return.create({
+      order: order._id,
+      customer: customer._id,
+      vendor: vendor._id,
+      items: [{ product: product._id, quantity: 2, priceAtPurchase: 10 }],
+      reason: 'Wrong size',
+      status: 'received',
+    });
+    return { vendor, product, order, ret };
+  }
+
+  it('refunds and restocks once when two refunds race', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { vendor, product, order, ret } = await receivedReturn();
+
+    const results = await Promise.allSettled([1, 2].map(() => refundReturn(ret, { actor: vendor._id, role: 'vendor' })));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+    assert.equal((await Product.findById(product._id)).stock, 7);
+    assert.equal((await Order.findById(order._id)).refundedAmount, 20);
+    assert.equal(await StockMovement.countDocuments({ type: 'return' }), 1);
+    const refunded = await Return.findById(ret._id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refundAmount, 20);
+  });
+
+  it('gives the claim back when the refund fails', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { vendor, ret } = await receivedReturn({ paymentStatus: 'pending' });
+
+    await assert.rejects(refundReturn(ret, { actor: vendor._id, role: 'vendor' }), { status: 400 });
+
+    const unchanged = await Return.findById(ret._id);
+    assert.equal(unchanged.status, 'received');
+    assert.equal(unchanged.statusHistory.length, 0);
+  });
+});
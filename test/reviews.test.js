@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReview, voteHelpful, removeHelpfulVote, moderateReview } = require('../services/reviews');
+const { removeUploads } = require('../middleware/upload');
+
+describe('reviews', () => {
+  it('treats malformed ids as not found', async () => {
+    const user = { _id: '64b000000000000000000001' };
+    await assert.rejects(createReview(user, 'not-an-id', { rating: 5 }), { status: 404, message: 'Product not found' });
+    await assert.rejects(voteHelpful('not-an-id', user._id), { status: 404 });
+    await assert.rejects(removeHelpfulVote('not-an-id', user._id), { status: 404 });
+    await assert.rejects(moderateReview('not-an-id', 'hidden', { actor: user._id }), { status: 404 });
+  });
+
+  it('removes the images of a rejected upload', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reviews-'));
+    const files = ['a.jpg', 'b.jpg'].map(name => {
+      const file = { path: path.join(directory, name) };
+      fs.writeFileSync(file.path, 'image');
+      return file;
+    });
+
+    await removeUploads([...files, { path: path.join(directory, 'gone.jpg') }]);
+    await removeUploads(undefined);
+
+    assert.deepEqual(fs.readdirSync(directory), []);
+    fs.rmdirSync(directory);
+  });
+});
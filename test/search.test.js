@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { tokenize, refreshSearchMeta, searchProducts, suggest } = require('../services/search');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+describe('search words', () => {
+  it('splits text in any script into lowercase words without accents', () => {
+    assert.deepEqual(tokenize('Café Crème'), ['cafe', 'creme']);
+    assert.deepEqual(tokenize('Электрический ЧАЙНИК, 1.7л'), ['электрическии', 'чаиник', '7л']);
+    assert.deepEqual(tokenize('한국어 검색'), ['한국어', '검색']);
+    assert.deepEqual(tokenize('Größe-XL'), ['große', 'xl']);
+  });
+
+  it('leaves out one-character words', () => {
+    assert.deepEqual(tokenize('a'), []);
+    assert.deepEqual(tokenize('茶'), []);
+    assert.deepEqual(tokenize('  -- '), []);
+  });
+});
+
+describe('product search', () => {
+  before(() => db.connect('search'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('keeps the search fields on the product', () => {
+    const product = new Product({ searchMeta: { categories: ['Kitchenware'], vendor: 'Riverside Goods', tokens: ['copper'] } });
+    assert.deepEqual([...product.searchMeta.tokens], ['copper']);
+    assert.equal(product.searchMeta.vendor, 'Riverside Goods');
+  });
+
+  async function indexedKettle() {
+    const vendor = await createUser('vendor', { store: { name: 'Riverside Goods', slug: 'riverside-goods' } });
+    const category = await Category.create({ name: 'Kitchenware', slug: 'kitchenware' });
+    const product = await createProduct(vendor, { name: 'Copper Kettle', category: category._id, categories: [category._id] });
+    await refreshSearchMeta(product._id);
+    return product;
+  }
+
+  it('stores the refreshed search fields', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const product = await indexedKettle();
+
+    const stored = await Product.findById(product._id);
+    assert.deepEqual([...stored.searchMeta.categories], ['Kitchenware']);
+    assert.equal(stored.searchMeta.vendor, 'Riverside Goods');
+    assert.deepEqual([...stored.searchMeta.tokens].sort(), ['copper', 'goods', 'kettle', 'kitchenware', 'riverside']);
+  });
+
+  it('suggests and finds the product by its name, category and store', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const product = await indexedKettle();
+
+    const suggestions = await suggest('cop');
+    assert.deepEqual(suggestions.terms, ['copper']);
+    assert.equal(suggestions.products[0]._id.toString(), product._id.toString());
+
+    for (const q of ['kettle', 'kitchenware', 'riverside']) {
+      const results = await searchProducts({ q });
+      assert.deepEqual(results.data.map(found => found._id.toString()), [product._id.toString()], q);
+    }
+
+    const corrected = await searchProducts({ q: 'ketle' });
+    assert.equal(corrected.correctedQuery, 'kettle');
+    assert.equal(corrected.data.length, 1);
+  });
+
+  it('finds products named in other scripts', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const kettle = await createProduct(vendor, { name: 'Электрический чайник' });
+    const tea = await createProduct(vendor, { name: 'Sencha 茶' });
+    await createProduct(vendor, { name: 'Copper Kettle' });
+    for (const product of [kettle, tea]) await refreshSearchMeta(product._id);
+
+    const cyrillic = await searchProducts({ q: 'чайник' });
+    assert.deepEqual(cyrillic.data.map(found => found._id.toString()), [kettle._id.toString()]);
+
+    const single = await searchProducts({ q: '茶' });
+    assert.deepEqual(single.data.map(found => found._id.toString()), [tea._id.toString()]);
+  });
+
+  it('does not list the whole catalogue for a query without searchable words', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    await createProduct(vendor, { name: 'Copper Kettle' });
+
+    for (const q of ['a', '?!']) {
+      const results = await searchProducts({ q });
+      assert.deepEqual(results.data, [], q);
+      assert.equal(results.query, q);
+    }
+    assert.equal((await searchProducts({ q: '  ' })).data.length, 1);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const { createSession, rotateSession, revokeSession, revokeAllSessions, authenticate } = require('../services/sessions');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+// What the auth middleware hands to authenticate once the JWT checks out
+const claims = (user, session) => ({ userId: user._id, sid: session._id, tv: user.tokenVersion || 0 });
+
+describe('refresh tokens', () => {
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+    await db.connect('sessions');
+  });
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('rejects tokens that are not "<session id>.<secret>"', async () => {
+    for (const token of [undefined, 'garbage', 'abc.def', '0123456789abcdef01234567']) {
+      await assert.rejects(rotateSession(token), { status: 401, message: 'Invalid refresh token' });
+    }
+  });
+
+  it('swaps a refresh token for a new pair, after which the old one no longer works', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session, refreshToken } = await createSession(user);
+
+    const rotated = await rotateSession(refreshToken, { ip: '10.0.0.1' });
+
+    assert.notEqual(rotated.refreshToken, refreshToken);
+    assert.equal(rotated.session._id.toString(), session._id.toString());
+    assert.equal(rotated.session.ip, '10.0.0.1');
+    const next = await rotateSession(rotated.refreshToken);
+    assert.ok(next.accessToken);
+  });
+
+  it('revokes the whole session when a rotated-away token is presented again', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session, refreshToken } = await createSession(user);
+    const rotated = await rotateSession(refreshToken);
+
+    await assert.rejects(rotateSession(refreshToken), { status: 401 });
+
+    const stored = await Session.findById(session._id);
+    assert.equal(stored.revokedReason, 'reuse_detected');
+    await assert.rejects(rotateSession(rotated.refreshToken), { status: 401 });
+    await assert.rejects(authenticate(claims(user, session)), { status: 401 });
+  });
+
+  it('stops a session\'s tokens working once it is logged out', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session, refreshToken } = await createSession(user);
+    assert.equal((await authenticate(claims(user, session)))._id.toString(), user._id.toString());
+
+    await revokeSession(session._id, 'logout', user._id);
+
+    await assert.rejects(authenticate(claims(user, session)), { status: 401, message: 'Session has been revoked' });
+    await assert.rejects(rotateSession(refreshToken), { status: 401 });
+  });
+
+  it('only revokes sessions belonging to the user logging out', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const other = await createUser();
+    const { session } = await createSession(user);
+
+    assert.equal(await revokeSession(session._id, 'logout', other._id), null);
+    await authenticate(claims(user, session));
+  });
+
+  it('logs out every other device, keeping the current one on request', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const user = await createUser();
+    const { session: current } = await createSession(user);
+    const { session: laptop } = await createSession(user);
+    const { session: phone } = await createSession(user);
+
+    assert.equal(await revokeAllSessions(user._id, { except: current._id }), 2);
+
+    await authenticate(claims(user, current));
+    for (const session of [laptop, phone]) {
+      await assert.rejects(authenticate(claims(user, session)), { status: 401 });
+    }
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { createShipment, ingestCarrierEvents } = require('../services/shipments');
+const { signPayload } = require('../services/payments/signature');
+const createFakeCarrier = require('../services/carriers/fake');
+const db = require('./helpers/db');
+
+const secret = 'carrier_test_secret';
+
+function withCarrierSecret(fn) {
+  return async (...args) => {
+    const previous = process.env.CARRIER_WEBHOOK_SECRET;
+    process.env.CARRIER_WEBHOOK_SECRET = secret;
+    try {
+      return await fn(...args);
+    } finally {
+      if (previous === undefined) delete process.env.CARRIER_WEBHOOK_SECRET;
+      else process.env.CARRIER_WEBHOOK_SECRET = previous;
+    }
+  };
+}
+
+const carrierBody = (trackingNumber, events) => JSON.stringify({ trackingNumber, events });
+
+describe('fake carrier', () => {
+  it('makes up tracking numbers', () => {
+    const carrier = createFakeCarrier();
+    assert.match(carrier.createTrackingNumber(), /^FAKE[0-9A-F]{12}$/);
+    assert.notEqual(carrier.createTrackingNumber(), carrier.createTrackingNumber());
+  });
+
+  it('parses signed webhooks and refuses unsigned ones', withCarrierSecret(() => {
+    const carrier = createFakeCarrier();
+    const body = carrierBody('FAKE1', [{ id: 'ev1', status: 'in_transit', occurredAt: '2025-01-02T10:00:00Z', location: 'Chicago' }]);
+    const parsed = carrier.parseWebhook(body, { 'x-webhook-signature': signPayload(body, secret) });
+    assert.equal(parsed.trackingNumber, 'FAKE1');
+    assert.equal(parsed.events[0].externalId, 'ev1');
+    assert.equal(parsed.events[0].occurredAt.toISOString(), '2025-01-02T10:00:00.000Z');
+    assert.throws(() => carrier.parseWebhook(body, {}), { status: 400 });
+    const malformed = JSON.stringify({ events: [] });
+    assert.throws(() => carrier.parseWebhook(malformed, { 'x-webhook-signature': signPayload(malformed, secret) }), { status: 400 });
+  }));
+});
+
+describe('shipments', () => {
+  before(() => db.connect('shipments'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  const vendor = new mongoose.Types.ObjectId();
+  const createOrder = fields => Order.create({
+    customer: new mongoose.Types.ObjectId(),
+    items: [{ product: new mongoose.Types.ObjectId(), vendor, quantity: 1, priceAtPurchase: 30 }],
+    subtotal: 30,
+    total: 30,
+    paymentMethod: 'card',
+    fulfilments: [{ vendor, status: 'pending', subtotal: 30 }],
+    ...fields,
+  });
+
+  it('stores nothing when the order cannot ship yet, so the tracking number stays free', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const order = await createOrder();
+
+    await assert.rejects(
+      createShipment(order, vendor, { carrier: 'fake', trackingNumber: 'FAKE123', actor: vendor }),
+      { status: 409, message: 'Order must be paid before it can be shipped' }
+    );
+    assert.equal(await Shipment.countDocuments(), 0);
+
+    await Order.updateOne({ _id: order._id }, { status: 'paid', paymentStatus: 'paid' });
+    const paid = await Order.findById(order._id);
+    const shipment = await createShipment(paid, vendor, { carrier: 'fake', trackingNumber: 'FAKE123', actor: vendor });
+    assert.equal(shipment.trackingNumber, 'FAKE123');
+    assert.equal((await Order.findById(order._id)).fulfilments[0].status, 'shipped');
+  });
+
+  it('refuses a tracking number that is already in use with a 409', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const first = await createOrder({ status: 'paid', paymentStatus: 'paid' });
+    const second = await createOrder({ status: 'paid', paymentStatus: 'paid' });
+    await createShipment(first, vendor, { carrier: 'fake', trackingNumber: 'FAKE999', actor: vendor });
+
+    await assert.rejects(createShipment(second, vendor, { carrier: 'fake', trackingNumber: 'FAKE999', actor: vendor }), { status: 409 });
+  });
+
+  it('delivers the group from carrier events and ignores redeliveries', withCarrierSecret(async t => {
+    if (db.skipWithoutDb(t)) return;
+    const order = await createOrder({ status: 'paid', paymentStatus: 'paid' });
+    const shipment = await createShipment(order, vendor, { carrier: 'fake', actor: vendor });
+    const body = carrierBody(shipment.trackingNumber, [
+      { id: 'ev1', status: 'in_transit', occurredAt: new Date(Date.now() - 60000).toISOString() },
+      { id: 'ev2', status: 'delivered', occurredAt: new Date().toISOString() },
+    ]);
+    const headers = { 'x-webhook-signature': signPayload(body, secret) };
+
+    const first = await ingestCarrierEvents('fake', body, headers);
+    const replay = await ingestCarrierEvents('fake', body, headers);
+
+    assert.equal(first.stored, 2);
+    assert.equal(replay.stored, 0);
+    assert.equal(first.shipment.status, 'delivered');
+    const delivered = await Order.findById(order._id);
+    assert.equal(delivered.fulfilments[0].status, 'delivered');
+    assert.equal(delivered.status, 'delivered');
+  }));
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setConfig, resolveZone, availableMethods, chargeableWeight, freeShippingThreshold, quoteShipping } = require('../services/shipping');
+const shippingRoutes = require('../routes/shipping');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+const { request, signIn } = require('./helpers/http');
+
+const config = {
+  dimensionalDivisor: 5000,
+  defaultItemWeight: 0.5,
+  freeShippingThreshold: 50,
+  zones: [
+    { id: 'remote', countries: ['US'], postalPrefixes: ['99'] },
+    { id: 'domestic', countries: ['US'] },
+    { id: 'europe', countries: ['GB', 'DE'] },
+  ],
+  methods: [
+    {
+      id: 'standard',
+      name: 'Standard Shipping',
+      freeShippingEligible: true,
+      rates: {
+        domestic: { base: 5, perKg: 2, days: [3, 5] },
+        remote: { base: 10, perKg: 4, days: [7, 9] },
+        europe: { base: 20, perKg: 5, days: [8, 12] },
+      },
+    },
+    {
+      id: 'express',
+      name: 'Express Shipping',
+      maxWeight: 10,
+      rates: { domestic: { base: 12, perKg: 4, days: [1, 2] } },
+    },
+  ],
+};
+
+describe('shipping rules', () => {
+  before(() => setConfig(config));
+  after(() => setConfig(null));
+
+  it('picks the first zone matching the country and postal code', () => {
+    assert.equal(resolveZone({ country: 'USA', zipCode: '99501' }), 'remote');
+    assert.equal(resolveZone({ country: 'US', zipCode: '10001' }), 'domestic');
+    assert.equal(resolveZone({ country: 'Germany' }), 'europe');
+    assert.throws(() => resolveZone({ country: 'JP' }), { status: 400 });
+  });
+
+  it('bills the larger of the real and the dimensional weight', () => {
+    assert.equal(chargeableWeight({ weight: 1, dimensions: { length: 50, width: 40, height: 30 }, quantity: 2 }), 24);
+    assert.equal(chargeableWeight({ weight: 3, dimensions: { length: 10, width: 10, height: 10 }, quantity: 1 }), 3);
+    assert.equal(chargeableWeight({ dimensions: { length: 10, width: 10 }, quantity: 3 }), 1.5);
+  });
+
+  it('only offers methods that serve the zone and carry the weight', () => {
+    assert.deepEqual(availableMethods('domestic', 5).map(method => method.id), ['standard', 'express']);
+    assert.deepEqual(availableMethods('domestic', 12).map(method => method.id), ['standard']);
+    assert.deepEqual(availableMethods('europe').map(method => method.id), ['standard']);
+  });
+
+  it('takes a vendor\'s own free-shipping threshold over the default', () => {
+    assert.equal(freeShippingThreshold(null), 50);
+    assert.equal(freeShippingThreshold({ vendorSettings: { freeShippingEnabled: true, freeShippingThreshold: null } }), 50);
+    assert.equal(freeShippingThreshold({ vendorSettings: { freeShippingEnabled: true, freeShippingThreshold: 20 } }), 20);
+    assert.equal(freeShippingThreshold({ vendorSettings: { freeShippingEnabled: false, freeShippingThreshold: 20 } }), null);
+  });
+});
+
+describe('shipping quotes', () => {
+  before(async () => {
+    setConfig(config);
+    await db.connect('shipping');
+  });
+  after(() => {
+    setConfig(null);
+    return db.disconnect();
+  });
+  beforeEach(() => db.clear());
+
+  it('quotes one parcel per vendor, each with its own free-shipping threshold', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const generous = await createUser('vendor', { vendorSettings: { freeShippingThreshold: 20 } });
+    const regular = await createUser('vendor');
+    const lines = [
+      { vendor: generous._id, quantity: 3, priceAtPurchase: 10, weight: 1 },
+      { vendor: regular._id, quantity: 3, priceAtPurchase: 10, weight: 1 },
+    ];
+
+    const quote = await quoteShipping({ lines, destination: { country: 'US', zipCode: '10001' } });
+
+    assert.equal(quote.zone, 'domestic');
+    assert.deepEqual(quote.parcels.map(parcel => [parcel.freeShipping, parcel.cost]), [[true, 0], [false, 11]]);
+    assert.equal(quote.cost, 11);
+    assert.equal(quote.freeShipping, false);
+    assert.equal(quote.totalWeight, 6);
+  });
+
+  it('refuses a parcel over the method\'s weight limit', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    await assert.rejects(
+      quoteShipping({ lines: [{ vendor: vendor._id, quantity: 11, priceAtPurchase: 1, weight: 1 }], destination: { country: 'US' }, method: 'express' }),
+      { status: 400, message: 'Express Shipping is limited to 10 kg per parcel' }
+    );
+  });
+});
+
+describe('shipping routes', () => {
+  before(async () => {
+    setConfig(config);
+    await db.connect('shipping_routes');
+  });
+  after(() => {
+    setConfig(null);
+    return db.disconnect();
+  });
+  beforeEach(() => db.clear());
+
+  it('lists the configured methods, or those serving a destination', async () => {
+    const all = await request(shippingRoutes, 'GET', '/methods');
+    assert.deepEqual(all.body.map(method => method.id), ['standard', 'express']);
+
+    const abroad = await request(shippingRoutes, 'GET', '/methods?country=DE');
+    assert.deepEqual(abroad.body.map(method => [method.id, method.zone, method.basePrice]), [['standard', 'europe', 20]]);
+
+    const heavy = await request(shippingRoutes, 'GET', '/methods?country=US&weight=12');
+    assert.deepEqual(heavy.body.map(method => method.id), ['standard']);
+
+    const nowhere = await request(shippingRoutes, 'GET', '/methods?country=JP');
+    assert.equal(nowhere.status, 400);
+  });
+
+  it('prices a quote from the catalogue weights and dimensions, not the request', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const bulky = await createProduct(vendor, { weight: 1, dimensions: { length: 50, width: 40, height: 10 } });
+    const token = await signIn(await createUser('customer'));
+
+    const response = await request(shippingRoutes, 'POST', '/calculate', {
+      token,
+      body: { items: [{ productId: bulky._id, quantity: 2, price: 1000, weight: 0 }], destination: { country: 'US', zipCode: '99501' } },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.zone, 'remote');
+    assert.equal(response.body.totalWeight, '8.00');
+    assert.equal(response.body.shippingCost, 42);
+    assert.equal(response.body.summary.subtotal, 20);
+  });
+
+  it('quotes a product sold in variants at the chosen variant\'s price', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const tee = await createProduct(vendor, {
+      weight: 1,
+      options: [{ name: 'size', values: ['S', 'XL'] }],
+      variants: [
+        { sku: 'TEE-S', options: { size: 'S' }, price: 10, stock: 5 },
+        { sku: 'TEE-XL', options: { size: 'XL' }, price: 14, stock: 5 },
+      ],
+    });
+    const token = await signIn(await createUser('customer'));
+    const destination = { country: 'US', zipCode: '10001' };
+
+    const bySku = await request(shippingRoutes, 'POST', '/calculate', {
+      token,
+      body: { items: [{ productId: tee._id, sku: 'TEE-XL', quantity: 2 }], destination },
+    });
+    assert.equal(bySku.status, 200);
+    assert.equal(bySku.body.summary.subtotal, 28);
+    assert.equal(bySku.body.shippingCost, 9);
+
+    const byId = await request(shippingRoutes, 'POST', '/calculate', {
+      token,
+      body: { items: [{ productId: tee._id, variant: tee.variants[0]._id, quantity: 1 }], destination },
+    });
+    assert.equal(byId.body.summary.subtotal, 10);
+
+    const unchosen = await request(shippingRoutes, 'POST', '/calculate', { token, body: { items: [{ productId: tee._id, quantity: 1 }], destination } });
+    assert.equal(unchosen.status, 400);
+  });
+});
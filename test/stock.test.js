@@ -0,0 +1,63 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { reserveStock, stockDifferences } = require('../services/stock');
+const { normaliseVariants } = require('../services/variants');
+const { subscribe } = require('../services/events');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+describe('stock differences', () => {
+  it('books the change from one stock count to another', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const entries = stockDifferences({ _id, stock: 4 }, { _id, stock: 9 });
+    assert.deepEqual(entries.map(({ quantity, stockAfter }) => ({ quantity, stockAfter })), [{ quantity: 5, stockAfter: 9 }]);
+  });
+
+  it('books a written variant list against the variants it replaced', () => {
+    const _id = new mongoose.Types.ObjectId();
+    const kept = new mongoose.Types.ObjectId();
+    const dropped = new mongoose.Types.ObjectId();
+    const before = {
+      _id,
+      stock: 5,
+      variants: [{ _id: kept, sku: 'TEE-S', stock: 2 }, { _id: dropped, sku: 'TEE-M', stock: 3 }],
+    };
+    const { variants } = normaliseVariants(
+      [{ name: 'size', values: ['S', 'L'] }],
+      [{ _id: kept.toString(), sku: 'TEE-S', options: { size: 'S' }, stock: 6 }, { sku: 'TEE-L', options: { size: 'L' }, stock: 1 }]
+    );
+
+    const bySku = Object.fromEntries(stockDifferences(before, { _id, variants }).map(entry => [entry.sku, entry.quantity]));
+
+    assert.deepEqual(bySku, { 'TEE-S': 4, 'TEE-L': 1, 'TEE-M': -3 });
+  });
+});
+
+describe('reserving stock', () => {
+  before(() => db.connect('stock'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('puts back a failed reservation without announcing a stock change', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const last = await createProduct(vendor, { stock: 1 });
+    const soldOut = await createProduct(vendor, { stock: 0 });
+    const events = [];
+    const unsubscribe = subscribe('stock.changed', event => events.push(event));
+
+    try {
+      await assert.rejects(
+        reserveStock([{ product: last._id, quantity: 1 }, { product: soldOut._id, quantity: 1 }]),
+        { status: 409 }
+      );
+    } finally {
+      unsubscribe();
+    }
+
+    assert.equal((await Product.findById(last._id)).stock, 1);
+    assert.deepEqual(events, []);
+  });
+});
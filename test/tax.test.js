@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setRules, calculateTax } = require('../services/tax');
+
+const rules = {
+  default: { rate: 0, inclusive: false, shippingTaxable: false },
+  countries: {
+    US: {
+      rate: 0,
+      states: {
+        CA: { rate: 0.0725, categories: { groceries: 0 } },
+        NY: { rate: 0.04, shippingTaxable: true, categories: { clothing: 0 } },
+      },
+    },
+    GB: { rate: 0.2, inclusive: true, shippingTaxable: true, categories: { books: 0 } },
+  },
+};
+
+const line = fields => ({ product: 'p1', priceAtPurchase: 10, quantity: 1, ...fields });
+
+describe('tax', () => {
+  before(() => setRules(rules));
+  after(() => setRules(null));
+
+  it('rounds each line to cents before adding them up', () => {
+    const result = calculateTax({
+      lines: [line({ priceAtPurchase: 3.33, quantity: 3 }), line({ product: 'p2', priceAtPurchase: 0.99 })],
+      shippingAddress: { state: 'ca', country: 'United States' },
+    });
+    assert.equal(result.jurisdiction, 'US-CA');
+    assert.deepEqual(result.lines.map(taxed => taxed.tax), [0.72, 0.07]);
+    assert.equal(result.tax, 0.79);
+  });
+
+  it('takes tax out of inclusive prices, shipping included', () => {
+    const result = calculateTax({ lines: [line({ discount: 2 })], shippingAddress: { country: 'UK' }, shipping: 5 });
+    assert.equal(result.inclusive, true);
+    assert.equal(result.lines[0].tax, 1.33);
+    assert.equal(result.shippingTax, 0.83);
+    assert.equal(result.tax, 2.16);
+  });
+
+  it('charges nothing on an exempt category, trying the primary category first', () => {
+    const result = calculateTax({
+      lines: [
+        line({ categoryKeys: ['clothing', 'accessories'] }),
+        line({ product: 'p2', categoryKeys: ['accessories', 'clothing'] }),
+        line({ product: 'p3', category: 'Electronics' }),
+      ],
+      shippingAddress: { state: 'NY', country: 'US' },
+      shipping: 10,
+    });
+    assert.deepEqual(result.lines.map(taxed => taxed.rate), [0, 0, 0.04]);
+    assert.equal(result.shippingTax, 0.4);
+    assert.equal(result.tax, 0.8);
+  });
+
+  it('falls back to the country, then the default, for regions without rules', () => {
+    const unknownState = calculateTax({ lines: [line()], shippingAddress: { state: 'WA', country: 'US' } });
+    assert.equal(unknownState.jurisdiction, 'US');
+    assert.equal(unknownState.tax, 0);
+
+    const unknownCountry = calculateTax({ lines: [line()], shippingAddress: { country: 'France' }, shipping: 5 });
+    assert.equal(unknownCountry.jurisdiction, 'FR');
+    assert.equal(unknownCountry.tax, 0);
+
+    const noAddress = calculateTax({ lines: [line()], shippingAddress: undefined });
+    assert.equal(noAddress.jurisdiction, 'default');
+  });
+});
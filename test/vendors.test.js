@@ -0,0 +1,55 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const VendorApplication = require('../models/VendorApplication');
+const { applyAsVendor, reviewApplication } = require('../services/vendors');
+const { setTransport } = require('../services/mail');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+
+const application = {
+  storeName: 'Corner Shop',
+  contact: { name: 'Sam', email: 'sam@example.com' },
+  payout: { method: 'paypal', paypalEmail: 'sam@example.com' },
+};
+
+describe('vendor applications', () => {
+  before(async () => {
+    setTransport({ name: 'quiet', send: async () => ({ id: 'quiet' }) });
+    await db.connect('vendors');
+  });
+  after(() => {
+    setTransport(null);
+    return db.disconnect();
+  });
+  beforeEach(() => db.clear());
+
+  it('turns an approved applicant into a vendor with a free store slug', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const admin = await createUser('admin');
+    await createUser('vendor', { store: { name: 'Corner Shop', slug: 'corner-shop' } });
+    const applicant = await createUser('customer');
+    const submitted = await applyAsVendor(applicant, application);
+
+    const { application: reviewed, user } = await reviewApplication(submitted._id, 'approved', { actor: admin._id });
+
+    assert.equal(reviewed.status, 'approved');
+    assert.equal(user.role, 'vendor');
+    assert.equal(user.store.slug, 'corner-shop-2');
+    await assert.rejects(reviewApplication(submitted._id, 'rejected', { actor: admin._id }), { status: 404 });
+  });
+
+  it('puts the application back to pending when the applicant cannot be updated', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const admin = await createUser('admin');
+    const applicant = await createUser('customer');
+    const submitted = await applyAsVendor(applicant, application);
+    await User.deleteOne({ _id: applicant._id });
+
+    await assert.rejects(reviewApplication(submitted._id, 'approved', { actor: admin._id }), { status: 404 });
+
+    const pending = await VendorApplication.findById(submitted._id);
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.reviewedAt, undefined);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { signPayload, verifySignature } = require('../services/payments/signature');
+const { handleWebhookEvent } = require('../services/payments/webhooks');
+const createMockProvider = require('../services/payments/mock');
+const db = require('./helpers/db');
+
+const secret = 'whsec_test';
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } });
+
+  it('accepts a payload signed with the shared secret', () => {
+    const timestamp = now();
+    assert.equal(verifySignature(body, signPayload(body, secret, timestamp), secret), timestamp);
+  });
+
+  it('rejects a changed body, a wrong secret and a missing or malformed header', () => {
+    const header = signPayload(body, secret);
+    assert.throws(() => verifySignature(`${body} `, header, secret), { status: 400, message: 'Invalid webhook signature' });
+    assert.throws(() => verifySignature(body, signPayload(body, 'whsec_other'), secret), { status: 400, message: 'Invalid webhook signature' });
+    assert.throws(() => verifySignature(body, undefined, secret), { status: 400, message: 'Missing webhook signature' });
+    assert.throws(() => verifySignature(body, 'v1=abc', secret), { status: 400, message: 'Malformed webhook signature' });
+  });
+
+  it('rejects timestamps outside the tolerance window', () => {
+    const old = signPayload(body, secret, now() - 301);
+    assert.throws(() => verifySignature(body, old, secret, 300), { status: 400, message: 'Webhook timestamp outside the tolerance window' });
+    const future = signPayload(body, secret, now() + 301);
+    assert.throws(() => verifySignature(body, future, secret, 300), { status: 400 });
+    assert.doesNotThrow(() => verifySignature(body, signPayload(body, secret, now() - 200), secret, 300));
+  });
+
+  it('needs a configured secret', () => {
+    assert.throws(() => verifySignature(body, signPayload(body, secret), undefined), { status: 500 });
+  });
+
+  it('is checked by the mock provider before the event is parsed', () => {
+    const previous = process.env.PAYMENT_WEBHOOK_SECRET;
+    process.env.PAYMENT_WEBHOOK_SECRET = secret;
+    try {
+      const provider = createMockProvider();
+      const event = provider.parseWebhook(body, { 'x-webhook-signature': signPayload(body, secret) });
+      assert.equal(event.id, 'evt_1');
+      assert.throws(() => provider.parseWebhook(body, { 'x-webhook-signature': signPayload(body, 'whsec_other') }), { status: 400 });
+    } finally {
+      if (previous === undefined) delete process.env.PAYMENT_WEBHOOK_SECRET;
+      else process.env.PAYMENT_WEBHOOK_SECRET = previous;
+    }
+  });
+});
+
+describe('provider amounts', () => {
+  it('are reported in cents for intents and refunds alike', async () => {
+    const provider = createMockProvider();
+    assert.equal((await provider.createIntent({ amount: 12.5, currency: 'USD' })).amount, 1250);
+    assert.equal((await provider.refund({ intentId: 'pi_1', amount: 12.5 })).amount, 1250);
+  });
+});
+
+describe('webhook events', () => {
+  before(() => db.connect('webhooks'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  async function paidOrder() {
+    const order = await Order.create({
+      customer: new mongoose.Types.ObjectId(),
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, priceAtPurchase: 40 }],
+      subtotal: 40,
+      total: 40,
+      status: 'paid',
+      paymentStatus: 'paid',
+    });
+    const payment = await Payment.create({
+      order: order._id,
+      customer: order.customer,
+      provider: 'mock',
+      intentId: 'pi_paid',
+      amount: 40,
+      status: 'succeeded',
+    });
+    return { order, payment };
+  }
+
+  const refundEvent = (id, cents) => ({
+    id,
+    type: 'refund.succeeded',
+    data: { object: { id: `re_${id}`, object: 'refund', payment_intent: 'pi_paid', amount: cents } },
+  });
+
+  it('applies a replayed event only once, even in parallel', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { order, payment } = await paidOrder();
+    const event = refundEvent('evt_refund', 1250);
+
+    const results = await Promise.all([1, 2, 3].map(() => handleWebhookEvent('mock', event)));
+
+    assert.equal(results.filter(result => result.handled).length, 1);
+    assert.equal(results.filter(result => result.duplicate).length, 2);
+    assert.equal((await Payment.findById(payment._id)).refundedAmount, 12.5);
+    assert.equal((await Order.findById(order._id)).refundedAmount, 12.5);
+    assert.equal(await WebhookEvent.countDocuments(), 1);
+  });
+
+  it('reads refund amounts in cents', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const { order } = await paidOrder();
+    await handleWebhookEvent('mock', refundEvent('evt_full', 4000));
+
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.refundedAmount, 40);
+    assert.equal(refunded.refunds[0].amount, 40);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { addItem, moveToCart } = require('../services/wishlists');
+const db = require('./helpers/db');
+const { createUser, createProduct } = require('./helpers/fixtures');
+
+describe('wishlists', () => {
+  before(() => db.connect('wishlists'));
+  after(() => db.disconnect());
+  beforeEach(() => db.clear());
+
+  it('refuses a malformed product id', async () => {
+    await assert.rejects(addItem('64b000000000000000000001', 'default', { product: 'not-an-id' }), { status: 400 });
+  });
+
+  it('moves an item into the cart at the current price', async t => {
+    if (db.skipWithoutDb(t)) return;
+    const vendor = await createUser('vendor');
+    const customer = await createUser('customer');
+    const product = await createProduct(vendor, { price: 10 });
+    await Cart.create({ customer: customer._id, items: [{ product: product._id, quantity: 1, priceWhenAdded: 10 }] });
+    const list = await addItem(customer._id, 'default', { product: product._id });
+    await Product.updateOne({ _id: product._id }, { price: 12 });
+
+    const { cart, wishlist } = await moveToCart(customer._id, 'default', list.items[0]._id, { quantity: 2 });
+
+    assert.equal(cart.items.length, 1);
+    assert.equal(cart.items[0].quantity, 3);
+    assert.equal(cart.items[0].priceWhenAdded, 12);
+    assert.equal(wishlist.items.length, 0);
+  });
+});